@@ -3,6 +3,13 @@
  * This file initializes the application and coordinates the other modules.
  */
 
+import { QuestValidator } from './quest-validator.js';
+import { DataManager } from './data.js';
+import { ProgressManager } from './progress.js';
+import { QuestManager } from './quests.js';
+import { UIManager } from './ui.js';
+import { Celebrations } from './celebrations.js';
+
 // Main application initialization
 (async function() {
     /**
@@ -21,6 +28,24 @@
             // Initialize the UI with user profile and quest data
             UIManager.initialize(initialData.userProfile, initialData.questData);
             
+            // Celebrate level ups and rank ups as they happen
+            Celebrations.initialize();
+            
+            // A stored profile that failed to load is only replaced once the player agrees
+            if (DataManager.getProfileLoadError()) {
+                UIManager.showNotification('Your saved profile could not be loaded. Progress will not be saved until you start over.', 'error', {
+                    label: 'Start over',
+                    duration: 60000,
+                    onClick: async () => {
+                        if (confirm('Start a new profile? The profile that failed to load is kept as a backup.')) {
+                            DataManager.resetUserProgress();
+                            await DataManager.whenSaved();
+                            location.reload();
+                        }
+                    }
+                });
+            }
+            
             console.log('DICED Culinary RPG initialized successfully!');
             
             // For development/debugging
@@ -29,9 +54,20 @@
                 QuestManager,
                 ProgressManager,
                 UIManager,
-                resetData: function() {
-                    if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
+                QuestValidator,
+                getCatalogReport: function() {
+                    return DataManager.getCatalogReport();
+                },
+                exportProfile: function() {
+                    return UIManager.downloadProfileExport();
+                },
+                resetData: async function() {
+                    if (confirm('Are you sure you want to reset all progress? Your profile will be exported to a file first.')) {
+                        await UIManager.downloadProfileExport();
                         DataManager.resetUserProgress();
+                        
+                        // Writes are write-behind; reloading before they finish would lose the reset
+                        await DataManager.whenSaved();
                         location.reload();
                     }
                 }
@@ -0,0 +1,196 @@
+/**
+ * badges.js - Badge catalog and evaluator
+ * A badge is earned once and kept, unlike the short list of recent
+ * achievements; only undoing the progress that earned it takes it back. Every badge measures progress towards a target from the
+ * profile, the quest catalog and the activity log, so the gallery can show how
+ * far along a locked badge is and the evaluator can tell when it is earned.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { Streaks } from './streaks.js';
+
+// Badges namespace
+export const Badges = (() => {
+    /**
+     * Count completions of quests of one type, repeats included
+     * @param {Object} context - The evaluation context
+     * @param {string} type - The quest type
+     * @returns {number} - Number of completions
+     */
+    function countCompletionsOfType(context, type) {
+        return context.quests
+            .filter(quest => quest.type === type)
+            .reduce((sum, quest) => sum + (context.profile.questCompletions?.[quest.id]?.count || 0), 0);
+    }
+
+    /**
+     * Get the total hours across all attributes
+     * @param {Object} profile - The user profile
+     * @returns {number} - Total hours
+     */
+    function getTotalHours(profile) {
+        return ProgressionSystem.ATTRIBUTES
+            .reduce((sum, attr) => sum + (profile.attributes[attr]?.totalHours || 0), 0);
+    }
+
+    // Badge definitions, in gallery order
+    // progress(context) returns how far the player is towards target; the badge
+    // is earned once progress reaches it
+    const BADGES = [
+        {
+            id: 'first-quest',
+            name: 'First Steps',
+            description: 'Complete your first quest',
+            icon: '🍳',
+            target: 1,
+            progress: context => context.profile.completedQuests.length
+        },
+        {
+            id: 'first-main-quest',
+            name: 'Main Course',
+            description: 'Complete a main quest',
+            icon: '📜',
+            target: 1,
+            progress: context => countCompletionsOfType(context, 'main')
+        },
+        {
+            id: 'explorer',
+            name: 'Explorer',
+            description: 'Complete 10 explore quests',
+            icon: '🧭',
+            target: 10,
+            progress: context => countCompletionsOfType(context, 'explore')
+        },
+        {
+            id: 'challenger',
+            name: 'Up for a Challenge',
+            description: 'Complete a challenge quest',
+            icon: '🏆',
+            target: 1,
+            progress: context => countCompletionsOfType(context, 'challenge')
+        },
+        {
+            id: 'dedicated',
+            name: 'Dedicated',
+            description: 'Log 10 practice sessions',
+            icon: '✎',
+            target: 10,
+            progress: context => context.profile.milestones?.practiceSessions || 0
+        },
+        {
+            id: 'balanced',
+            name: 'Balanced Palate',
+            description: 'Reach 10 hours in every attribute',
+            icon: '⚖️',
+            target: 10,
+            progress: context => Math.min(...ProgressionSystem.ATTRIBUTES
+                .map(attr => context.profile.attributes[attr]?.totalHours || 0))
+        },
+        {
+            id: 'century',
+            name: 'Century',
+            description: 'Accumulate 100 hours across all attributes',
+            icon: '💯',
+            target: 100,
+            progress: context => getTotalHours(context.profile)
+        },
+        {
+            id: 'streak-7',
+            name: 'Week of Cooking',
+            description: 'Cook on 7 days in a row',
+            icon: '🔥',
+            target: 7,
+            progress: context => Streaks.getLongestStreak(context.activityLog)
+        },
+        {
+            id: 'culinary-student',
+            name: 'Back to School',
+            description: 'Reach the Culinary Student rank',
+            icon: '🎓',
+            target: 1,
+            progress: context => ProgressionSystem.getRankIndex(context.profile.currentRank.title) >= ProgressionSystem.getRankIndex('Culinary Student') ? 1 : 0
+        },
+        {
+            id: 'head-chef',
+            name: 'Head Chef',
+            description: 'Reach the Head Chef rank',
+            icon: '👑',
+            target: 1,
+            progress: context => context.profile.currentRank.title === 'Head Chef' ? 1 : 0
+        }
+    ];
+
+    /**
+     * Get a badge definition
+     * @param {string} badgeId - The badge ID
+     * @returns {Object|null} - The badge or null if not found
+     */
+    function getBadge(badgeId) {
+        return BADGES.find(badge => badge.id === badgeId) || null;
+    }
+
+    /**
+     * Measure the progress towards a badge
+     * @param {Object} badge - The badge definition
+     * @param {Object} context - The profile, quest catalog and activity log
+     * @returns {Object} - Current progress (capped at the target) and the target
+     */
+    function getProgress(badge, context) {
+        let current = 0;
+
+        try {
+            current = Number(badge.progress(context)) || 0;
+        } catch (error) {
+            console.error(`Error measuring badge ${badge.id}:`, error);
+        }
+
+        return {
+            current: Math.min(current, badge.target),
+            target: badge.target
+        };
+    }
+
+    /**
+     * Find the badges earned since the last evaluation
+     * @param {Object} context - The evaluation context
+     * @param {Object} context.profile - The user profile
+     * @param {Array} context.quests - The quest catalog
+     * @param {Array} context.activityLog - Activity log entries
+     * @returns {Array} - Newly earned badges, in catalog order
+     */
+    function evaluate(context) {
+        const unlocked = context.profile.badges || {};
+
+        return BADGES.filter(badge => {
+            if (unlocked[badge.id]) return false;
+
+            const progress = getProgress(badge, context);
+            return progress.current >= progress.target;
+        });
+    }
+
+    /**
+     * Find earned badges whose condition no longer holds (e.g. after an undo)
+     * @param {Object} context - The evaluation context (see evaluate)
+     * @returns {Array} - Badges to take back, in catalog order
+     */
+    function findRevoked(context) {
+        const unlocked = context.profile.badges || {};
+
+        return BADGES.filter(badge => {
+            if (!unlocked[badge.id]) return false;
+
+            const progress = getProgress(badge, context);
+            return progress.current < progress.target;
+        });
+    }
+
+    // Public API
+    return {
+        BADGES,
+        getBadge,
+        getProgress,
+        evaluate,
+        findRevoked
+    };
+})();
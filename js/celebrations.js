@@ -0,0 +1,227 @@
+/**
+ * celebrations.js - Rank-up ceremony and level-up toasts
+ * Listens to the progression events and celebrates them one at a time: level
+ * ups and new badges get a short toast, a rank up gets a full-screen ceremony
+ * with the new rank icon and what it unlocks. Everything raised by one quest
+ * completion or practice session is queued and shown in the order it happened.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { ProgressionEvents } from './progression-events.js';
+import { DataManager } from './data.js';
+
+// Celebrations namespace
+export const Celebrations = (() => {
+    // How long a level-up toast stays on screen
+    const TOAST_DURATION = 3000;
+
+    // Celebrations waiting to be shown, oldest first
+    const queue = [];
+
+    // Whether a celebration is on screen
+    let isShowing = false;
+
+    // Unsubscribe functions for the progression events
+    let unsubscribers = [];
+
+    /**
+     * Start celebrating progression events
+     */
+    function initialize() {
+        const { EVENTS } = ProgressionEvents;
+
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        unsubscribers = [
+            ProgressionEvents.on(EVENTS.LEVEL_UP, payload => enqueue({ type: 'levelUp', payload })),
+            ProgressionEvents.on(EVENTS.ATTRIBUTE_MAXED, payload => enqueue({ type: 'attributeMaxed', payload })),
+            ProgressionEvents.on(EVENTS.RANK_UP, payload => enqueue({ type: 'rankUp', payload })),
+            ProgressionEvents.on(EVENTS.BADGE_UNLOCKED, payload => enqueue({ type: 'badgeUnlocked', payload }))
+        ];
+    }
+
+    /**
+     * Add a celebration to the queue
+     * Showing waits for the current burst of events to finish, so the profile is
+     * saved and the quest modal closed before anything appears.
+     * @param {Object} celebration - The celebration ({ type, payload })
+     */
+    function enqueue(celebration) {
+        queue.push(celebration);
+        setTimeout(showNext, 0);
+    }
+
+    /**
+     * Show the next celebration in the queue, if nothing is on screen
+     */
+    async function showNext() {
+        if (isShowing || queue.length === 0) return;
+
+        isShowing = true;
+        const celebration = queue.shift();
+
+        try {
+            if (celebration.type === 'rankUp') {
+                await showRankCeremony(celebration.payload);
+            } else {
+                await showLevelToast(celebration);
+            }
+        } catch (error) {
+            console.error('Error showing celebration:', error);
+        }
+
+        isShowing = false;
+        showNext();
+    }
+
+    /**
+     * Describe a level up, a maxed attribute or a badge
+     * @param {Object} celebration - The levelUp, attributeMaxed or badgeUnlocked celebration
+     * @returns {string} - The toast text
+     */
+    function getToastText({ type, payload }) {
+        if (type === 'badgeUnlocked') {
+            return `Badge earned: ${payload.name}`;
+        }
+
+        if (payload.attribute === null) {
+            return `Level up! You are now ${payload.rank} Level ${payload.level}`;
+        }
+
+        const attributeName = payload.attribute.charAt(0).toUpperCase() + payload.attribute.slice(1);
+
+        if (type === 'attributeMaxed') {
+            return payload.nextRank
+                ? `${attributeName} completed ${payload.rank}`
+                : `${attributeName} is fully mastered`;
+        }
+
+        return `${attributeName} reached Level ${payload.level}`;
+    }
+
+    /**
+     * Show a level-up or badge toast
+     * @param {Object} celebration - The levelUp, attributeMaxed or badgeUnlocked celebration
+     * @returns {Promise} - Resolves once the toast is gone
+     */
+    function showLevelToast(celebration) {
+        const { payload } = celebration;
+
+        return new Promise(resolve => {
+            const toast = document.createElement('div');
+            const variant = celebration.type === 'badgeUnlocked'
+                ? 'badge-unlocked'
+                : (payload.attribute ? `${payload.attribute}-border` : 'user-level');
+            toast.className = `celebration-toast ${variant}`;
+            toast.setAttribute('role', 'status');
+            toast.innerHTML = `
+                <span class="celebration-toast-icon">${payload.icon || (payload.attribute ? '⬆️' : '⭐')}</span>
+                <span>${getToastText(celebration)}</span>
+            `;
+
+            let dismissTimer = null;
+            const dismiss = () => {
+                clearTimeout(dismissTimer);
+                toast.remove();
+                resolve();
+            };
+
+            toast.addEventListener('click', dismiss);
+            dismissTimer = setTimeout(dismiss, TOAST_DURATION);
+
+            document.body.appendChild(toast);
+        });
+    }
+
+    /**
+     * Collect what a new rank opens up
+     * @param {string} rankTitle - The new rank
+     * @returns {Promise<Object>} - Quests now available in the rank and the new attribute cap
+     */
+    async function getUnlockedContent(rankTitle) {
+        const userProfile = DataManager.getUserProfile();
+        const quests = await DataManager.getQuestData();
+
+        return {
+            quests: quests.filter(quest =>
+                quest.rank.title === rankTitle &&
+                userProfile.unlockedQuests.includes(quest.id) &&
+                !userProfile.completedQuests.includes(quest.id)
+            ),
+            rankQuestCount: quests.filter(quest => quest.rank.title === rankTitle).length,
+            attributeCap: ProgressionSystem.RANKS[rankTitle].cumulativeHours
+        };
+    }
+
+    /**
+     * Show the full-screen rank-up ceremony
+     * @param {Object} payload - The rankUp event
+     * @returns {Promise} - Resolves once the player closes the ceremony
+     */
+    async function showRankCeremony(payload) {
+        const rankData = ProgressionSystem.RANKS[payload.rank];
+        const content = await getUnlockedContent(payload.rank);
+
+        const questsHtml = content.quests.length > 0
+            ? `<ul class="ceremony-quests">${content.quests.map(quest => `<li>${quest.title}</li>`).join('')}</ul>`
+            : `<p>${content.rankQuestCount > 0 ? `${content.rankQuestCount} ${payload.rank} quests are waiting to be unlocked.` : `New ${payload.rank} quests are on their way.`}</p>`;
+
+        const nextRankText = rankData.nextRank
+            ? `Next up: ${rankData.nextRank}`
+            : 'This is the highest rank. Congratulations, Chef!';
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = `rank-ceremony rank-ceremony-${rankData.color.toLowerCase()}`;
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-modal', 'true');
+            overlay.setAttribute('aria-labelledby', 'rank-ceremony-title');
+            overlay.innerHTML = `
+                <div class="ceremony-content">
+                    <p class="ceremony-kicker">Rank Up!</p>
+                    <img class="ceremony-icon" src="${rankData.icon}" alt="${rankData.color} rank icon" width="80" height="80">
+                    <h2 id="rank-ceremony-title" class="ceremony-rank">${payload.rank}</h2>
+                    <p class="ceremony-color">${rankData.color} rank · promoted from ${payload.previousRank}</p>
+
+                    <div class="ceremony-unlocks">
+                        <h3>Unlocked</h3>
+                        <p>Each attribute can now grow to ${content.attributeCap} hours across ${rankData.levels} new levels.</p>
+                        ${questsHtml}
+                    </div>
+
+                    <p class="ceremony-next">${nextRankText}</p>
+                    <button class="complete-button ceremony-continue">Continue</button>
+                </div>
+            `;
+
+            const close = () => {
+                document.removeEventListener('keydown', handleKeydown);
+                overlay.remove();
+                resolve();
+            };
+            const handleKeydown = event => {
+                if (event.key === 'Escape') close();
+            };
+
+            overlay.querySelector('.ceremony-continue').addEventListener('click', close);
+            document.addEventListener('keydown', handleKeydown);
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('.ceremony-continue').focus();
+        });
+    }
+
+    /**
+     * Get the number of celebrations waiting to be shown
+     * @returns {number} - Queued celebrations, not counting the one on screen
+     */
+    function getQueueLength() {
+        return queue.length;
+    }
+
+    // Public API
+    return {
+        TOAST_DURATION,
+        initialize,
+        getQueueLength
+    };
+})();
@@ -3,20 +3,48 @@
  * Updated to remove skills and journal features.
  */
 
+import { ProgressionSystem } from './progression-system.js';
+import { ProgressionEvents } from './progression-events.js';
+import { QuestCatalog } from './quest-catalog.js';
+import { QuestRepeats } from './quest-repeats.js';
+import { QuestModifiers } from './quest-modifiers.js';
+import { QuestGraph } from './quest-graph.js';
+import { QuestRecommender } from './quest-recommender.js';
+import { ProgressionPlanner } from './progression-planner.js';
+import { QuestValidator } from './quest-validator.js';
+import { ProfileMigrations } from './profile-migrations.js';
+import { Badges } from './badges.js';
+import { Streaks } from './streaks.js';
+import { ProfileTransfer } from './profile-transfer.js';
+import { StorageAdapters } from './storage-adapters.js';
+
 // Data manager namespace
-const DataManager = (() => {
+export const DataManager = (() => {
     // Configuration
     const CONFIG = {
         // URL for quest data - replace with your GitHub URL or local path
         questDataUrl: 'https://dicedrpg.github.io/diced-rpg-data/data/quests.json',
         
-        // Local storage keys
+        // Prefix shared by every storage key the app owns
+        storageKeyPrefix: 'diced_',
+        
+        // Storage keys
+        // Keys marked per profile are namespaced with the profile id (see getProfileKey)
         storageKeys: {
-            userProfile: 'diced_user_profile',
+            profiles: 'diced_profiles',
+            userProfile: 'diced_user_profile', // per profile
+            profileBackup: 'diced_user_profile_backup', // per profile
+            activityLog: 'diced_activity_log', // per profile
             questData: 'diced_quest_data',
             lastFetch: 'diced_last_fetch'
         },
         
+        // Longest name a profile can have
+        maxProfileNameLength: 30,
+        
+        // Quests every new profile starts with
+        defaultUnlockedQuests: ["T1-1", "T1-2", "T1-3", "T1-6", "T1-7", "T1-8", "S1-1", "S1-5", "S1-6", "S1-7", "M1-1", "M1-4", "M1-5", "E1-1", "E1-3", "E1-4"],
+        
         // Cache expiration (24 hours in milliseconds)
         cacheExpiration: 24 * 60 * 60 * 1000
     };
@@ -24,39 +52,437 @@ const DataManager = (() => {
     // In-memory data store
     let dataStore = {
         userProfile: null,
-        questData: null
+        questData: null,
+        questSource: null,
+        catalogReport: null,
+        questModifiers: null,
+        activityLog: null,
+        profiles: null,
+        // Set when the stored profile could not be loaded; nothing is saved until it is reset
+        profileLoadError: null
     };
     
+    // Storage backend (see storage-adapters.js) and a synchronous copy of its contents
+    let storage = null;
+    const storageCache = new Map();
+    
+    // Writes are sent to the backend one after another
+    let pendingWrites = Promise.resolve();
+    
+    // Writes that failed since the last whenSaved(), and the handlers told about each failure
+    let failedWrites = [];
+    const storageErrorListeners = new Set();
+    
+    // Whether streak and badge checks are scheduled, and the subscriptions that trigger them
+    let progressChecksPending = false;
+    let progressCheckUnsubscribers = [];
+    
+    /**
+     * Connect a storage backend and load everything the app has stored in it
+     * @param {Object} adapter - The storage adapter
+     * @returns {Promise<void>} - Promise resolving once the stored data is loaded
+     */
+    async function connectStorage(adapter) {
+        storage = adapter;
+        storageCache.clear();
+        
+        // Anything loaded from a previous backend no longer applies
+        dataStore.userProfile = null;
+        dataStore.activityLog = null;
+        dataStore.profiles = null;
+        dataStore.profileLoadError = null;
+        failedWrites = [];
+        
+        const keys = (await storage.keys()).filter(key => key.startsWith(CONFIG.storageKeyPrefix));
+        for (const key of keys) {
+            storageCache.set(key, await storage.getItem(key));
+        }
+        
+        console.log(`Using ${storage.name} storage (${keys.length} items)`);
+    }
+    
+    /**
+     * Read a stored value
+     * @param {string} key - The storage key
+     * @returns {string|null} - The stored value, or null if there is none
+     */
+    function readItem(key) {
+        return storageCache.has(key) ? storageCache.get(key) : null;
+    }
+    
+    /**
+     * Store a value; it is readable immediately and written to the backend in the background
+     * @param {string} key - The storage key
+     * @param {string} value - The value to store
+     */
+    function writeItem(key, value) {
+        storageCache.set(key, value);
+        
+        pendingWrites = pendingWrites
+            .then(() => storage.setItem(key, value))
+            .catch(error => handleStorageError(key, error));
+    }
+    
+    /**
+     * Remove a stored value
+     * @param {string} key - The storage key
+     */
+    function removeItem(key) {
+        storageCache.delete(key);
+        
+        pendingWrites = pendingWrites
+            .then(() => storage.removeItem(key))
+            .catch(error => handleStorageError(key, error));
+    }
+    
+    /**
+     * Record a failed write and tell the storage error handlers
+     * The value stays in the cache, so the backend is behind until it is saved again.
+     * @param {string} key - The storage key
+     * @param {Error} error - The error from the backend (e.g. a full quota)
+     */
+    function handleStorageError(key, error) {
+        console.error(`Error saving ${key} to ${storage.name} storage:`, error);
+        
+        const failure = { key: key, storage: storage.name, error: error };
+        failedWrites.push(failure);
+        storageErrorListeners.forEach(listener => {
+            try {
+                listener(failure);
+            } catch (listenerError) {
+                console.error('Error in storage error handler:', listenerError);
+            }
+        });
+    }
+    
+    /**
+     * Subscribe to failed writes
+     * @param {Function} listener - Called with { key, storage, error } for each failed write
+     * @returns {Function} - Call to unsubscribe
+     */
+    function onStorageError(listener) {
+        storageErrorListeners.add(listener);
+        return () => storageErrorListeners.delete(listener);
+    }
+    
+    /**
+     * Wait until every stored value has been written to the backend
+     * @returns {Promise<void>} - Promise resolving once all writes have finished, or
+     *                            rejecting if any of them failed since the last call
+     */
+    async function whenSaved() {
+        await pendingWrites;
+        
+        if (failedWrites.length > 0) {
+            const failed = failedWrites;
+            failedWrites = [];
+            throw new Error(`Could not save ${failed.map(failure => failure.key).join(', ')}: ${failed[0].error.message}`);
+        }
+    }
+    
     /**
      * Initialize the default user profile if none exists
      * Using ProgressionSystem to create a standardized profile
+     * @param {Object} identity - User id and name to keep (e.g. when resetting a profile)
      * @returns {Object} - The default user profile
      */
-    function initDefaultUserProfile() {
+    function initDefaultUserProfile(identity = {}) {
         // Use ProgressionSystem to create a baseline profile
         const baseProfile = ProgressionSystem.createNewUserProfile();
         
         // Add our app-specific properties
         const userProfile = {
             ...baseProfile,
+            userId: identity.userId || baseProfile.userId,
+            username: identity.username || baseProfile.username,
+            schemaVersion: ProfileMigrations.CURRENT_SCHEMA_VERSION,
             completedQuests: [],
-            unlockedQuests: ["T1-1", "T1-2", "T1-3", "T1-6", "T1-7", "T1-8", "S1-1", "S1-5", "S1-6", "S1-7", "M1-1", "M1-4", "M1-5", "E1-1", "E1-3", "E1-4"],
+            unlockedQuests: [...CONFIG.defaultUnlockedQuests],
             // Track progression milestones
             milestones: {
                 questsCompleted: 0,
                 hoursAccumulated: 0,
                 rankAdvances: 0,
-                levelUps: 0
+                levelUps: 0,
+                practiceSessions: 0
             },
+            // Track completion counts and times for every quest
+            questCompletions: {},
+            // Today's daily quest picks
+            dailyQuests: null,
+            // Challenge modifiers rolled for quests in progress
+            questAttempts: {},
             // Track recent achievements
-            recentAchievements: []
+            recentAchievements: [],
+            // Earned badges and when they were earned
+            badges: {},
+            // Weekly goals and streak freezes
+            streaks: Streaks.createStreakState()
         };
         
         return userProfile;
     }
     
     /**
-     * Load the user profile from local storage
+     * Get the storage key of a per-profile value for the active profile
+     * @param {string} baseKey - The key from CONFIG.storageKeys
+     * @param {string} profileId - The profile (defaults to the active profile)
+     * @returns {string} - The namespaced key
+     */
+    function getProfileKey(baseKey, profileId = loadProfileRegistry().activeProfileId) {
+        return `${baseKey}:${profileId}`;
+    }
+    
+    /**
+     * Load the list of profiles on this device
+     * Data saved before profiles existed is moved into the namespace of its own profile.
+     * @returns {Object} - The registry with the active profile id and the profiles
+     */
+    function loadProfileRegistry() {
+        if (dataStore.profiles) {
+            return dataStore.profiles;
+        }
+        
+        const storedRegistry = readItem(CONFIG.storageKeys.profiles);
+        
+        if (storedRegistry) {
+            try {
+                dataStore.profiles = JSON.parse(storedRegistry);
+                return dataStore.profiles;
+            } catch (e) {
+                console.error('Error loading profile list:', e);
+            }
+        }
+        
+        // Start a registry with the single profile stored by earlier versions, or a new one
+        let legacyProfile = null;
+        try {
+            legacyProfile = JSON.parse(readItem(CONFIG.storageKeys.userProfile));
+        } catch (e) {
+            console.error('Error reading stored user profile:', e);
+        }
+        
+        const profile = legacyProfile && legacyProfile.userId
+            ? legacyProfile
+            : initDefaultUserProfile();
+        
+        dataStore.profiles = {
+            activeProfileId: profile.userId,
+            profiles: [{ id: profile.userId, name: profile.username, createdAt: Date.now() }]
+        };
+        saveProfileRegistry();
+        
+        if (legacyProfile) {
+            moveLegacyProfileData(profile.userId);
+        } else {
+            writeItem(getProfileKey(CONFIG.storageKeys.userProfile, profile.userId), JSON.stringify(profile));
+        }
+        
+        return dataStore.profiles;
+    }
+    
+    /**
+     * Move data stored before profiles existed into a profile's namespace
+     * @param {string} profileId - The profile that owns the data
+     */
+    function moveLegacyProfileData(profileId) {
+        const { userProfile, activityLog, profileBackup } = CONFIG.storageKeys;
+        
+        Array.from(storageCache.keys())
+            .filter(key => key === userProfile || key === activityLog || key.startsWith(`${profileBackup}_`))
+            .forEach(key => {
+                const baseKey = key.startsWith(`${profileBackup}_`) ? profileBackup : key;
+                writeItem(getProfileKey(baseKey, profileId) + key.slice(baseKey.length), readItem(key));
+                removeItem(key);
+            });
+    }
+    
+    /**
+     * Save the list of profiles on this device
+     */
+    function saveProfileRegistry() {
+        if (dataStore.profiles) {
+            writeItem(CONFIG.storageKeys.profiles, JSON.stringify(dataStore.profiles));
+        }
+    }
+    
+    /**
+     * Validate a profile name
+     * @param {string} name - The proposed name
+     * @returns {string|null} - An error message, or null if the name is fine
+     */
+    function validateProfileName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        
+        if (trimmed.length === 0) {
+            return "Profile name cannot be empty";
+        }
+        if (trimmed.length > CONFIG.maxProfileNameLength) {
+            return `Profile name must be ${CONFIG.maxProfileNameLength} characters or fewer`;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * List the profiles on this device
+     * @returns {Array} - Profiles with id, name, creation time and whether they are active
+     */
+    function listProfiles() {
+        const registry = loadProfileRegistry();
+        
+        return registry.profiles.map(profile => ({
+            ...profile,
+            isActive: profile.id === registry.activeProfileId
+        }));
+    }
+    
+    /**
+     * Get the id of the active profile
+     * @returns {string} - The profile id
+     */
+    function getActiveProfileId() {
+        return loadProfileRegistry().activeProfileId;
+    }
+    
+    /**
+     * Get the id and name of the active profile
+     * @returns {Object} - The identity to use for the active profile's data
+     */
+    function getActiveIdentity() {
+        const registry = loadProfileRegistry();
+        const entry = registry.profiles.find(profile => profile.id === registry.activeProfileId);
+        
+        return { userId: registry.activeProfileId, username: entry ? entry.name : undefined };
+    }
+    
+    /**
+     * Make a profile the active one
+     * @param {string} profileId - The profile to switch to
+     * @returns {Object} - Result object with the profile
+     */
+    function switchProfile(profileId) {
+        const registry = loadProfileRegistry();
+        
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            return { success: false, message: "Profile not found" };
+        }
+        
+        registry.activeProfileId = profileId;
+        saveProfileRegistry();
+        
+        // Per-profile data is loaded again from the new namespace
+        dataStore.userProfile = null;
+        dataStore.activityLog = null;
+        dataStore.profileLoadError = null;
+        const userProfile = loadUserProfile();
+        
+        // Catch up on the streaks and badges of the profile switched to
+        scheduleProgressChecks();
+        
+        return { success: true, message: "Profile switched", userProfile: userProfile };
+    }
+    
+    /**
+     * Create a new profile and make it the active one
+     * @param {string} name - The player's name
+     * @returns {Object} - Result object with the new profile
+     */
+    function createProfile(name) {
+        const error = validateProfileName(name);
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        const registry = loadProfileRegistry();
+        const userProfile = initDefaultUserProfile({ username: name.trim() });
+        
+        // Ids are based on the creation time, so make sure they stay unique
+        while (registry.profiles.some(profile => profile.id === userProfile.userId)) {
+            userProfile.userId += '-1';
+        }
+        
+        registry.profiles.push({ id: userProfile.userId, name: userProfile.username, createdAt: Date.now() });
+        writeItem(getProfileKey(CONFIG.storageKeys.userProfile, userProfile.userId), JSON.stringify(userProfile));
+        
+        return switchProfile(userProfile.userId);
+    }
+    
+    /**
+     * Rename a profile
+     * @param {string} profileId - The profile to rename
+     * @param {string} name - The new name
+     * @returns {Object} - Result object
+     */
+    function renameProfile(profileId, name) {
+        const error = validateProfileName(name);
+        if (error) {
+            return { success: false, message: error };
+        }
+        
+        const registry = loadProfileRegistry();
+        const entry = registry.profiles.find(profile => profile.id === profileId);
+        
+        if (!entry) {
+            return { success: false, message: "Profile not found" };
+        }
+        
+        entry.name = name.trim();
+        saveProfileRegistry();
+        
+        // Keep the name stored in the profile itself in sync
+        if (profileId === registry.activeProfileId) {
+            loadUserProfile().username = entry.name;
+            saveUserProfile();
+        } else {
+            const key = getProfileKey(CONFIG.storageKeys.userProfile, profileId);
+            const storedProfile = readItem(key);
+            if (storedProfile) {
+                writeItem(key, JSON.stringify({ ...JSON.parse(storedProfile), username: entry.name }));
+            }
+        }
+        
+        return { success: true, message: `Profile renamed to ${entry.name}` };
+    }
+    
+    /**
+     * Delete a profile and everything stored for it
+     * Deleting the active profile switches to another one; the last profile can't be deleted.
+     * @param {string} profileId - The profile to delete
+     * @returns {Object} - Result object
+     */
+    function deleteProfile(profileId) {
+        const registry = loadProfileRegistry();
+        const entry = registry.profiles.find(profile => profile.id === profileId);
+        
+        if (!entry) {
+            return { success: false, message: "Profile not found" };
+        }
+        
+        if (registry.profiles.length === 1) {
+            return { success: false, message: "The last profile can't be deleted" };
+        }
+        
+        // Remove every value in the profile's namespace
+        const namespaceKeys = [CONFIG.storageKeys.userProfile, CONFIG.storageKeys.activityLog, CONFIG.storageKeys.profileBackup]
+            .map(baseKey => getProfileKey(baseKey, profileId));
+        Array.from(storageCache.keys())
+            .filter(key => namespaceKeys.some(namespaceKey => key === namespaceKey || key.startsWith(`${namespaceKey}_`)))
+            .forEach(removeItem);
+        
+        registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+        
+        if (registry.activeProfileId === profileId) {
+            switchProfile(registry.profiles[0].id);
+        } else {
+            saveProfileRegistry();
+        }
+        
+        return { success: true, message: `Profile ${entry.name} deleted` };
+    }
+    
+    /**
+     * Load the user profile from storage
      * @returns {Object} - The user profile
      */
     function loadUserProfile() {
@@ -65,124 +491,287 @@ const DataManager = (() => {
             return dataStore.userProfile;
         }
         
-        // Try to get from local storage
-        const storedProfile = localStorage.getItem(CONFIG.storageKeys.userProfile);
+        // Try to get from storage
+        const storedProfile = readItem(getProfileKey(CONFIG.storageKeys.userProfile));
         
         if (storedProfile) {
             try {
-                dataStore.userProfile = JSON.parse(storedProfile);
-                
-                // Ensure all required properties exist
-                if (!dataStore.userProfile.recentAchievements) {
-                    dataStore.userProfile.recentAchievements = [];
-                }
+                let userProfile = JSON.parse(storedProfile);
                 
-                if (!dataStore.userProfile.milestones) {
-                    dataStore.userProfile.milestones = {
-                        questsCompleted: 0,
-                        hoursAccumulated: 0,
-                        rankAdvances: 0,
-                        levelUps: 0
-                    };
+                // Upgrade older profiles to the current schema
+                if (ProfileMigrations.needsMigration(userProfile)) {
+                    userProfile = migrateUserProfile(userProfile, storedProfile);
                 }
                 
-                // Add attribute currentRank property if missing
-                const attributes = dataStore.userProfile.attributes || {};
-                Object.keys(attributes).forEach(attrName => {
-                    if (!attributes[attrName].currentRank) {
-                        attributes[attrName].currentRank = dataStore.userProfile.currentRank.title;
-                    }
-                });
-                
                 // Calculate rank just to make sure everything is consistent
-                dataStore.userProfile = ProgressionSystem.calculateUserRank(dataStore.userProfile);
+                dataStore.userProfile = ProgressionSystem.calculateUserRank(userProfile);
                 
                 return dataStore.userProfile;
             } catch (e) {
-                console.error('Error parsing stored user profile:', e);
-                // If there's an error, create a new profile
+                console.error('Error loading stored user profile:', e);
+                
+                // Keep the stored blob and play on a new profile that is not saved
+                // until the user confirms a reset (see resetUserProgress)
+                const backupKey = `${getProfileKey(CONFIG.storageKeys.profileBackup)}_failed`;
+                writeItem(backupKey, JSON.stringify({
+                    backedUpAt: Date.now(),
+                    error: e.message,
+                    data: storedProfile
+                }));
+                dataStore.profileLoadError = { message: e.message, backupKey: backupKey };
+                dataStore.userProfile = initDefaultUserProfile(getActiveIdentity());
+                return dataStore.userProfile;
             }
         }
         
         // If no profile exists or there was an error, create a new one
-        dataStore.userProfile = initDefaultUserProfile();
+        dataStore.userProfile = initDefaultUserProfile(getActiveIdentity());
         saveUserProfile();
         return dataStore.userProfile;
     }
     
     /**
-     * Save the user profile to local storage
+     * Migrate a stored profile to the current schema version
+     * The raw pre-migration blob is kept in storage before anything is changed
+     * @param {Object} userProfile - The parsed stored profile
+     * @param {string} rawProfile - The stored profile exactly as it was read
+     * @returns {Object} - The migrated profile
+     */
+    function migrateUserProfile(userProfile, rawProfile) {
+        const fromVersion = ProfileMigrations.getSchemaVersion(userProfile);
+        
+        // Keep a backup of the blob as it was before migrating
+        writeItem(
+            `${getProfileKey(CONFIG.storageKeys.profileBackup)}_v${fromVersion}`,
+            JSON.stringify({
+                schemaVersion: fromVersion,
+                backedUpAt: Date.now(),
+                data: rawProfile
+            })
+        );
+        
+        const result = ProfileMigrations.migrateProfile(userProfile);
+        
+        console.log(`Migrated user profile from schema v${result.fromVersion} to v${result.toVersion} (applied: ${result.applied.join(', ')})`);
+        
+        // Persist the migrated profile straight away
+        writeItem(getProfileKey(CONFIG.storageKeys.userProfile), JSON.stringify(result.profile));
+        
+        return result.profile;
+    }
+    
+    /**
+     * Get the pre-migration backup of the user profile for a schema version
+     * @param {number} schemaVersion - The schema version the profile had before migrating
+     * @returns {Object|null} - The backup with its version, time and raw data
+     */
+    function getProfileBackup(schemaVersion) {
+        const backup = readItem(`${getProfileKey(CONFIG.storageKeys.profileBackup)}_v${schemaVersion}`);
+        
+        try {
+            return backup ? JSON.parse(backup) : null;
+        } catch (e) {
+            console.error('Error parsing profile backup:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Get the error that stopped the stored user profile from loading
+     * While set, the profile in use is a new one and nothing is saved over the stored one.
+     * @returns {Object|null} - The error message and the key of the backup, or null
+     */
+    function getProfileLoadError() {
+        return dataStore.profileLoadError;
+    }
+    
+    /**
+     * Save the user profile to storage
      */
     function saveUserProfile() {
+        if (dataStore.profileLoadError) {
+            console.warn('Not saving: the stored user profile could not be loaded and has not been reset');
+            return;
+        }
+        
         if (dataStore.userProfile) {
-            localStorage.setItem(
-                CONFIG.storageKeys.userProfile, 
+            writeItem(
+                getProfileKey(CONFIG.storageKeys.userProfile), 
                 JSON.stringify(dataStore.userProfile)
             );
         }
     }
     
     /**
-     * Fetch quest data from server or use cached data
-     * @returns {Promise<Object>} - Promise resolving to quest data
+     * Normalize raw catalog data into a versioned catalog
+     * Accepts either a bare array of quests or an object with version, quests and modifiers
+     * @param {Array|Object} data - Raw catalog data
+     * @returns {Object|null} - Catalog with version, quests and modifiers, or null if malformed
+     */
+    function normalizeCatalog(data) {
+        if (Array.isArray(data)) {
+            return { version: null, quests: data, modifiers: null };
+        }
+        
+        if (data && Array.isArray(data.quests)) {
+            return { version: data.version || null, quests: data.quests, modifiers: data.modifiers || null };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Fetch the quest catalog from the remote URL
+     * @returns {Promise<Object>} - Promise resolving to the remote catalog
+     */
+    async function loadRemoteCatalog() {
+        const response = await fetch(CONFIG.questDataUrl);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const catalog = normalizeCatalog(await response.json());
+        
+        if (!catalog || catalog.quests.length === 0) {
+            throw new Error('Remote quest catalog is empty or malformed');
+        }
+        
+        return catalog;
+    }
+    
+    /**
+     * Load the quest catalog cached in storage
+     * @returns {Object|null} - The cached catalog or null if unavailable
+     */
+    function loadCachedCatalog() {
+        const cachedData = readItem(CONFIG.storageKeys.questData);
+        
+        if (!cachedData) {
+            return null;
+        }
+        
+        try {
+            const catalog = normalizeCatalog(JSON.parse(cachedData));
+            return catalog && catalog.quests.length > 0 ? catalog : null;
+        } catch (e) {
+            console.error('Error parsing cached quest data:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Load the quest catalog bundled with the app
+     * @returns {Object|null} - The bundled catalog or null if not loaded
+     */
+    function loadBundledCatalog() {
+        if (typeof QuestCatalog === 'undefined') {
+            return null;
+        }
+        
+        return {
+            version: QuestCatalog.version,
+            quests: QuestCatalog.quests,
+            modifiers: QuestCatalog.modifiers
+        };
+    }
+    
+    /**
+     * Validate a loaded catalog, store it in memory and record where it came from
+     * @param {Object} catalog - The catalog with version, quests and modifiers
+     * @param {string} source - Where the catalog was loaded from (remote, cache, bundled, none)
+     * @param {number|null} fetchedAt - When the catalog was fetched from the remote URL
+     * @returns {Array|null} - The accepted quest data, or null if no quest passed validation
+     */
+    function setQuestCatalog(catalog, source, fetchedAt = null) {
+        const { quests, modifiers, report } = QuestValidator.validateCatalog(catalog.quests, {
+            version: catalog.version,
+            source: source,
+            modifiers: catalog.modifiers
+        });
+        
+        if (report.errorCount > 0 || report.warningCount > 0) {
+            console.warn(`Quest catalog from ${source}: ${report.errorCount} errors, ${report.warningCount} warnings, ${report.quarantined.length} quests quarantined`);
+        }
+        
+        // A catalog with nothing usable in it is treated as unavailable
+        if (quests.length === 0 && source !== 'none') {
+            console.error(`No valid quests in catalog from ${source}`);
+            return null;
+        }
+        
+        dataStore.questData = quests;
+        dataStore.catalogReport = report;
+        
+        // Catalogs without usable modifier tables fall back to the bundled ones
+        const bundledCatalog = source === 'bundled' ? null : loadBundledCatalog();
+        dataStore.questModifiers = modifiers || (bundledCatalog && bundledCatalog.modifiers) || null;
+        dataStore.questSource = {
+            source: source,
+            version: catalog.version,
+            fetchedAt: fetchedAt
+        };
+        
+        console.log(`Loaded ${quests.length} quests from ${source} (version ${catalog.version || 'unknown'})`);
+        
+        return dataStore.questData;
+    }
+    
+    /**
+     * Fetch quest data, falling back from remote to cache to the bundled catalog
+     * @returns {Promise<Array>} - Promise resolving to quest data
      */
     async function fetchQuestData() {
-        // Check if we need to fetch new data
-        const lastFetch = localStorage.getItem(CONFIG.storageKeys.lastFetch);
-        const cachedData = localStorage.getItem(CONFIG.storageKeys.questData);
+        const lastFetch = parseInt(readItem(CONFIG.storageKeys.lastFetch)) || null;
         const now = Date.now();
+        let questData = null;
         
         // Use cached data if it exists and is not expired
-        if (
-            lastFetch && 
-            cachedData && 
-            (now - parseInt(lastFetch)) < CONFIG.cacheExpiration
-        ) {
-            try {
-                dataStore.questData = JSON.parse(cachedData);
-                return dataStore.questData;
-            } catch (e) {
-                console.error('Error parsing cached quest data:', e);
-                // If there's an error, fetch new data
+        if (lastFetch && (now - lastFetch) < CONFIG.cacheExpiration) {
+            const cachedCatalog = loadCachedCatalog();
+            if (cachedCatalog) {
+                questData = setQuestCatalog(cachedCatalog, 'cache', lastFetch);
+                if (questData) return questData;
             }
         }
         
-        // Fetch new data
+        // 1. Remote catalog
         try {
-            const response = await fetch(CONFIG.questDataUrl);
+            const remoteCatalog = await loadRemoteCatalog();
+            questData = setQuestCatalog(remoteCatalog, 'remote', now);
             
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // Only cache catalogs that contain usable quests
+            if (questData) {
+                writeItem(CONFIG.storageKeys.questData, JSON.stringify(remoteCatalog));
+                writeItem(CONFIG.storageKeys.lastFetch, now.toString());
+                return questData;
             }
-            
-            const data = await response.json();
-            
-            // Cache the data
-            dataStore.questData = data;
-            localStorage.setItem(CONFIG.storageKeys.questData, JSON.stringify(data));
-            localStorage.setItem(CONFIG.storageKeys.lastFetch, now.toString());
-            
-            return data;
         } catch (e) {
             console.error('Error fetching quest data:', e);
-            
-            // If fetch fails but we have cached data, use it regardless of age
-            if (cachedData) {
-                try {
-                    return JSON.parse(cachedData);
-                } catch (parseError) {
-                    console.error('Error parsing cached quest data:', parseError);
-                }
-            }
-            
-            // If all else fails, return empty array
-            return [];
         }
+        
+        // 2. Cached catalog, regardless of age
+        const cachedCatalog = loadCachedCatalog();
+        if (cachedCatalog) {
+            questData = setQuestCatalog(cachedCatalog, 'cache', lastFetch);
+            if (questData) return questData;
+        }
+        
+        // 3. Bundled catalog
+        const bundledCatalog = loadBundledCatalog();
+        if (bundledCatalog) {
+            console.warn('Remote and cached quest data unavailable, using bundled catalog');
+            questData = setQuestCatalog(bundledCatalog, 'bundled');
+            if (questData) return questData;
+        }
+        
+        // If all else fails, use an empty catalog
+        return setQuestCatalog({ version: null, quests: [] }, 'none');
     }
     
     /**
      * Get quest data (fetch if needed)
-     * @returns {Promise<Object>} - Promise resolving to quest data
+     * @returns {Promise<Array>} - Promise resolving to quest data
      */
     async function getQuestData() {
         if (dataStore.questData) {
@@ -192,6 +781,308 @@ const DataManager = (() => {
         return await fetchQuestData();
     }
     
+    /**
+     * Get information about where the current quest data was loaded from
+     * @returns {Object|null} - Source, catalog version and fetch time
+     */
+    function getQuestSource() {
+        return dataStore.questSource;
+    }
+    
+    /**
+     * Get the validation report for the current quest data
+     * @returns {Object|null} - The report produced by QuestValidator
+     */
+    function getCatalogReport() {
+        return dataStore.catalogReport;
+    }
+    
+    /**
+     * Get the challenge modifier tables and bonus for the current quest data
+     * @returns {Object|null} - The modifier block from the quest catalog
+     */
+    function getQuestModifiers() {
+        return dataStore.questModifiers;
+    }
+    
+    /**
+     * Get the attempt in progress for a quest
+     * @param {string} questId - The quest ID
+     * @returns {Object|null} - The attempt with its rolled modifier, or null
+     */
+    function getQuestAttempt(questId) {
+        const userProfile = loadUserProfile();
+        return userProfile.questAttempts[questId] || null;
+    }
+    
+    /**
+     * Roll a challenge modifier for a quest and store it with the quest attempt
+     * Rolling again replaces the modifier; each roll has its own seed so the
+     * sequence of modifiers for an attempt is reproducible.
+     * @param {string} questId - The quest ID
+     * @returns {Object|null} - The updated attempt, or null if there are no modifier tables
+     */
+    function rollQuestModifier(questId) {
+        const userProfile = loadUserProfile();
+        const attempt = userProfile.questAttempts[questId];
+        const rollNumber = attempt ? attempt.rolls + 1 : 1;
+        
+        const seed = QuestModifiers.createSeed(userProfile, questId, rollNumber);
+        const modifier = QuestModifiers.rollModifier(dataStore.questModifiers, seed);
+        
+        if (!modifier) {
+            console.warn('No challenge modifier tables available');
+            return null;
+        }
+        
+        userProfile.questAttempts[questId] = {
+            startedAt: attempt ? attempt.startedAt : Date.now(),
+            rolls: rollNumber,
+            modifier: modifier
+        };
+        
+        saveUserProfile();
+        
+        return userProfile.questAttempts[questId];
+    }
+    
+    /**
+     * Load the activity log from storage
+     * @returns {Array} - Activity log entries, oldest first
+     */
+    function loadActivityLog() {
+        if (dataStore.activityLog) {
+            return dataStore.activityLog;
+        }
+        
+        const storedLog = readItem(getProfileKey(CONFIG.storageKeys.activityLog));
+        
+        try {
+            dataStore.activityLog = storedLog ? JSON.parse(storedLog) : [];
+        } catch (e) {
+            console.error('Error parsing stored activity log:', e);
+            dataStore.activityLog = [];
+        }
+        
+        return dataStore.activityLog;
+    }
+    
+    /**
+     * Save the activity log to storage
+     */
+    function saveActivityLog() {
+        // The stored log belongs to the profile that could not be loaded
+        if (dataStore.profileLoadError) return;
+        
+        if (dataStore.activityLog) {
+            writeItem(
+                getProfileKey(CONFIG.storageKeys.activityLog),
+                JSON.stringify(dataStore.activityLog)
+            );
+        }
+    }
+    
+    /**
+     * Add hours to several attributes and append the result to the activity log
+     * @param {Object} hoursByAttribute - Requested hours keyed by attribute
+     * @param {Object} details - What earned the hours
+     * @param {string} details.type - Activity type (quest, practice, manual)
+     * @param {string|null} details.questId - The quest that earned the hours, if any
+     * @returns {Object} - The updated profile and the new activity log entry
+     */
+    function applyAttributeHours(hoursByAttribute, details) {
+        let userProfile = loadUserProfile();
+        const timestamp = Date.now();
+        
+        const rankBefore = {
+            title: userProfile.currentRank.title,
+            level: userProfile.currentRank.level
+        };
+        
+        const deltas = {};
+        
+        // Process each attribute one at a time to track individual updates
+        for (const [attr, hours] of Object.entries(hoursByAttribute)) {
+            if (!(hours > 0) || !userProfile.attributes[attr]) continue;
+            
+            const before = userProfile.attributes[attr];
+            const levelBefore = before.currentLevel;
+            const attributeRankBefore = before.currentRank;
+            
+            // Update attribute using ProgressionSystem
+            const result = ProgressionSystem.updateAttributeHours(userProfile, attr, hours);
+            userProfile = result.profile;
+            
+            // Log the update status for debugging
+            console.log(`Attribute ${attr} update: ${result.status}`);
+            
+            const after = userProfile.attributes[attr];
+            deltas[attr] = {
+                requestedHours: result.requestedHours,
+                effectiveHours: result.effectiveHours,
+                cappedHours: result.requestedHours - result.effectiveHours,
+                totalHoursAfter: after.totalHours,
+                rankBefore: attributeRankBefore,
+                rankAfter: after.currentRank,
+                levelBefore: levelBefore,
+                levelAfter: after.currentLevel
+            };
+        }
+        
+        dataStore.userProfile = userProfile;
+        
+        // Append to the activity log (entries are never modified once written)
+        const activityLog = loadActivityLog();
+        const entry = {
+            id: `activity-${timestamp}-${activityLog.length}`,
+            timestamp: timestamp,
+            type: details.type,
+            questId: details.questId || null,
+            deltas: deltas,
+            rankBefore: rankBefore,
+            rankAfter: {
+                title: userProfile.currentRank.title,
+                level: userProfile.currentRank.level
+            }
+        };
+        
+        activityLog.push(entry);
+        saveActivityLog();
+        
+        return { profile: userProfile, entry };
+    }
+    
+    /**
+     * Convert a date-like value to a timestamp
+     * @param {Date|number|string|undefined} value - The date
+     * @param {number} fallback - Value to use when no date is given
+     * @returns {number} - Timestamp in milliseconds
+     */
+    function toTimestamp(value, fallback) {
+        if (value === undefined || value === null) {
+            return fallback;
+        }
+        
+        return value instanceof Date ? value.getTime() : new Date(value).getTime();
+    }
+    
+    /**
+     * Get activity log entries, optionally filtered
+     * @param {Object} options - Filter options
+     * @param {Date|number} options.from - Earliest timestamp (inclusive)
+     * @param {Date|number} options.to - Latest timestamp (inclusive)
+     * @param {string} options.type - Only entries of this activity type
+     * @param {string} options.questId - Only entries for this quest
+     * @returns {Array} - Matching entries, oldest first
+     */
+    function getActivityLog(options = {}) {
+        const from = toTimestamp(options.from, -Infinity);
+        const to = toTimestamp(options.to, Infinity);
+        
+        return loadActivityLog()
+            .filter(entry => 
+                entry.timestamp >= from &&
+                entry.timestamp <= to &&
+                (!options.type || entry.type === options.type) &&
+                (!options.questId || entry.questId === options.questId)
+            )
+            .map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * Get the history of hours earned for one attribute
+     * @param {string} attribute - The attribute
+     * @param {Object} options - Date range options (from, to)
+     * @returns {Array} - One record per activity that touched the attribute, oldest first
+     */
+    function getAttributeHistory(attribute, options = {}) {
+        return getActivityLog(options)
+            .filter(entry => entry.deltas[attribute])
+            .map(entry => ({
+                entryId: entry.id,
+                timestamp: entry.timestamp,
+                type: entry.type,
+                questId: entry.questId,
+                ...entry.deltas[attribute]
+            }));
+    }
+    
+    /**
+     * Sum the hours earned per attribute over a date range
+     * @param {Object} options - Date range options (from, to)
+     * @returns {Object} - Requested and effective hours keyed by attribute
+     */
+    function getActivitySummary(options = {}) {
+        const summary = {};
+        
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            summary[attr] = { requestedHours: 0, effectiveHours: 0, sessions: 0 };
+        });
+        
+        getActivityLog(options).forEach(entry => {
+            Object.entries(entry.deltas).forEach(([attr, delta]) => {
+                if (!summary[attr]) return;
+                
+                // Undo entries carry negative hours and cancel the session they reverted
+                summary[attr].requestedHours += delta.requestedHours;
+                summary[attr].effectiveHours += delta.effectiveHours;
+                summary[attr].sessions += entry.type === 'undo' ? -1 : 1;
+            });
+        });
+        
+        return summary;
+    }
+    
+    /**
+     * Get the hours completing a quest would request
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @returns {Object} - The reward multiplier for repeats, the rewards per attribute
+     *                     (challenge bonus included), the bonus and the modifier
+     */
+    function getQuestRewards(quest, userProfile) {
+        // Scaled by the reward curve for repeat completions
+        const rewardMultiplier = QuestRepeats.getRewardMultiplier(quest, userProfile);
+        const rewards = {};
+        Object.entries(QuestRepeats.getScaledRewards(quest, userProfile)).forEach(([attr, hours]) => {
+            if (hours > 0) {
+                rewards[attr] = hours;
+            }
+        });
+        
+        // Completing the quest with a challenge modifier earns bonus hours
+        const attempt = userProfile.questAttempts[quest.id] || null;
+        const modifier = attempt ? attempt.modifier : null;
+        const bonusRewards = modifier
+            ? QuestModifiers.getBonusRewards(rewards, QuestModifiers.getBonusMultiplier(dataStore.questModifiers))
+            : {};
+        Object.entries(bonusRewards).forEach(([attr, hours]) => {
+            rewards[attr] = Math.round((rewards[attr] + hours) * 100) / 100;
+        });
+        
+        return { rewardMultiplier, rewards, bonusRewards, modifier };
+    }
+    
+    /**
+     * Preview the hours completing a quest would really earn
+     * Rank caps and attributes waiting for a rank up can swallow part or all of
+     * a reward; nothing is saved.
+     * @param {Object} quest - The quest
+     * @returns {Object} - The rewards, bonus and modifier (see getQuestRewards) and the
+     *                     per-attribute preview from ProgressionPlanner.previewHours
+     */
+    function previewQuestRewards(quest) {
+        const userProfile = loadUserProfile();
+        const { rewards, bonusRewards, modifier } = getQuestRewards(quest, userProfile);
+        
+        return {
+            rewards,
+            bonusRewards,
+            modifier,
+            ...ProgressionPlanner.previewHours(userProfile, rewards)
+        };
+    }
+    
     /**
      * Attempt to complete a quest
      * @param {string} questId - The quest ID
@@ -212,19 +1103,26 @@ const DataManager = (() => {
             };
         }
         
-        // Check if quest is already completed
-        if (userProfile.completedQuests.includes(questId)) {
+        // Check if quest is already completed (repeatable quests reopen after their cooldown)
+        const isRepeat = userProfile.completedQuests.includes(questId);
+        if (isRepeat && !QuestRepeats.isQuestOpen(quest, userProfile)) {
+            const nextAvailable = QuestRepeats.getNextAvailableTime(quest, userProfile);
             return { 
                 success: false, 
-                message: "Quest already completed" 
+                message: nextAvailable
+                    ? `Quest can be repeated again on ${new Date(nextAvailable).toLocaleDateString()}`
+                    : "Quest already completed",
+                nextAvailable: nextAvailable
             };
         }
         
-        // Check if quest is unlocked
-        if (!userProfile.unlockedQuests.includes(questId)) {
+        // Check if quest is unlocked, its prerequisites are done and the rank is reached
+        const lockReason = QuestGraph.getLockReason(quest, quests, userProfile);
+        if (lockReason.locked) {
             return { 
                 success: false, 
-                message: "Quest not unlocked yet" 
+                message: `Quest is locked. ${lockReason.message}`,
+                lockReason: lockReason
             };
         }
         
@@ -232,28 +1130,27 @@ const DataManager = (() => {
         const previousRank = userProfile.currentRank.title;
         const previousLevel = userProfile.currentRank.level;
         
-        // Collect rewards data
-        const rewards = {};
-
-        // Add attribute rewards using ProgressionSystem
-        // Process each attribute one at a time to track individual updates
-        for (const [attr, hours] of Object.entries(quest.attributeRewards)) {
-            if (hours > 0) {
-                rewards[attr] = hours;
-                
-                // Update attribute using ProgressionSystem
-                const result = ProgressionSystem.updateAttributeHours(userProfile, attr, hours);
-                
-                // Update the user profile with the result
-                userProfile = result.profile;
-                
-                // Log the update status for debugging
-                console.log(`Attribute ${attr} update: ${result.status}`);
-            }
+        // Collect rewards data, including repeat scaling and any challenge bonus
+        const { rewardMultiplier, rewards, bonusRewards, modifier } = getQuestRewards(quest, userProfile);
+        
+        // Add attribute rewards using ProgressionSystem and record them in the activity log
+        const { profile, entry } = applyAttributeHours(rewards, { type: 'quest', questId: questId });
+        userProfile = profile;
+        
+        // Hours actually earned, after rank caps
+        const effectiveRewards = {};
+        Object.entries(entry.deltas).forEach(([attr, delta]) => {
+            effectiveRewards[attr] = Math.round(delta.effectiveHours * 100) / 100;
+        });
+        
+        // Mark quest as completed and track every completion
+        if (!isRepeat) {
+            userProfile.completedQuests.push(questId);
         }
+        const completionRecord = QuestRepeats.recordCompletion(userProfile, questId, entry.timestamp);
         
-        // Mark quest as completed
-        userProfile.completedQuests.push(questId);
+        // The attempt is over; the next one starts without a modifier
+        delete userProfile.questAttempts[questId];
         
         // Update milestone counters
         userProfile.milestones.questsCompleted++;
@@ -263,34 +1160,373 @@ const DataManager = (() => {
         userProfile.milestones.hoursAccumulated += totalHoursAdded;
         
         // Unlock new quests if defined
+        const newlyUnlocked = [];
         if (quest.unlocks && Array.isArray(quest.unlocks)) {
             quest.unlocks.forEach(id => {
                 if (!userProfile.unlockedQuests.includes(id)) {
                     userProfile.unlockedQuests.push(id);
+                    newlyUnlocked.push(id);
                 }
             });
         }
         
         // Create quest completion achievement
-        const achievement = {
+        addAchievement(userProfile, {
             type: 'quest_complete',
             timestamp: Date.now(),
             questId: questId,
             questTitle: quest.title,
             questType: quest.type,
+            completionCount: completionRecord.count,
+            rewardMultiplier: rewardMultiplier,
+            activityId: entry.id,
+            modifier: modifier,
+            bonusRewards: bonusRewards,
             rewards: {...rewards}
+        });
+        
+        // Record any rank or level change
+        const progressChange = recordProgressChange(userProfile, previousRank, previousLevel, entry.id);
+        
+        // Save changes
+        saveUserProfile();
+        
+        // Announce the completion once the profile is consistent again
+        newlyUnlocked.forEach(id => {
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.QUEST_UNLOCKED, { questId: id, unlockedBy: questId });
+        });
+        ProgressionEvents.emit(ProgressionEvents.EVENTS.QUEST_COMPLETED, {
+            questId: questId,
+            questTitle: quest.title,
+            rewards: { ...rewards },
+            bonusRewards: { ...bonusRewards },
+            completionCount: completionRecord.count,
+            activityId: entry.id
+        });
+        
+        if (progressChange.rankUp) {
+            return { 
+                success: true, 
+                message: `Quest completed! You advanced to ${progressChange.newRank}!`, 
+                rewards: rewards,
+                effectiveRewards: effectiveRewards,
+                bonusRewards: bonusRewards,
+                modifier: modifier,
+                completionCount: completionRecord.count,
+                activityId: entry.id,
+                rankUp: true,
+                newRank: progressChange.newRank
+            };
+        } else if (progressChange.levelUp) {
+            return { 
+                success: true, 
+                message: `Quest completed! You reached ${progressChange.newRank} Level ${progressChange.newLevel}!`, 
+                rewards: rewards,
+                effectiveRewards: effectiveRewards,
+                bonusRewards: bonusRewards,
+                modifier: modifier,
+                completionCount: completionRecord.count,
+                activityId: entry.id,
+                levelUp: true,
+                newLevel: progressChange.newLevel
+            };
+        }
+        
+        return { 
+            success: true, 
+            message: "Quest completed!", 
+            rewards: rewards,
+            effectiveRewards: effectiveRewards,
+            bonusRewards: bonusRewards,
+            modifier: modifier,
+            completionCount: completionRecord.count,
+            activityId: entry.id
         };
+    }
+    
+    /**
+     * Get the ids of activity log entries that have been undone
+     * @returns {Set} - Entry ids referenced by undo entries
+     */
+    function getUndoneActivityIds() {
+        return new Set(
+            loadActivityLog()
+                .filter(entry => entry.type === 'undo')
+                .map(entry => entry.undoOf)
+        );
+    }
+    
+    /**
+     * Undo a quest completion and roll back its effects
+     * Hours, unlocks only granted by the quest, milestones, achievements and badges whose
+     * condition no longer holds are reverted, and the rank is recalculated. The activity log stays append-only: the undo is
+     * recorded as a new entry with negative hours that references the original.
+     * @param {string} activityId - The activity log entry of the completion
+     * @returns {Promise<Object>} - Promise resolving to result object
+     */
+    async function undoQuestCompletion(activityId) {
+        let userProfile = loadUserProfile();
+        const quests = await getQuestData();
+        const activityLog = loadActivityLog();
         
-        // Add to recent achievements
-        userProfile.recentAchievements.unshift(achievement);
-        if (userProfile.recentAchievements.length > 10) {
-            userProfile.recentAchievements.pop();
+        const completion = activityLog.find(entry => entry.id === activityId && entry.type === 'quest');
+        
+        if (!completion) {
+            return { success: false, message: "Quest completion not found" };
         }
         
-        // Save changes
+        if (getUndoneActivityIds().has(activityId)) {
+            return { success: false, message: "This completion was already undone" };
+        }
+        
+        const questId = completion.questId;
+        const quest = quests.find(q => q.id === questId) || { id: questId, title: questId, unlocks: [] };
+        const record = QuestRepeats.getCompletionRecord(userProfile, questId);
+        const isLastCompletion = record.count <= 1;
+        
+        // Unlocks are only taken back when no other completed quest grants them
+        const revokedUnlocks = !isLastCompletion ? [] : (quest.unlocks || []).filter(id =>
+            !CONFIG.defaultUnlockedQuests.includes(id) &&
+            !userProfile.completedQuests.some(otherId => {
+                if (otherId === questId) return false;
+                const other = quests.find(q => q.id === otherId);
+                return other && (other.unlocks || []).includes(id);
+            })
+        );
+        
+        const completedUnlocks = revokedUnlocks.filter(id => userProfile.completedQuests.includes(id));
+        if (completedUnlocks.length > 0) {
+            return {
+                success: false,
+                message: `Undo the quests unlocked by ${quest.title} first: ${completedUnlocks.join(', ')}`
+            };
+        }
+        
+        // Revert attribute hours
+        const deltas = {};
+        Object.entries(completion.deltas).forEach(([attr, delta]) => {
+            const attribute = userProfile.attributes[attr];
+            if (!attribute) return;
+            
+            deltas[attr] = {
+                requestedHours: -delta.requestedHours,
+                effectiveHours: -delta.effectiveHours,
+                cappedHours: -delta.cappedHours,
+                totalHoursAfter: null,
+                rankBefore: attribute.currentRank,
+                rankAfter: null,
+                levelBefore: attribute.currentLevel,
+                levelAfter: null
+            };
+            
+            attribute.totalHours = Math.max(0, attribute.totalHours - delta.effectiveHours);
+        });
+        
+        // Rebuild every rank from the remaining hours: the completion may not be the
+        // latest one, so later promotions it paid for have to be taken back too
+        const rankBefore = { title: userProfile.currentRank.title, level: userProfile.currentRank.level };
+        userProfile = ProgressionSystem.recalculateFromHours(userProfile);
+        
+        Object.keys(deltas).forEach(attr => {
+            const attribute = userProfile.attributes[attr];
+            deltas[attr].totalHoursAfter = attribute.totalHours;
+            deltas[attr].rankAfter = attribute.currentRank;
+            deltas[attr].levelAfter = attribute.currentLevel;
+        });
+        
+        // Completion records and unlocks
+        const timestamps = record.timestamps.filter(timestamp => timestamp !== completion.timestamp);
+        if (isLastCompletion) {
+            delete userProfile.questCompletions[questId];
+            userProfile.completedQuests = userProfile.completedQuests.filter(id => id !== questId);
+        } else {
+            userProfile.questCompletions[questId] = { count: record.count - 1, timestamps: timestamps };
+        }
+        userProfile.unlockedQuests = userProfile.unlockedQuests.filter(id => !revokedUnlocks.includes(id));
+        
+        // Milestones
+        const requestedHours = Object.values(completion.deltas).reduce((sum, delta) => sum + delta.requestedHours, 0);
+        userProfile.milestones.questsCompleted = Math.max(0, userProfile.milestones.questsCompleted - 1);
+        userProfile.milestones.hoursAccumulated = Math.max(0, userProfile.milestones.hoursAccumulated - requestedHours);
+        if (completion.rankBefore.title !== completion.rankAfter.title) {
+            userProfile.milestones.rankAdvances = Math.max(0, userProfile.milestones.rankAdvances - 1);
+        } else if (completion.rankBefore.level !== completion.rankAfter.level) {
+            userProfile.milestones.levelUps = Math.max(0, userProfile.milestones.levelUps - 1);
+        }
+        
+        // Achievements written by the completion
+        userProfile.recentAchievements = userProfile.recentAchievements
+            .filter(achievement => achievement.activityId !== activityId);
+        
+        // Record the undo in the activity log
+        const timestamp = Date.now();
+        activityLog.push({
+            id: `activity-${timestamp}-${activityLog.length}`,
+            timestamp: timestamp,
+            type: 'undo',
+            questId: questId,
+            undoOf: activityId,
+            deltas: deltas,
+            rankBefore: rankBefore,
+            rankAfter: {
+                title: userProfile.currentRank.title,
+                level: userProfile.currentRank.level
+            }
+        });
+        
+        // Badges that were only earned through the undone completion are taken back
+        const revokedBadges = Badges.findRevoked({ profile: userProfile, quests: quests, activityLog: activityLog })
+            .map(badge => badge.id);
+        revokedBadges.forEach(badgeId => {
+            delete userProfile.badges[badgeId];
+        });
+        
+        dataStore.userProfile = userProfile;
+        saveUserProfile();
+        saveActivityLog();
+        
+        // Streaks are checked again through the progress check subscription
+        ProgressionEvents.emit(ProgressionEvents.EVENTS.QUEST_UNDONE, {
+            questId: questId,
+            activityId: activityId,
+            revokedUnlocks: revokedUnlocks,
+            revokedBadges: revokedBadges
+        });
+        
+        return {
+            success: true,
+            message: `Undid completion of ${quest.title}`,
+            questId: questId,
+            revokedUnlocks: revokedUnlocks,
+            revokedBadges: revokedBadges
+        };
+    }
+    
+    /**
+     * Get recent quest completions for the history view
+     * @param {number} count - Maximum number of completions to return
+     * @returns {Array} - Completions, newest first, with their hours and whether they were undone
+     */
+    function getCompletionHistory(count = 10) {
+        const undoneIds = getUndoneActivityIds();
+        
+        return getActivityLog({ type: 'quest' })
+            .reverse()
+            .slice(0, count)
+            .map(entry => ({
+                activityId: entry.id,
+                questId: entry.questId,
+                timestamp: entry.timestamp,
+                hours: Object.values(entry.deltas).reduce((sum, delta) => sum + delta.effectiveHours, 0),
+                undone: undoneIds.has(entry.id)
+            }));
+    }
+    
+    /**
+     * Log a free practice session that is not part of any quest
+     * Hours are routed through ProgressionSystem so rank caps still apply.
+     * @param {Object} session - The practice session
+     * @param {number} session.durationMinutes - How long the session lasted
+     * @param {Object} session.split - Relative weight of each attribute (e.g. percentages)
+     * @param {string} session.notes - Free-form notes about the session
+     * @returns {Object} - Result object
+     */
+    function logPracticeSession(session) {
+        const durationMinutes = Number(session.durationMinutes);
+        
+        if (!(durationMinutes > 0)) {
+            return {
+                success: false,
+                message: "Practice duration must be greater than zero"
+            };
+        }
+        
+        // Only known attributes with a positive weight count towards the split
+        const weights = {};
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            const weight = Number(session.split?.[attr]) || 0;
+            if (weight > 0) {
+                weights[attr] = weight;
+            }
+        });
+        
+        const totalWeight = Object.values(weights).reduce((sum, val) => sum + val, 0);
+        
+        if (totalWeight === 0) {
+            return {
+                success: false,
+                message: "Assign the practice time to at least one attribute"
+            };
+        }
+        
+        // Split the session hours according to the weights
+        const totalHours = durationMinutes / 60;
+        const rewards = {};
+        Object.entries(weights).forEach(([attr, weight]) => {
+            rewards[attr] = Math.round((totalHours * weight / totalWeight) * 100) / 100;
+        });
+        
+        let userProfile = loadUserProfile();
+        const previousRank = userProfile.currentRank.title;
+        const previousLevel = userProfile.currentRank.level;
+        
+        const { profile, entry } = applyAttributeHours(rewards, { type: 'practice', questId: null });
+        userProfile = profile;
+        
+        // Update milestone counters
+        userProfile.milestones.practiceSessions++;
+        userProfile.milestones.hoursAccumulated += Object.values(rewards).reduce((sum, val) => sum + val, 0);
+        
+        // Create practice achievement
+        addAchievement(userProfile, {
+            type: 'practice_logged',
+            timestamp: entry.timestamp,
+            activityId: entry.id,
+            durationMinutes: durationMinutes,
+            notes: (session.notes || '').trim(),
+            rewards: {...rewards}
+        });
+        
+        const progressChange = recordProgressChange(userProfile, previousRank, previousLevel, entry.id);
+        
         saveUserProfile();
         
-        // Check if rank or level changed
+        let message = "Practice logged!";
+        if (progressChange.rankUp) {
+            message = `Practice logged! You advanced to ${progressChange.newRank}!`;
+        } else if (progressChange.levelUp) {
+            message = `Practice logged! You reached ${progressChange.newRank} Level ${progressChange.newLevel}!`;
+        }
+        
+        return {
+            success: true,
+            message: message,
+            rewards: rewards,
+            ...progressChange
+        };
+    }
+    
+    /**
+     * Add an achievement to the front of the recent achievements list
+     * @param {Object} userProfile - The user profile
+     * @param {Object} achievement - The achievement to add
+     */
+    function addAchievement(userProfile, achievement) {
+        userProfile.recentAchievements.unshift(achievement);
+        if (userProfile.recentAchievements.length > 10) {
+            userProfile.recentAchievements.pop();
+        }
+    }
+    
+    /**
+     * Record rank-up and level-up milestones and achievements after progress was made
+     * @param {Object} userProfile - The user profile (already updated)
+     * @param {string} previousRank - Rank title before the progress
+     * @param {number} previousLevel - Rank level before the progress
+     * @param {string} activityId - The activity log entry that made the progress
+     * @returns {Object} - Whether the rank or level changed, and the new values
+     */
+    function recordProgressChange(userProfile, previousRank, previousLevel, activityId) {
         const currentRank = userProfile.currentRank.title;
         const currentLevel = userProfile.currentRank.level;
         
@@ -298,62 +1534,32 @@ const DataManager = (() => {
             userProfile.milestones.rankAdvances++;
             
             // Create rank-up achievement
-            const rankUpAchievement = {
+            addAchievement(userProfile, {
                 type: 'rank_up',
                 timestamp: Date.now(),
                 previousRank: previousRank,
-                newRank: currentRank
-            };
-            
-            userProfile.recentAchievements.unshift(rankUpAchievement);
-            if (userProfile.recentAchievements.length > 10) {
-                userProfile.recentAchievements.pop();
-            }
-            
-            // Save changes again
-            saveUserProfile();
+                newRank: currentRank,
+                activityId: activityId
+            });
             
-            return { 
-                success: true, 
-                message: `Quest completed! You advanced to ${currentRank}!`, 
-                rewards: rewards,
-                rankUp: true,
-                newRank: currentRank
-            };
+            return { rankUp: true, levelUp: false, newRank: currentRank, newLevel: currentLevel };
         } else if (previousLevel !== currentLevel) {
             userProfile.milestones.levelUps++;
             
             // Create level-up achievement
-            const levelUpAchievement = {
+            addAchievement(userProfile, {
                 type: 'level_up',
                 timestamp: Date.now(),
                 rank: currentRank,
                 previousLevel: previousLevel,
-                newLevel: currentLevel
-            };
-            
-            userProfile.recentAchievements.unshift(levelUpAchievement);
-            if (userProfile.recentAchievements.length > 10) {
-                userProfile.recentAchievements.pop();
-            }
-            
-            // Save changes again
-            saveUserProfile();
+                newLevel: currentLevel,
+                activityId: activityId
+            });
             
-            return { 
-                success: true, 
-                message: `Quest completed! You reached ${currentRank} Level ${currentLevel}!`, 
-                rewards: rewards,
-                levelUp: true,
-                newLevel: currentLevel
-            };
+            return { rankUp: false, levelUp: true, newRank: currentRank, newLevel: currentLevel };
         }
         
-        return { 
-            success: true, 
-            message: "Quest completed!", 
-            rewards: rewards
-        };
+        return { rankUp: false, levelUp: false, newRank: currentRank, newLevel: currentLevel };
     }
     
     /**
@@ -373,10 +1579,9 @@ const DataManager = (() => {
         }
         
         // Update the attribute using ProgressionSystem
-        const result = ProgressionSystem.updateAttributeHours(userProfile, attribute, hours);
+        applyAttributeHours({ [attribute]: hours }, { type: 'manual', questId: null });
         
         // Save the updated profile
-        dataStore.userProfile = result.profile;
         saveUserProfile();
         
         return true;
@@ -384,47 +1589,127 @@ const DataManager = (() => {
     
     /**
      * Get recommended quests based on current progress
+     * Quests that can be completed now are scored by QuestRecommender.
      * @param {number} count - Number of quests to recommend
-     * @returns {Promise<Array>} - Promise resolving to array of recommended quests
+     * @returns {Promise<Array>} - Promise resolving to the recommendations, best first,
+     *                             each with its quest, score and score breakdown
      */
     async function getRecommendedQuests(count = 3) {
         const userProfile = loadUserProfile();
         const quests = await getQuestData();
         
-        // Get attributes sorted by progress (lowest first)
-        const attributes = Object.entries(userProfile.attributes)
-            .sort((a, b) => a[1].totalHours - b[1].totalHours)
-            .map(entry => entry[0]);
-        
-        const lowestAttribute = attributes[0];
-        
-        // Get unlocked, not completed quests
-        const availableQuests = userProfile.unlockedQuests
-            .filter(id => !userProfile.completedQuests.includes(id))
-            .map(id => quests.find(q => q.id === id))
-            .filter(q => q !== undefined);
-        
-        // Sort quests by reward for lowest attribute
-        const sortedQuests = [...availableQuests]
-            .sort((a, b) => {
-                const aReward = a.attributeRewards[lowestAttribute] || 0;
-                const bReward = b.attributeRewards[lowestAttribute] || 0;
-                return bReward - aReward;
-            });
+        // Only quests that can be completed right now are recommended
+        const availableQuests = quests.filter(quest => 
+            QuestRepeats.isQuestOpen(quest, userProfile) &&
+            !QuestGraph.getLockReason(quest, quests, userProfile).locked
+        );
         
-        return sortedQuests.slice(0, count);
+        return QuestRecommender.recommend(availableQuests, {
+            profile: userProfile,
+            quests: quests,
+            activityLog: loadActivityLog(),
+            // Score the hours completeQuest would award, challenge bonus included
+            getRewards: quest => getQuestRewards(quest, userProfile).rewards
+        }, count);
     }
     
     /**
-     * Reset user progress (for testing)
+     * Reset user progress (for testing, or to start over after a profile failed to load)
+     * The active profile keeps its id and name.
      */
     function resetUserProgress() {
-        dataStore.userProfile = initDefaultUserProfile();
+        dataStore.profileLoadError = null;
+        dataStore.userProfile = initDefaultUserProfile(getActiveIdentity());
         saveUserProfile();
+        
+        // The activity log belongs to the profile being reset
+        dataStore.activityLog = [];
+        saveActivityLog();
         console.log("User progress has been reset");
         return dataStore.userProfile;
     }
     
+    /**
+     * Export the user profile and activity log as a checksummed file
+     * @returns {Promise<Object>} - Promise resolving to the export file contents
+     */
+    async function exportProfile() {
+        return await ProfileTransfer.createExport(loadUserProfile(), loadActivityLog());
+    }
+    
+    /**
+     * Verify an export file and compare it with the current profile
+     * @param {string} text - The export file contents
+     * @returns {Promise<Object>} - Promise resolving to the verified import and its differences, or an error
+     */
+    async function previewImport(text) {
+        const result = await ProfileTransfer.parseImport(text);
+        
+        if (!result.success) {
+            return result;
+        }
+        
+        return {
+            ...result,
+            diff: ProfileTransfer.diffProfiles(loadUserProfile(), result.profile)
+        };
+    }
+    
+    /**
+     * Apply a verified import to this device
+     * The current profile is backed up in storage first.
+     * @param {Object} importResult - A successful result from previewImport
+     * @param {string} mode - 'merge' combines the progress of both sides, 'replace' discards the current profile
+     * @returns {Object} - Result object with the new profile
+     */
+    function applyImport(importResult, mode) {
+        if (!importResult || !importResult.success) {
+            return { success: false, message: "Nothing to import" };
+        }
+        
+        if (mode !== 'merge' && mode !== 'replace') {
+            return { success: false, message: `Unknown import mode: ${mode}` };
+        }
+        
+        const currentProfile = loadUserProfile();
+        const currentLog = loadActivityLog();
+        
+        writeItem(
+            `${getProfileKey(CONFIG.storageKeys.profileBackup)}_import`,
+            JSON.stringify({
+                schemaVersion: currentProfile.schemaVersion,
+                backedUpAt: Date.now(),
+                data: { profile: currentProfile, activityLog: currentLog }
+            })
+        );
+        
+        // Importing takes the place of a stored profile that could not be loaded
+        dataStore.profileLoadError = null;
+        
+        if (mode === 'merge') {
+            dataStore.userProfile = ProfileTransfer.mergeProfiles(currentProfile, importResult.profile, currentLog, importResult.activityLog);
+            dataStore.activityLog = ProfileTransfer.mergeActivityLogs(currentLog, importResult.activityLog);
+        } else {
+            // The imported data takes over the active profile's slot and name; a name
+            // too long for the profile list is shortened, a missing one keeps the slot's
+            const importedName = String(importResult.profile.username || '').trim().slice(0, CONFIG.maxProfileNameLength).trim();
+            const username = importedName || getActiveIdentity().username;
+            
+            dataStore.userProfile = { ...importResult.profile, userId: getActiveProfileId(), username: username };
+            dataStore.activityLog = importResult.activityLog;
+            renameProfile(getActiveProfileId(), username);
+        }
+        
+        saveUserProfile();
+        saveActivityLog();
+        
+        return {
+            success: true,
+            message: mode === 'merge' ? "Profile merged" : "Profile replaced",
+            userProfile: dataStore.userProfile
+        };
+    }
+    
     /**
      * Get user statistics
      * @returns {Object} - User statistics
@@ -461,6 +1746,154 @@ const DataManager = (() => {
         };
     }
     
+    /**
+     * Award every badge the profile has earned but not been given yet
+     * Each badge is stored with its unlock date and announced as badgeUnlocked.
+     * @returns {Promise<Array>} - The newly earned badges with their unlock dates
+     */
+    async function evaluateBadges() {
+        const userProfile = loadUserProfile();
+        const earned = Badges.evaluate({
+            profile: userProfile,
+            quests: await getQuestData(),
+            activityLog: loadActivityLog()
+        });
+        
+        if (earned.length === 0) {
+            return [];
+        }
+        
+        const unlockedAt = Date.now();
+        earned.forEach(badge => {
+            userProfile.badges[badge.id] = { unlockedAt: unlockedAt };
+        });
+        saveUserProfile();
+        
+        return earned.map(badge => {
+            const event = { badgeId: badge.id, name: badge.name, icon: badge.icon, unlockedAt: unlockedAt };
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.BADGE_UNLOCKED, event);
+            return event;
+        });
+    }
+    
+    /**
+     * Update streaks and evaluate badges
+     * @returns {Promise<Array>} - The newly earned badges
+     */
+    async function runProgressChecks() {
+        updateStreaks();
+        return evaluateBadges();
+    }
+    
+    /**
+     * Run the streak and badge checks once the current burst of progression events is over
+     * A quest completion raises several events; the profile and activity log
+     * are only complete after the last of them.
+     */
+    function scheduleProgressChecks() {
+        if (progressChecksPending) return;
+        
+        progressChecksPending = true;
+        setTimeout(() => {
+            progressChecksPending = false;
+            runProgressChecks().catch(error => console.error('Error checking streaks and badges:', error));
+        }, 0);
+    }
+    
+    /**
+     * Check streaks and badges after every progression event
+     */
+    function subscribeProgressChecks() {
+        const { EVENTS } = ProgressionEvents;
+        
+        progressCheckUnsubscribers.forEach(unsubscribe => unsubscribe());
+        progressCheckUnsubscribers = Object.values(EVENTS)
+            .filter(type => type !== EVENTS.BADGE_UNLOCKED)
+            .map(type => ProgressionEvents.on(type, scheduleProgressChecks));
+    }
+    
+    /**
+     * Earn streak freezes and spend them on missed days
+     * @returns {Object} - Freeze tokens earned and the days frozen (date keys)
+     */
+    function updateStreaks() {
+        const userProfile = loadUserProfile();
+        const result = Streaks.updateFreezes(userProfile.streaks, loadActivityLog());
+        
+        if (result.earned > 0 || result.frozen.length > 0 || result.state.lastTokenDay !== userProfile.streaks.lastTokenDay) {
+            userProfile.streaks = result.state;
+            saveUserProfile();
+        }
+        
+        return { earned: result.earned, frozen: result.frozen };
+    }
+    
+    /**
+     * Get the daily and weekly streaks, freeze tokens and this week's goal progress
+     * @returns {Object} - The streak summary
+     */
+    function getStreakSummary() {
+        const userProfile = loadUserProfile();
+        const activityLog = loadActivityLog();
+        const { weeklyGoals, freezeTokens } = userProfile.streaks;
+        
+        return {
+            daily: Streaks.getDailyStreak(activityLog, userProfile.streaks),
+            weekly: Streaks.getWeeklyStreak(activityLog, weeklyGoals),
+            freezeTokens: freezeTokens,
+            goals: Streaks.getGoalProgress(activityLog, weeklyGoals)
+        };
+    }
+    
+    /**
+     * Set the weekly hour goals
+     * @param {Object} weeklyGoals - Hours per attribute (0 for no goal)
+     * @returns {Object} - Result object
+     */
+    function setWeeklyGoals(weeklyGoals) {
+        const error = Streaks.validateWeeklyGoals(weeklyGoals);
+        
+        if (error) {
+            return {
+                success: false,
+                message: error
+            };
+        }
+        
+        const userProfile = loadUserProfile();
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            userProfile.streaks.weeklyGoals[attr] = weeklyGoals[attr];
+        });
+        saveUserProfile();
+        
+        return {
+            success: true,
+            message: "Weekly goals saved"
+        };
+    }
+    
+    /**
+     * Get every badge with its progress and unlock date
+     * @returns {Promise<Array>} - Badges in catalog order
+     */
+    async function getBadges() {
+        const userProfile = loadUserProfile();
+        const context = {
+            profile: userProfile,
+            quests: await getQuestData(),
+            activityLog: loadActivityLog()
+        };
+        
+        return Badges.BADGES.map(badge => ({
+            id: badge.id,
+            name: badge.name,
+            description: badge.description,
+            icon: badge.icon,
+            unlockedAt: userProfile.badges[badge.id]?.unlockedAt || null,
+            progress: Badges.getProgress(badge, context)
+        }));
+    }
+    
     /**
      * Get all recent achievements
      * @param {number} count - Maximum number of achievements to return
@@ -473,26 +1906,74 @@ const DataManager = (() => {
     
     // Public API
     return {
-        initialize: async function() {
-            // Load user profile first
+        /**
+         * Connect storage and load the user profile and quest data
+         * Must be called before any other method.
+         * @param {Object} options - Initialization options
+         * @param {Object} options.storage - Storage adapter to use instead of the browser default
+         * @returns {Promise<Object>} - Promise resolving to the loaded data
+         */
+        initialize: async function(options = {}) {
+            // Connect storage before anything is read
+            await connectStorage(options.storage || await StorageAdapters.createDefaultAdapter(CONFIG.storageKeyPrefix));
+            
+            // Load user profile first (the active profile from the registry)
+            loadProfileRegistry();
             loadUserProfile();
             
             // Then pre-fetch quest data
             await getQuestData();
             
+            // Keep streaks and badges up to date as progress is made, and catch up
+            // on days missed and badges earned while the app was closed
+            subscribeProgressChecks();
+            await runProgressChecks();
+            
             return {
                 userProfile: dataStore.userProfile,
-                questData: dataStore.questData
+                questData: dataStore.questData,
+                questSource: dataStore.questSource,
+                catalogReport: dataStore.catalogReport
             };
         },
         getUserProfile: loadUserProfile,
+        listProfiles: listProfiles,
+        getActiveProfileId: getActiveProfileId,
+        createProfile: createProfile,
+        switchProfile: switchProfile,
+        renameProfile: renameProfile,
+        deleteProfile: deleteProfile,
         saveUserProfile: saveUserProfile,
+        whenSaved: whenSaved,
+        onStorageError: onStorageError,
+        getProfileBackup: getProfileBackup,
+        getProfileLoadError: getProfileLoadError,
+        exportProfile: exportProfile,
+        previewImport: previewImport,
+        applyImport: applyImport,
         getQuestData: getQuestData,
+        getQuestSource: getQuestSource,
+        getCatalogReport: getCatalogReport,
+        getQuestModifiers: getQuestModifiers,
+        getQuestAttempt: getQuestAttempt,
+        rollQuestModifier: rollQuestModifier,
         completeQuest: completeQuest,
+        undoQuestCompletion: undoQuestCompletion,
+        getCompletionHistory: getCompletionHistory,
+        logPracticeSession: logPracticeSession,
         updateAttribute: updateAttribute,
         getRecommendedQuests: getRecommendedQuests,
+        previewQuestRewards: previewQuestRewards,
         resetUserProgress: resetUserProgress,
         getUserStats: getUserStats,
-        getRecentAchievements: getRecentAchievements
+        getActivityLog: getActivityLog,
+        getAttributeHistory: getAttributeHistory,
+        getActivitySummary: getActivitySummary,
+        getRecentAchievements: getRecentAchievements,
+        evaluateBadges: evaluateBadges,
+        getBadges: getBadges,
+        updateStreaks: updateStreaks,
+        getStreakSummary: getStreakSummary,
+        setWeeklyGoals: setWeeklyGoals
     };
 })();
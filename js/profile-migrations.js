@@ -0,0 +1,232 @@
+/**
+ * profile-migrations.js - Versioned upgrades for stored user profiles
+ * Each migration upgrades a profile from the previous schema version to its own
+ * version. Migrations are pure functions of the profile so they can be tested
+ * one at a time, and are always applied in order.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+
+// Profile migrations namespace
+export const ProfileMigrations = (() => {
+    // Ordered list of migrations; the last entry defines the current schema version
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: "Add missing achievements, milestones and attribute ranks",
+            migrate(profile) {
+                const rankTitle = profile.currentRank?.title || "Home Cook";
+                const attributes = {};
+
+                Object.entries(profile.attributes || {}).forEach(([attrName, attr]) => {
+                    attributes[attrName] = {
+                        ...attr,
+                        currentRank: attr.currentRank || rankTitle
+                    };
+                });
+
+                return {
+                    ...profile,
+                    completedQuests: Array.isArray(profile.completedQuests) ? profile.completedQuests : [],
+                    unlockedQuests: Array.isArray(profile.unlockedQuests) ? profile.unlockedQuests : [],
+                    attributes: attributes,
+                    recentAchievements: Array.isArray(profile.recentAchievements) ? profile.recentAchievements : [],
+                    milestones: {
+                        questsCompleted: 0,
+                        hoursAccumulated: 0,
+                        rankAdvances: 0,
+                        levelUps: 0,
+                        ...(profile.milestones || {})
+                    }
+                };
+            }
+        },
+        {
+            version: 2,
+            description: "Remove mastered techniques left over from the skills feature",
+            migrate(profile) {
+                const { masteredTechniques, ...rest } = profile;
+                return rest;
+            }
+        },
+        {
+            version: 3,
+            description: "Add the practice session counter to milestones",
+            migrate(profile) {
+                return {
+                    ...profile,
+                    milestones: {
+                        practiceSessions: 0,
+                        ...profile.milestones
+                    }
+                };
+            }
+        },
+        {
+            version: 4,
+            description: "Track per-quest completion counts and timestamps",
+            migrate(profile) {
+                const questCompletions = {};
+
+                // Recover completion times from the recent achievements where possible
+                profile.completedQuests.forEach(questId => {
+                    const achievement = profile.recentAchievements.find(item =>
+                        item.type === 'quest_complete' && item.questId === questId
+                    );
+
+                    questCompletions[questId] = {
+                        count: 1,
+                        timestamps: achievement ? [achievement.timestamp] : []
+                    };
+                });
+
+                return {
+                    ...profile,
+                    questCompletions: questCompletions
+                };
+            }
+        },
+        {
+            version: 5,
+            description: "Store challenge modifiers rolled for quests in progress",
+            migrate(profile) {
+                return {
+                    ...profile,
+                    questAttempts: profile.questAttempts || {}
+                };
+            }
+        },
+        {
+            version: 6,
+            description: "Re-rank attributes against the corrected rank thresholds",
+            migrate(profile) {
+                // Earlier rank tables added up the cumulative thresholds as if they
+                // were per-rank amounts, so attributes were ranked against the wrong
+                // totals. The corrected totals are written out here rather than read
+                // from the rank config, so this step gives the same result whatever
+                // the table says later. Hours are kept: calculateUserRank caps them
+                // when it works out the levels.
+                const CUMULATIVE_HOURS = [
+                    ["Home Cook", 55],
+                    ["Culinary Student", 209],
+                    ["Kitchen Assistant", 530],
+                    ["Line Cook", 1177],
+                    ["Sous Chef", 2500],
+                    ["Head Chef", 5095]
+                ];
+                const rankTitles = CUMULATIVE_HOURS.map(([title]) => title);
+                const userRankIndex = rankTitles.indexOf(profile.currentRank?.title || "Home Cook");
+                if (userRankIndex === -1) return profile;
+
+                const attributes = {};
+                Object.entries(profile.attributes || {}).forEach(([attrName, attr]) => {
+                    const reached = CUMULATIVE_HOURS.findIndex(([, hours]) => attr.totalHours < hours);
+                    const rankIndex = reached === -1 ? rankTitles.length - 1 : reached;
+
+                    // A maxed attribute waits at most one rank past the user
+                    attributes[attrName] = {
+                        ...attr,
+                        currentRank: rankTitles[Math.min(rankIndex, userRankIndex + 1)]
+                    };
+                });
+
+                return {
+                    ...profile,
+                    attributes: attributes
+                };
+            }
+        },
+        {
+            version: 7,
+            description: "Store earned badges with their unlock dates",
+            migrate(profile) {
+                return {
+                    ...profile,
+                    badges: profile.badges || {}
+                };
+            }
+        },
+        {
+            version: 8,
+            description: "Add weekly goals and streak freezes",
+            migrate(profile) {
+                const weeklyGoals = {};
+                ProgressionSystem.ATTRIBUTES.forEach(attr => {
+                    weeklyGoals[attr] = 0;
+                });
+
+                return {
+                    ...profile,
+                    streaks: profile.streaks || {
+                        weeklyGoals: weeklyGoals,
+                        freezeTokens: 0,
+                        frozenDays: [],
+                        lastTokenDay: null
+                    }
+                };
+            }
+        }
+    ];
+
+    // Schema version written to new and migrated profiles
+    const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    /**
+     * Get the schema version of a stored profile
+     * Profiles saved before versioning was introduced are version 0
+     * @param {Object} profile - The stored profile
+     * @returns {number} - The schema version
+     */
+    function getSchemaVersion(profile) {
+        return Number.isInteger(profile?.schemaVersion) ? profile.schemaVersion : 0;
+    }
+
+    /**
+     * Check whether a profile needs to be migrated
+     * @param {Object} profile - The stored profile
+     * @returns {boolean} - Whether any migration applies
+     */
+    function needsMigration(profile) {
+        return getSchemaVersion(profile) < CURRENT_SCHEMA_VERSION;
+    }
+
+    /**
+     * Upgrade a profile to the current schema version
+     * @param {Object} profile - The stored profile (not modified)
+     * @returns {Object} - The migrated profile, the versions involved and the migrations applied
+     */
+    function migrateProfile(profile) {
+        const fromVersion = getSchemaVersion(profile);
+
+        if (fromVersion > CURRENT_SCHEMA_VERSION) {
+            console.warn(`Profile schema version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(profile));
+        const applied = [];
+
+        MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+                migrated.schemaVersion = migration.version;
+                applied.push(migration.version);
+            });
+
+        return {
+            profile: migrated,
+            fromVersion: fromVersion,
+            toVersion: getSchemaVersion(migrated),
+            applied: applied
+        };
+    }
+
+    // Public API
+    return {
+        MIGRATIONS,
+        CURRENT_SCHEMA_VERSION,
+        getSchemaVersion,
+        needsMigration,
+        migrateProfile
+    };
+})();
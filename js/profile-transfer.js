@@ -0,0 +1,365 @@
+/**
+ * profile-transfer.js - Export and import of the complete player profile
+ * An export is a JSON file holding the profile and activity log together with a
+ * SHA-256 checksum of that data, so a damaged or hand-edited file is rejected on
+ * import. Imported profiles are migrated to the current schema and checked against
+ * the ProgressionSystem rules before they can replace or be merged into the
+ * profile on this device.
+ *
+ * File format:
+ *   {
+ *       format: "diced-profile",
+ *       formatVersion: 1,
+ *       exportedAt: 1714000000000,
+ *       checksum: "sha256 hex of JSON.stringify(data)",
+ *       data: { profile: {...}, activityLog: [...] }
+ *   }
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { ProfileMigrations } from './profile-migrations.js';
+
+// Profile transfer namespace
+export const ProfileTransfer = (() => {
+    // Identifies DICED export files
+    const FORMAT = "diced-profile";
+
+    // Version of the export file layout
+    const FORMAT_VERSION = 1;
+
+    // Number of achievements kept in a profile
+    const MAX_ACHIEVEMENTS = 10;
+
+    /**
+     * Calculate the SHA-256 checksum of the exported data
+     * @param {Object} data - The data section of an export
+     * @returns {Promise<string>} - Promise resolving to the hex digest
+     */
+    async function computeChecksum(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Create an export of a profile and its activity log
+     * @param {Object} profile - The user profile
+     * @param {Array} activityLog - The activity log entries
+     * @returns {Promise<Object>} - Promise resolving to the export file contents
+     */
+    async function createExport(profile, activityLog) {
+        // Copy the data first: the live profile can change (e.g. badges) while the
+        // checksum is being computed, and the file must hold what was hashed
+        const data = JSON.parse(JSON.stringify({
+            profile: profile,
+            activityLog: activityLog
+        }));
+
+        return {
+            format: FORMAT,
+            formatVersion: FORMAT_VERSION,
+            exportedAt: Date.now(),
+            checksum: await computeChecksum(data),
+            data: data
+        };
+    }
+
+    /**
+     * Check a profile against the ProgressionSystem rules
+     * @param {Object} profile - The profile (migrated to the current schema)
+     * @returns {Array} - Issues found, as { severity, field, message }
+     */
+    function validateProfile(profile) {
+        const issues = [];
+        const addIssue = (severity, field, message) => issues.push({ severity, field, message });
+
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            addIssue('error', 'profile', 'Profile is not an object');
+            return issues;
+        }
+
+        // User rank
+        const userRank = profile.currentRank?.title;
+        const rankData = ProgressionSystem.RANKS[userRank];
+        if (!rankData) {
+            addIssue('error', 'currentRank', `Unknown rank "${userRank}"`);
+        } else if (!(profile.currentRank.level >= 1 && profile.currentRank.level <= rankData.levels)) {
+            addIssue('warning', 'currentRank.level', `Level ${profile.currentRank.level} is outside 1-${rankData.levels} and will be recalculated`);
+        }
+
+        // Attributes
+        ProgressionSystem.ATTRIBUTES.forEach(attrName => {
+            const attr = profile.attributes?.[attrName];
+            const field = `attributes.${attrName}`;
+
+            if (!attr) {
+                addIssue('error', field, 'Attribute is missing');
+                return;
+            }
+
+            if (typeof attr.totalHours !== 'number' || !isFinite(attr.totalHours) || attr.totalHours < 0) {
+                addIssue('error', `${field}.totalHours`, 'Hours must be a non-negative number');
+                return;
+            }
+
+            if (!ProgressionSystem.RANKS[attr.currentRank]) {
+                addIssue('error', `${field}.currentRank`, `Unknown rank "${attr.currentRank}"`);
+                return;
+            }
+
+            if (!rankData) return;
+
+            // Hours past the cap for the user's rank (e.g. after merging two devices)
+            // are kept but only count once the user ranks up
+            const maxHours = ProgressionSystem.getTotalHoursForRank(userRank) + rankData.attributeHoursRequired;
+            if (attr.totalHours > maxHours) {
+                addIssue('warning', `${field}.totalHours`, `${attr.totalHours} hours exceeds the ${maxHours} hour cap for ${userRank}; the rest counts after a rank up`);
+            }
+
+            // A maxed attribute can be at most one rank ahead of the user
+            const rankGap = ProgressionSystem.getRankIndex(attr.currentRank) - ProgressionSystem.getRankIndex(userRank);
+            if (rankGap > 1) {
+                addIssue('error', `${field}.currentRank`, `Rank ${attr.currentRank} is too far ahead of user rank ${userRank}`);
+            }
+        });
+
+        // Quest lists
+        ['completedQuests', 'unlockedQuests'].forEach(field => {
+            if (!Array.isArray(profile[field]) || profile[field].some(id => typeof id !== 'string')) {
+                addIssue('error', field, 'Must be a list of quest ids');
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Parse and verify an export file
+     * @param {string} text - The file contents
+     * @returns {Promise<Object>} - Promise resolving to the verified profile and activity log, or an error message
+     */
+    async function parseImport(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return { success: false, message: "The file is not valid JSON" };
+        }
+
+        if (!file || file.format !== FORMAT || !file.data) {
+            return { success: false, message: "The file is not a DICED profile export" };
+        }
+
+        if (file.formatVersion > FORMAT_VERSION) {
+            return { success: false, message: `The file was exported by a newer version of DICED (format ${file.formatVersion})` };
+        }
+
+        if (await computeChecksum(file.data) !== file.checksum) {
+            return { success: false, message: "The file is damaged or was modified (checksum mismatch)" };
+        }
+
+        // The migrations expect a profile with attributes, so check that much first
+        const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(file.data.profile) || !isObject(file.data.profile.attributes) ||
+            Object.values(file.data.profile.attributes).some(attr => !isObject(attr))) {
+            return { success: false, message: "The file does not contain a valid profile" };
+        }
+
+        // Bring profiles exported by older versions up to date
+        let migration;
+        let issues;
+        try {
+            migration = ProfileMigrations.migrateProfile(file.data.profile);
+            issues = validateProfile(migration.profile);
+        } catch (e) {
+            console.error('Error checking imported profile:', e);
+            return { success: false, message: "The profile in the file could not be read", error: e };
+        }
+
+        if (issues.some(issue => issue.severity === 'error')) {
+            return {
+                success: false,
+                message: "The profile in the file breaks the progression rules",
+                issues: issues
+            };
+        }
+
+        return {
+            success: true,
+            exportedAt: file.exportedAt,
+            profile: ProgressionSystem.calculateUserRank(migration.profile),
+            activityLog: Array.isArray(file.data.activityLog) ? file.data.activityLog : [],
+            migratedFrom: migration.applied.length > 0 ? migration.fromVersion : null,
+            issues: issues
+        };
+    }
+
+    /**
+     * Describe the differences between the current and an imported profile
+     * @param {Object} current - The profile on this device
+     * @param {Object} incoming - The imported profile
+     * @returns {Object} - Changed values and the quests only completed on one side
+     */
+    function diffProfiles(current, incoming) {
+        const changes = [];
+        const addChange = (label, currentValue, incomingValue) => {
+            if (currentValue !== incomingValue) {
+                changes.push({ label, current: currentValue, incoming: incomingValue });
+            }
+        };
+
+        addChange('Player', current.username, incoming.username);
+        addChange('Rank',
+            `${current.currentRank.title} Level ${current.currentRank.level}`,
+            `${incoming.currentRank.title} Level ${incoming.currentRank.level}`);
+
+        ProgressionSystem.ATTRIBUTES.forEach(attrName => {
+            addChange(`${attrName.charAt(0).toUpperCase() + attrName.slice(1)} hours`,
+                Math.round(current.attributes[attrName].totalHours * 100) / 100,
+                Math.round(incoming.attributes[attrName].totalHours * 100) / 100);
+        });
+
+        addChange('Quests completed', current.completedQuests.length, incoming.completedQuests.length);
+        addChange('Practice sessions', current.milestones.practiceSessions, incoming.milestones.practiceSessions);
+
+        return {
+            changes: changes,
+            questsOnlyInCurrent: current.completedQuests.filter(id => !incoming.completedQuests.includes(id)),
+            questsOnlyInIncoming: incoming.completedQuests.filter(id => !current.completedQuests.includes(id))
+        };
+    }
+
+    /**
+     * Sum the effective hours per attribute of log entries missing from another log
+     * @param {Array} log - The activity log to sum
+     * @param {Array} otherLog - The log to compare with
+     * @returns {Object} - Hours keyed by attribute (undone hours count as negative)
+     */
+    function sumUnsharedHours(log, otherLog) {
+        const shared = new Set(otherLog.map(entry => entry.id));
+        const hours = {};
+
+        log.filter(entry => !shared.has(entry.id)).forEach(entry => {
+            Object.entries(entry.deltas || {}).forEach(([attrName, delta]) => {
+                hours[attrName] = (hours[attrName] || 0) + (delta.effectiveHours || 0);
+            });
+        });
+
+        return hours;
+    }
+
+    /**
+     * Merge an imported profile into the current one
+     * Hours logged on only one side are added up: each attribute gets its hours on
+     * one side plus the activity found only in the other side's log (taking the
+     * larger result when a log does not go back to the start). Quest lists are
+     * combined, counters keep the higher value and ranks are worked out again from
+     * the merged hours. Identity (user id and name) is kept from the current profile.
+     * @param {Object} current - The profile on this device (not modified)
+     * @param {Object} incoming - The imported profile (not modified)
+     * @param {Array} currentLog - The activity log on this device
+     * @param {Array} incomingLog - The imported activity log
+     * @returns {Object} - The merged profile
+     */
+    function mergeProfiles(current, incoming, currentLog = [], incomingLog = []) {
+        const merged = JSON.parse(JSON.stringify(current));
+        const union = (a, b) => [...new Set([...a, ...b])];
+        const onlyInCurrent = sumUnsharedHours(currentLog, incomingLog);
+        const onlyInIncoming = sumUnsharedHours(incomingLog, currentLog);
+
+        ProgressionSystem.ATTRIBUTES.forEach(attrName => {
+            const mine = merged.attributes[attrName];
+            const theirs = incoming.attributes[attrName];
+
+            const hours = Math.max(
+                mine.totalHours + (onlyInIncoming[attrName] || 0),
+                theirs.totalHours + (onlyInCurrent[attrName] || 0),
+                0
+            );
+            mine.totalHours = Math.round(hours * 100) / 100;
+        });
+
+        merged.completedQuests = union(merged.completedQuests, incoming.completedQuests);
+        merged.unlockedQuests = union(merged.unlockedQuests, incoming.unlockedQuests);
+
+        // Completion records: combine the completion times from both sides
+        Object.entries(incoming.questCompletions || {}).forEach(([questId, record]) => {
+            const existing = merged.questCompletions[questId] || { count: 0, timestamps: [] };
+            const timestamps = union(existing.timestamps, record.timestamps).sort((a, b) => a - b);
+
+            merged.questCompletions[questId] = {
+                count: Math.max(existing.count, record.count, timestamps.length),
+                timestamps: timestamps
+            };
+        });
+
+        Object.entries(incoming.milestones || {}).forEach(([key, value]) => {
+            merged.milestones[key] = Math.max(merged.milestones[key] || 0, value);
+        });
+
+        // Achievements: newest first, without duplicates
+        const seen = new Set();
+        merged.recentAchievements = [...merged.recentAchievements, ...incoming.recentAchievements]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .filter(achievement => {
+                const key = `${achievement.type}:${achievement.timestamp}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_ACHIEVEMENTS);
+
+        merged.questAttempts = { ...incoming.questAttempts, ...merged.questAttempts };
+
+        // Streaks: freezes from both sides; weekly goals stay as set on this device
+        merged.streaks.freezeTokens = Math.max(merged.streaks.freezeTokens, incoming.streaks?.freezeTokens || 0);
+        merged.streaks.frozenDays = union(merged.streaks.frozenDays, incoming.streaks?.frozenDays || []).sort();
+        if ((incoming.streaks?.lastTokenDay || '') > (merged.streaks.lastTokenDay || '')) {
+            merged.streaks.lastTokenDay = incoming.streaks.lastTokenDay;
+        }
+
+        // Badges: earned on either side, keeping the earlier unlock date
+        Object.entries(incoming.badges || {}).forEach(([badgeId, badge]) => {
+            const existing = merged.badges[badgeId];
+            if (!existing || badge.unlockedAt < existing.unlockedAt) {
+                merged.badges[badgeId] = { ...badge };
+            }
+        });
+
+        return ProgressionSystem.recalculateFromHours(merged);
+    }
+
+    /**
+     * Merge two activity logs
+     * @param {Array} current - The log on this device
+     * @param {Array} incoming - The imported log
+     * @returns {Array} - Entries from both logs, oldest first, without duplicates
+     */
+    function mergeActivityLogs(current, incoming) {
+        const entries = new Map();
+
+        [...current, ...incoming].forEach(entry => {
+            if (!entries.has(entry.id)) {
+                entries.set(entry.id, entry);
+            }
+        });
+
+        return Array.from(entries.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Public API
+    return {
+        FORMAT,
+        FORMAT_VERSION,
+        computeChecksum,
+        createExport,
+        validateProfile,
+        parseImport,
+        diffProfiles,
+        mergeProfiles,
+        mergeActivityLogs
+    };
+})();
@@ -4,8 +4,11 @@
  * It maintains the same API as the previous version while using the new progression system.
  */
 
+import { ProgressionSystem } from './progression-system.js';
+import { QuestRepeats } from './quest-repeats.js';
+
 // Progress manager namespace
-const ProgressManager = (() => {
+export const ProgressManager = (() => {
     // Define the rank progression system by referencing ProgressionSystem
     // This maintains backward compatibility with existing code
     const RANK_PROGRESSION = {};
@@ -162,10 +165,10 @@ const ProgressManager = (() => {
         const currentRank = userProfile.currentRank.title;
         const currentLevel = userProfile.currentRank.level;
         
-        // Get unlocked, not completed quests
+        // Get unlocked quests that can be completed now
         const availableQuests = quests.filter(q => 
             userProfile.unlockedQuests.includes(q.id) && 
-            !userProfile.completedQuests.includes(q.id)
+            QuestRepeats.isQuestOpen(q, userProfile)
         );
         
         // Filter quests by rank and level
@@ -190,7 +193,7 @@ const ProgressManager = (() => {
             }
             
             // Then by quest type
-            return (questTypeOrder[a.type] || 5) - (questTypeOrder[b.type] || 5);
+            return (questTypeOrder[a.type] ?? 5) - (questTypeOrder[b.type] ?? 5);
         });
         
         return appropriateQuests.slice(0, count);
@@ -0,0 +1,173 @@
+/**
+ * progression-events.js - Event bus for progression events
+ * DataManager and ProgressionSystem announce progress here, so the UI,
+ * notifications, achievements or analytics can each subscribe on their own
+ * instead of being called from the code that changed the profile.
+ *
+ * Only the event types listed in EVENTS can be emitted or subscribed to;
+ * a typo in an event name throws instead of silently never firing.
+ */
+
+/**
+ * @typedef {Object} QuestCompletedEvent
+ * @property {string} questId - The completed quest
+ * @property {string} questTitle - Title of the quest
+ * @property {Object} rewards - Hours awarded, keyed by attribute (including any bonus)
+ * @property {Object} bonusRewards - Challenge bonus hours, keyed by attribute
+ * @property {number} completionCount - How many times the quest has been completed
+ * @property {string} activityId - The activity log entry of the completion
+ */
+
+/**
+ * @typedef {Object} QuestUndoneEvent
+ * @property {string} questId - The quest whose completion was undone
+ * @property {string} activityId - The activity log entry of the undone completion
+ * @property {Array} revokedUnlocks - Quests locked again by the undo
+ * @property {Array} revokedBadges - Badges taken back because their condition no longer holds
+ */
+
+/**
+ * @typedef {Object} HoursAddedEvent
+ * @property {string} attribute - The attribute
+ * @property {number} requestedHours - Hours offered
+ * @property {number} effectiveHours - Hours actually added after the rank cap
+ * @property {number} totalHours - Total hours of the attribute afterwards
+ */
+
+/**
+ * @typedef {Object} LevelUpEvent
+ * @property {string|null} attribute - The attribute that levelled up, or null for the user level
+ * @property {string} rank - The rank the level belongs to
+ * @property {number} level - The new level
+ * @property {number} previousLevel - The level before
+ */
+
+/**
+ * @typedef {Object} AttributeMaxedEvent
+ * @property {string} attribute - The attribute
+ * @property {string} rank - The rank the attribute completed
+ * @property {string|null} nextRank - The rank it moves on to, or null at the final rank
+ */
+
+/**
+ * @typedef {Object} RankUpEvent
+ * @property {string} previousRank - The user rank before
+ * @property {string} rank - The new user rank
+ * @property {string} color - Color of the new rank
+ */
+
+/**
+ * @typedef {Object} QuestUnlockedEvent
+ * @property {string} questId - The unlocked quest
+ * @property {string} unlockedBy - The quest whose completion unlocked it
+ */
+
+/**
+ * @typedef {Object} BadgeUnlockedEvent
+ * @property {string} badgeId - The earned badge
+ * @property {string} name - Name of the badge
+ * @property {string} icon - Icon of the badge
+ * @property {number} unlockedAt - When the badge was earned
+ */
+
+// Progression events namespace
+export const ProgressionEvents = (() => {
+    // Event types and the payload each carries (see the typedefs above)
+    const EVENTS = Object.freeze({
+        QUEST_COMPLETED: 'questCompleted',     // QuestCompletedEvent
+        QUEST_UNDONE: 'questUndone',           // QuestUndoneEvent
+        HOURS_ADDED: 'hoursAdded',             // HoursAddedEvent
+        LEVEL_UP: 'levelUp',                   // LevelUpEvent
+        ATTRIBUTE_MAXED: 'attributeMaxed',     // AttributeMaxedEvent
+        RANK_UP: 'rankUp',                     // RankUpEvent
+        QUEST_UNLOCKED: 'questUnlocked',       // QuestUnlockedEvent
+        BADGE_UNLOCKED: 'badgeUnlocked'        // BadgeUnlockedEvent
+    });
+
+    // Handlers for each event type, in subscription order
+    const listeners = new Map(Object.values(EVENTS).map(type => [type, new Set()]));
+
+    /**
+     * Make sure an event type is one of EVENTS
+     * @param {string} type - The event type
+     */
+    function assertEventType(type) {
+        if (!listeners.has(type)) {
+            throw new Error(`Unknown progression event "${type}"`);
+        }
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - The event type, one of EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    function on(type, handler) {
+        assertEventType(type);
+        listeners.get(type).add(handler);
+
+        return () => off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - The event type, one of EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe before the event happens
+     */
+    function once(type, handler) {
+        const unsubscribe = on(type, payload => {
+            unsubscribe();
+            handler(payload);
+        });
+
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - The event type, one of EVENTS
+     * @param {Function} handler - The handler passed to on()
+     */
+    function off(type, handler) {
+        assertEventType(type);
+        listeners.get(type).delete(handler);
+    }
+
+    /**
+     * Announce an event to its subscribers
+     * A failing handler is logged and does not stop the others.
+     * @param {string} type - The event type, one of EVENTS
+     * @param {Object} payload - The event data
+     */
+    function emit(type, payload) {
+        assertEventType(type);
+
+        // Copy so handlers can unsubscribe while the event is delivered
+        [...listeners.get(type)].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in ${type} event handler:`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove every subscription
+     */
+    function clear() {
+        listeners.forEach(handlers => handlers.clear());
+    }
+
+    // Public API
+    return {
+        EVENTS,
+        on,
+        once,
+        off,
+        emit,
+        clear
+    };
+})();
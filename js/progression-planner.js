@@ -0,0 +1,283 @@
+/**
+ * progression-planner.js - Projects future progress against the real progression rules
+ * Simulations run on a copy of the profile through ProgressionSystem, so rank
+ * caps, attributes waiting for a rank up and level curves behave exactly as they
+ * would in play. Nothing is saved.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+
+// Progression planner namespace
+export const ProgressionPlanner = (() => {
+    // One week in milliseconds
+    const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+    // Longest plan simulated when no target is reached (50 years)
+    const MAX_WEEKS = 52 * 50;
+
+    /**
+     * Get a position on the progression ladder that can be compared and charted
+     * @param {string} rankTitle - The rank
+     * @param {number} level - The level within the rank
+     * @returns {number} - Levels climbed since Home Cook level 1
+     */
+    function getLevelIndex(rankTitle, level) {
+        const levelsPerRank = ProgressionSystem.RANKS[rankTitle].levels;
+        return ProgressionSystem.getRankIndex(rankTitle) * levelsPerRank + (level - 1);
+    }
+
+    /**
+     * Take a snapshot of the user and attribute ranks and levels
+     * @param {Object} profile - The (simulated) profile
+     * @returns {Object} - Rank and level of the user and of each attribute
+     */
+    function takeSnapshot(profile) {
+        const attributes = {};
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            attributes[attr] = {
+                rank: profile.attributes[attr].currentRank,
+                level: profile.attributes[attr].currentLevel,
+                totalHours: profile.attributes[attr].totalHours
+            };
+        });
+
+        return {
+            rank: profile.currentRank.title,
+            level: profile.currentRank.level,
+            attributes: attributes
+        };
+    }
+
+    /**
+     * Split a number of hours between attributes by relative weight
+     * @param {number} hours - The hours to split
+     * @param {Object} split - Relative weight of each attribute
+     * @returns {Object} - Hours keyed by attribute
+     */
+    function splitHours(hours, split) {
+        const totalWeight = ProgressionSystem.ATTRIBUTES
+            .reduce((sum, attr) => sum + Math.max(split[attr] || 0, 0), 0);
+        const hoursByAttribute = {};
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            const weight = totalWeight > 0 ? Math.max(split[attr] || 0, 0) / totalWeight : 0.25;
+            hoursByAttribute[attr] = hours * weight;
+        });
+
+        return hoursByAttribute;
+    }
+
+    /**
+     * Preview what adding hours would really earn, without saving anything
+     * Hours are added in order on a copy of the profile, the way quest rewards
+     * are, so a rank up from one attribute is seen by the next.
+     * @param {Object} profile - The profile (not modified)
+     * @param {Object} hoursByAttribute - Hours to add per attribute
+     * @returns {Object} - Per attribute { requested, effective, lost, reason } where reason
+     *                     is 'capped' (partly lost), 'maxed' or 'waiting' (all lost) or null,
+     *                     and the requested, effective and lost totals
+     */
+    function previewHours(profile, hoursByAttribute) {
+        let simulated = JSON.parse(JSON.stringify(profile));
+        const round = value => Math.round(value * 100) / 100;
+        const attributes = {};
+        const totals = { requestedHours: 0, effectiveHours: 0, lostHours: 0 };
+
+        Object.entries(hoursByAttribute).forEach(([attr, hours]) => {
+            if (!(hours > 0) || !simulated.attributes[attr]) return;
+
+            const attribute = simulated.attributes[attr];
+            const waiting = Boolean(attribute.waitingForUserRankUp) ||
+                ProgressionSystem.isRankHigher(attribute.currentRank, simulated.currentRank.title);
+
+            const result = ProgressionSystem.updateAttributeHours(simulated, attr, hours, { silent: true });
+            simulated = result.profile;
+
+            const effective = round(result.effectiveHours);
+            const lost = round(hours - effective);
+            let reason = null;
+            if (lost > 0) {
+                reason = waiting ? 'waiting' : (effective > 0 ? 'capped' : 'maxed');
+            }
+
+            attributes[attr] = { requested: hours, effective, lost, reason };
+            totals.requestedHours += hours;
+            totals.effectiveHours += effective;
+            totals.lostHours += lost;
+        });
+
+        return {
+            attributes,
+            requestedHours: round(totals.requestedHours),
+            effectiveHours: round(totals.effectiveHours),
+            lostHours: round(totals.lostHours)
+        };
+    }
+
+    /**
+     * Run a simulation step by step
+     * @param {Object} profile - The profile to start from (not modified)
+     * @param {Function} getStep - Returns { date, hours } for a step index, or null when the plan ends
+     * @param {Object} options - Simulation options
+     * @param {string} options.targetRank - Stop once the user reaches this rank
+     * @param {number} options.startDate - Timestamp the plan starts at
+     * @returns {Object} - Rank and level events with their dates, and the outcome
+     */
+    function runSimulation(profile, getStep, options) {
+        let simulated = ProgressionSystem.calculateUserRank(JSON.parse(JSON.stringify(profile)));
+        const targetIndex = options.targetRank ? ProgressionSystem.getRankIndex(options.targetRank) : null;
+
+        const start = takeSnapshot(simulated);
+        const events = [];
+        const wastedHours = {};
+        ProgressionSystem.ATTRIBUTES.forEach(attr => { wastedHours[attr] = 0; });
+
+        let previous = start;
+        let targetDate = targetIndex !== null && ProgressionSystem.getRankIndex(start.rank) >= targetIndex
+            ? options.startDate
+            : null;
+        let endDate = options.startDate;
+        let stepCount = 0;
+
+        for (let index = 0; targetDate === null; index++) {
+            // Nothing more can be earned once every attribute has maxed the final rank
+            const isFinalRank = !ProgressionSystem.RANKS[previous.rank].nextRank;
+            if (isFinalRank && ProgressionSystem.ATTRIBUTES.every(attr => simulated.attributes[attr].isMaxed)) break;
+
+            const step = getStep(index);
+            if (!step) break;
+
+            Object.entries(step.hours).forEach(([attr, hours]) => {
+                if (!(hours > 0)) return;
+
+                const result = ProgressionSystem.updateAttributeHours(simulated, attr, hours, { silent: true });
+                simulated = result.profile;
+                wastedHours[attr] += result.requestedHours - result.effectiveHours;
+            });
+
+            const current = takeSnapshot(simulated);
+            stepCount++;
+            endDate = step.date;
+
+            if (current.rank !== previous.rank || current.level !== previous.level) {
+                events.push({ date: step.date, step: index + 1, attribute: null, rank: current.rank, level: current.level });
+            }
+
+            ProgressionSystem.ATTRIBUTES.forEach(attr => {
+                const before = previous.attributes[attr];
+                const after = current.attributes[attr];
+
+                if (before.rank !== after.rank || before.level !== after.level) {
+                    events.push({ date: step.date, step: index + 1, attribute: attr, rank: after.rank, level: after.level });
+                }
+            });
+
+            if (targetIndex !== null && ProgressionSystem.getRankIndex(current.rank) >= targetIndex) {
+                targetDate = step.date;
+            }
+
+            previous = current;
+        }
+
+        return {
+            startDate: options.startDate,
+            endDate: endDate,
+            steps: stepCount,
+            targetRank: options.targetRank || null,
+            targetDate: targetDate,
+            start: start,
+            end: previous,
+            events: events,
+            wastedHours: wastedHours
+        };
+    }
+
+    /**
+     * Simulate a weekly hour budget split between attributes
+     * @param {Object} profile - The profile to start from (not modified)
+     * @param {Object} plan - The plan
+     * @param {number} plan.hoursPerWeek - Hours cooked per week
+     * @param {Object} plan.split - Relative weight of each attribute (e.g. percentages)
+     * @param {string} plan.targetRank - Stop once the user reaches this rank
+     * @param {number} plan.maxWeeks - Longest plan to simulate
+     * @param {Date|number} plan.startDate - When the plan starts (defaults to now)
+     * @returns {Object} - The simulation result (see runSimulation)
+     */
+    function simulateWeeklyBudget(profile, plan) {
+        const startDate = plan.startDate !== undefined ? new Date(plan.startDate).getTime() : Date.now();
+        const maxWeeks = plan.maxWeeks || MAX_WEEKS;
+        const weeklyHours = splitHours(plan.hoursPerWeek, plan.split || {});
+
+        if (!(plan.hoursPerWeek > 0)) {
+            return runSimulation(profile, () => null, { targetRank: plan.targetRank, startDate });
+        }
+
+        return runSimulation(
+            profile,
+            index => index < maxWeeks ? { date: startDate + (index + 1) * WEEK, hours: weeklyHours } : null,
+            { targetRank: plan.targetRank, startDate }
+        );
+    }
+
+    /**
+     * Simulate completing a sequence of quests at a steady pace
+     * @param {Object} profile - The profile to start from (not modified)
+     * @param {Object} plan - The plan
+     * @param {Array} plan.quests - Quests in the order they will be completed
+     * @param {number} plan.questsPerWeek - How many quests are completed per week
+     * @param {string} plan.targetRank - Stop once the user reaches this rank
+     * @param {Date|number} plan.startDate - When the plan starts (defaults to now)
+     * @returns {Object} - The simulation result (see runSimulation)
+     */
+    function simulateQuestPlan(profile, plan) {
+        const startDate = plan.startDate !== undefined ? new Date(plan.startDate).getTime() : Date.now();
+        const interval = WEEK / (plan.questsPerWeek > 0 ? plan.questsPerWeek : 1);
+
+        return runSimulation(
+            profile,
+            index => index < plan.quests.length
+                ? { date: startDate + (index + 1) * interval, hours: plan.quests[index].attributeRewards || {} }
+                : null,
+            { targetRank: plan.targetRank, startDate }
+        );
+    }
+
+    /**
+     * Get the first date each rank is reached, for the user and each attribute
+     * @param {Object} result - A simulation result
+     * @returns {Object} - Dates keyed by rank title, for the user and per attribute
+     */
+    function getRankDates(result) {
+        const dates = { user: {}, attributes: {} };
+        const lastRank = { user: result.start.rank };
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            dates.attributes[attr] = {};
+            lastRank[attr] = result.start.attributes[attr].rank;
+        });
+
+        // Level-ups within a rank are skipped; only the first event in a new rank counts
+        result.events.forEach(event => {
+            const key = event.attribute || 'user';
+            if (event.rank === lastRank[key]) return;
+
+            const target = event.attribute ? dates.attributes[event.attribute] : dates.user;
+            target[event.rank] = event.date;
+            lastRank[key] = event.rank;
+        });
+
+        return dates;
+    }
+
+    // Public API
+    return {
+        MAX_WEEKS,
+        getLevelIndex,
+        splitHours,
+        previewHours,
+        simulateWeeklyBudget,
+        simulateQuestPlan,
+        getRankDates
+    };
+})();
@@ -9,53 +9,18 @@
  * 4. Attributes in a rank higher than the user rank remain at 0% completion until the user advances
  */
 
-const ProgressionSystem = (() => {
-    // Define rank progression data
-    const RANKS = {
-        "Home Cook": {
-            color: "Iron",
-            levels: 9,
-            nextRank: "Culinary Student",
-            attributeHoursRequired: 55, // Total hours per attribute to complete this rank
-            // Hours needed for each level within this rank (array of 9 values)
-            levelHours: [5, 5, 5, 5, 5, 6, 7, 8, 9]
-        },
-        "Culinary Student": {
-            color: "Bronze",
-            levels: 9,
-            nextRank: "Kitchen Assistant",
-            attributeHoursRequired: 209, // 55 + 154
-            levelHours: [10, 11, 13, 15, 17, 19, 21, 23, 25]
-        },
-        "Kitchen Assistant": {
-            color: "Silver",
-            levels: 9,
-            nextRank: "Line Cook",
-            attributeHoursRequired: 530, // 55 + 209 + 
-            levelHours: [27, 29, 31, 33, 35, 37, 40, 43, 46]
-        },
-        "Line Cook": {
-            color: "Gold",
-            levels: 9,
-            nextRank: "Sous Chef",
-            attributeHoursRequired: 1177, // 55 + 209 + 530 + 
-            levelHours: [49, 54, 59, 64, 71, 77, 83, 91, 99]
-        },
-        "Sous Chef": {
-            color: "Platinum",
-            levels: 9,
-            nextRank: "Head Chef",
-            attributeHoursRequired: 2500, // 55 + 99 + 207 + 279 + 351
-            levelHours: [106, 114, 123, 133, 143, 157, 167, 180, 200]
-        },
-        "Head Chef": {
-            color: "Master",
-            levels: 9,
-            nextRank: null, // Final rank
-            attributeHoursRequired: 0, // 55 + 99 + 207 + 279 + 351 + 414
-            levelHours: [0, 0, 0, 0, 0, 0, 0, 0, 0]
-        }
-    };
+import { RankConfig } from './rank-config.js';
+import { ProgressionEvents } from './progression-events.js';
+
+export const ProgressionSystem = (() => {
+    // Rank progression data, checked once when the app loads
+    const RANKS = RankConfig.RANKS;
+    
+    const rankTableIssues = RankConfig.validateRankTable(RANKS);
+    if (rankTableIssues.length > 0) {
+        rankTableIssues.forEach(issue => console.error(`Rank table: ${issue.field}: ${issue.message}`));
+        throw new Error("Invalid rank table in rank-config.js");
+    }
 
     // List of all attributes
     const ATTRIBUTES = ["technique", "ingredients", "flavor", "management"];
@@ -83,19 +48,11 @@ const ProgressionSystem = (() => {
     /**
      * Get the total hours required to reach a given rank
      * @param {string} rankTitle - The target rank
-     * @returns {number} - Total hours required
+     * @returns {number} - Total hours required (the cumulative hours of all earlier ranks)
      */
     function getTotalHoursForRank(rankTitle) {
-        let totalHours = 0;
-        const rankOrder = Object.keys(RANKS);
-        const rankIndex = rankOrder.indexOf(rankTitle);
-        
-        // Add up hours for all ranks before this one
-        for (let i = 0; i < rankIndex; i++) {
-            totalHours += RANKS[rankOrder[i]].attributeHoursRequired;
-        }
-        
-        return totalHours;
+        const rankData = RANKS[rankTitle];
+        return rankData ? rankData.cumulativeHours - rankData.attributeHoursRequired : 0;
     }
 
     /**
@@ -255,16 +212,20 @@ const ProgressionSystem = (() => {
             totalHoursAllAttributes += levelData.cappedTotalHours;
             
             // Store current rank for each attribute
+            // (an attribute already promoted past the user rank has completed it)
             attributeRanks[attrName] = {
                 rank: attributeRank,
                 totalHours: levelData.cappedTotalHours,
-                completed: levelData.rankProgressPercentage >= 100
+                completed: levelData.rankProgressPercentage >= 100 || isRankHigher(attributeRank, currentRank)
             };
             
+            // An attribute that maxes out moves on to the next rank and waits there
+            const promoted = Boolean(levelData.isMaxed && levelData.nextRank);
+            
             // Update attribute data in the user profile
             userProfile.attributes[attrName] = {
                 ...attr,
-                currentRank: levelData.isMaxed && levelData.nextRank ? levelData.nextRank : attributeRank,
+                currentRank: promoted ? levelData.nextRank : attributeRank,
                 currentLevel: levelData.currentLevel,
                 hoursToNextLevel: levelData.hoursToNextLevel,
                 levelProgressPercentage: levelData.levelProgressPercentage,
@@ -272,7 +233,7 @@ const ProgressionSystem = (() => {
                 cappedTotalHours: levelData.cappedTotalHours,
                 totalHours: attr.totalHours,
                 isMaxed: levelData.isMaxed,
-                waitingForUserRankUp: levelData.waitingForUserRankUp
+                waitingForUserRankUp: levelData.waitingForUserRankUp || promoted
             };
         });
         
@@ -351,16 +312,67 @@ const ProgressionSystem = (() => {
     }
 
     /**
-     * Update an attribute with new hours and recalculate rank
+     * Get the rank an attribute's hours have reached
+     * An attribute that has filled a rank is in the next one (where it may wait
+     * for the user to catch up); past the final rank it stays in the final rank.
+     * @param {number} totalHours - Total hours of the attribute
+     * @returns {string} - The rank title
+     */
+    function getRankForHours(totalHours) {
+        const rankTitles = Object.keys(RANKS);
+        return rankTitles.find(rankTitle => totalHours < RANKS[rankTitle].cumulativeHours) ||
+            rankTitles[rankTitles.length - 1];
+    }
+
+    /**
+     * Rebuild the user and attribute ranks from the attribute hours alone
+     * Needed when hours are taken away: promotions the removed hours paid for
+     * are undone, then calculateUserRank works out levels and waiting state.
+     * @param {Object} userProfile - The user profile
+     * @returns {Object} - Updated user profile
+     */
+    function recalculateFromHours(userProfile) {
+        if (!userProfile || !userProfile.attributes) {
+            console.error("Invalid user profile");
+            return userProfile;
+        }
+
+        let userRank = null;
+
+        ATTRIBUTES.forEach(attrName => {
+            const attr = userProfile.attributes[attrName];
+            if (!attr) return;
+
+            attr.currentRank = getRankForHours(attr.totalHours);
+
+            // The user is in the lowest rank any attribute is in
+            if (userRank === null || isRankHigher(userRank, attr.currentRank)) {
+                userRank = attr.currentRank;
+            }
+        });
+
+        if (userRank) {
+            userProfile.currentRank = {
+                ...userProfile.currentRank,
+                title: userRank,
+                color: RANKS[userRank].color
+            };
+        }
+
+        return calculateUserRank(userProfile);
+    }
+
+    /**
+     * Add hours to an attribute and recalculate rank, without announcing anything
      * @param {Object} userProfile - The user profile
      * @param {string} attribute - The attribute to update
      * @param {number} hours - Hours to add
-     * @returns {Object} - Updated user profile and status info
+     * @returns {Object} - Updated user profile, status info and the requested vs. effective hours
      */
-    function updateAttributeHours(userProfile, attribute, hours) {
+    function applyAttributeHours(userProfile, attribute, hours) {
         if (!userProfile || !userProfile.attributes || !userProfile.attributes[attribute]) {
             console.error(`Invalid user profile or attribute: ${attribute}`);
-            return { profile: userProfile, status: "Error: Invalid profile or attribute" };
+            return { profile: userProfile, status: "Error: Invalid profile or attribute", requestedHours: hours, effectiveHours: 0 };
         }
         
         // Get current user rank
@@ -369,7 +381,7 @@ const ProgressionSystem = (() => {
         
         if (!rankData) {
             console.error(`Rank data not found for: ${userRank}`);
-            return { profile: userProfile, status: `Error: Rank data not found for ${userRank}` };
+            return { profile: userProfile, status: `Error: Rank data not found for ${userRank}`, requestedHours: hours, effectiveHours: 0 };
         }
         
         // Get attribute's current rank
@@ -379,7 +391,9 @@ const ProgressionSystem = (() => {
         if (isRankHigher(attributeRank, userRank)) {
             return { 
                 profile: userProfile, 
-                status: `Attribute ${attribute} is already at rank ${attributeRank} and waiting for user to reach this rank.`
+                status: `Attribute ${attribute} is already at rank ${attributeRank} and waiting for user to reach this rank.`,
+                requestedHours: hours,
+                effectiveHours: 0
             };
         }
         
@@ -400,11 +414,13 @@ const ProgressionSystem = (() => {
                 
                 return { 
                     profile: calculateUserRank(userProfile), 
-                    status: `${status}. Advanced to ${rankData.nextRank} (waiting for user rank up).`
+                    status: `${status}. Advanced to ${rankData.nextRank} (waiting for user rank up).`,
+                    requestedHours: hours,
+                    effectiveHours: 0
                 };
             }
             
-            return { profile: userProfile, status };
+            return { profile: userProfile, status, requestedHours: hours, effectiveHours: 0 };
         }
         
         // Add hours (but cap at max for current rank)
@@ -428,7 +444,84 @@ const ProgressionSystem = (() => {
             status += ` Attribute maxed out and advanced to ${attr.currentRank} (waiting for user rank up).`;
         }
         
-        return { profile: updatedProfile, status };
+        return { profile: updatedProfile, status, requestedHours: hours, effectiveHours };
+    }
+
+    /**
+     * Announce the progress made between two snapshots of a profile
+     * @param {string} attribute - The attribute that received hours
+     * @param {Object} before - Snapshot taken before the hours were added
+     * @param {Object} userProfile - The updated profile
+     * @param {Object} result - Result of applyAttributeHours
+     */
+    function emitProgressEvents(attribute, before, userProfile, result) {
+        const after = userProfile.attributes[attribute];
+        
+        ProgressionEvents.emit(ProgressionEvents.EVENTS.HOURS_ADDED, {
+            attribute: attribute,
+            requestedHours: result.requestedHours,
+            effectiveHours: result.effectiveHours,
+            totalHours: after.totalHours
+        });
+        
+        if (after.currentRank !== before.attributeRank || (after.isMaxed && !before.attributeMaxed)) {
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.ATTRIBUTE_MAXED, {
+                attribute: attribute,
+                rank: before.attributeRank,
+                nextRank: RANKS[before.attributeRank].nextRank
+            });
+        } else if (after.currentLevel > before.attributeLevel) {
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.LEVEL_UP, {
+                attribute: attribute,
+                rank: after.currentRank,
+                level: after.currentLevel,
+                previousLevel: before.attributeLevel
+            });
+        }
+        
+        if (userProfile.currentRank.title !== before.userRank) {
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.RANK_UP, {
+                previousRank: before.userRank,
+                rank: userProfile.currentRank.title,
+                color: userProfile.currentRank.color
+            });
+        } else if (userProfile.currentRank.level > before.userLevel) {
+            ProgressionEvents.emit(ProgressionEvents.EVENTS.LEVEL_UP, {
+                attribute: null,
+                rank: userProfile.currentRank.title,
+                level: userProfile.currentRank.level,
+                previousLevel: before.userLevel
+            });
+        }
+    }
+
+    /**
+     * Update an attribute with new hours and recalculate rank
+     * Announces hoursAdded, levelUp, attributeMaxed and rankUp through ProgressionEvents.
+     * @param {Object} userProfile - The user profile
+     * @param {string} attribute - The attribute to update
+     * @param {number} hours - Hours to add
+     * @param {Object} options - Update options
+     * @param {boolean} options.silent - Do not announce events (e.g. for simulations)
+     * @returns {Object} - Updated user profile, status info and the requested vs. effective hours
+     */
+    function updateAttributeHours(userProfile, attribute, hours, options = {}) {
+        const attr = userProfile?.attributes?.[attribute];
+        const before = attr && {
+            attributeRank: attr.currentRank || userProfile.currentRank?.title || "Home Cook",
+            attributeLevel: attr.currentLevel,
+            attributeMaxed: Boolean(attr.isMaxed),
+            userRank: userProfile.currentRank?.title || "Home Cook",
+            userLevel: userProfile.currentRank?.level
+        };
+        
+        const result = applyAttributeHours(userProfile, attribute, hours);
+        
+        if (before && !options.silent && RANKS[before.attributeRank] && RANKS[before.userRank]) {
+            emitProgressEvents(attribute, before, result.profile, result);
+        }
+        
+        return result;
     }
 
     /**
@@ -584,6 +677,7 @@ const ProgressionSystem = (() => {
     return {
         calculateAttributeLevel,
         calculateUserRank,
+        recalculateFromHours,
         updateAttributeHours,
         createNewUserProfile,
         getRankInfo,
@@ -597,8 +691,3 @@ const ProgressionSystem = (() => {
         ATTRIBUTES
     };
 })();
-
-// Export the module
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ProgressionSystem;
-}
@@ -0,0 +1,178 @@
+/**
+ * quest-browser.js - Search, filters and sorting for the full quest catalog
+ * The Quests tab only shows a handful of picks; the browser lists every quest,
+ * locked and completed ones included. Criteria are plain objects so the view
+ * can keep them between renders and tests can build them directly.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { QuestGraph } from './quest-graph.js';
+
+// Quest browser namespace
+export const QuestBrowser = (() => {
+    // Quest types in the order the game introduces them
+    const TYPE_ORDER = ["training", "side", "main", "explore", "challenge"];
+
+    // Quest states a quest can be filtered by (see QuestGraph.getQuestState)
+    const STATES = ["unlocked", "locked", "completed"];
+
+    // Sort options and their labels
+    const SORT_OPTIONS = {
+        rank: "Rank and level",
+        timeAsc: "Shortest first",
+        timeDesc: "Longest first",
+        rewards: "Most hours",
+        title: "Title (A-Z)",
+        type: "Type"
+    };
+
+    // Criteria that show every quest
+    // Empty strings and null mean "any"; maxTime is in minutes
+    const DEFAULT_CRITERIA = Object.freeze({
+        search: '',
+        type: '',
+        rank: '',
+        level: null,
+        attribute: '',
+        maxTime: null,
+        state: '',
+        sort: 'rank'
+    });
+
+    /**
+     * Get the attribute a quest rewards most
+     * Ties go to the attribute listed first in ProgressionSystem.ATTRIBUTES.
+     * @param {Object} quest - The quest
+     * @returns {string|null} - The attribute, or null if the quest rewards nothing
+     */
+    function getAttributeFocus(quest) {
+        let focus = null;
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            const hours = quest.attributeRewards?.[attr] || 0;
+            if (hours > 0 && (focus === null || hours > quest.attributeRewards[focus])) {
+                focus = attr;
+            }
+        });
+
+        return focus;
+    }
+
+    /**
+     * Get the total hours a quest rewards
+     * @param {Object} quest - The quest
+     * @returns {number} - Hours across all attributes
+     */
+    function getTotalReward(quest) {
+        return Object.values(quest.attributeRewards || {}).reduce((sum, hours) => sum + hours, 0);
+    }
+
+    /**
+     * Check whether a quest matches a search text
+     * Every word has to appear in the title, an objective or a material.
+     * @param {Object} quest - The quest
+     * @param {string} search - The search text
+     * @returns {boolean} - Whether the quest matches
+     */
+    function matchesSearch(quest, search) {
+        const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return true;
+
+        const text = [quest.title, ...(quest.objectives || []), ...(quest.materials || [])]
+            .join('\n')
+            .toLowerCase();
+
+        return words.every(word => text.includes(word));
+    }
+
+    /**
+     * Check whether a quest matches the criteria
+     * @param {Object} quest - The quest
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @param {Object} criteria - Browser criteria (see DEFAULT_CRITERIA)
+     * @returns {boolean} - Whether the quest matches
+     */
+    function matchesCriteria(quest, quests, userProfile, criteria) {
+        return (!criteria.type || quest.type === criteria.type) &&
+            (!criteria.rank || quest.rank.title === criteria.rank) &&
+            (criteria.level === null || quest.rank.level === criteria.level) &&
+            (!criteria.attribute || getAttributeFocus(quest) === criteria.attribute) &&
+            (criteria.maxTime === null || quest.timeRequired <= criteria.maxTime) &&
+            (!criteria.state || QuestGraph.getQuestState(quest, quests, userProfile) === criteria.state) &&
+            matchesSearch(quest, criteria.search);
+    }
+
+    /**
+     * Get the position of a quest type in TYPE_ORDER
+     * @param {string} type - The quest type
+     * @returns {number} - The position; unknown types come last
+     */
+    function getTypeIndex(type) {
+        return TYPE_ORDER.includes(type) ? TYPE_ORDER.indexOf(type) : TYPE_ORDER.length;
+    }
+
+    /**
+     * Compare quests by rank, then level, then id
+     * @param {Object} a - A quest
+     * @param {Object} b - Another quest
+     * @returns {number} - Sort order
+     */
+    function compareByRank(a, b) {
+        return ProgressionSystem.getRankIndex(a.rank.title) - ProgressionSystem.getRankIndex(b.rank.title) ||
+            a.rank.level - b.rank.level ||
+            a.id.localeCompare(b.id);
+    }
+
+    // Comparators for each sort option; ties fall back to rank order
+    const COMPARATORS = {
+        rank: compareByRank,
+        timeAsc: (a, b) => a.timeRequired - b.timeRequired || compareByRank(a, b),
+        timeDesc: (a, b) => b.timeRequired - a.timeRequired || compareByRank(a, b),
+        rewards: (a, b) => getTotalReward(b) - getTotalReward(a) || compareByRank(a, b),
+        title: (a, b) => a.title.localeCompare(b.title) || compareByRank(a, b),
+        type: (a, b) => getTypeIndex(a.type) - getTypeIndex(b.type) || compareByRank(a, b)
+    };
+
+    /**
+     * Filter and sort quests
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @param {Object} criteria - Browser criteria; missing fields use DEFAULT_CRITERIA
+     * @returns {Array} - Matching quests in the chosen order
+     */
+    function browse(quests, userProfile, criteria = {}) {
+        const options = { ...DEFAULT_CRITERIA, ...criteria };
+        const comparator = COMPARATORS[options.sort] || COMPARATORS.rank;
+
+        return quests
+            .filter(quest => matchesCriteria(quest, quests, userProfile, options))
+            .sort(comparator);
+    }
+
+    /**
+     * Get the values the catalog offers for the type, rank and level filters
+     * @param {Array} quests - The quest catalog
+     * @returns {Object} - Types, ranks and levels present in the catalog, in order
+     */
+    function getFilterOptions(quests) {
+        const types = [...new Set(quests.map(quest => quest.type))]
+            .sort((a, b) => getTypeIndex(a) - getTypeIndex(b) || a.localeCompare(b));
+        const ranks = Object.keys(ProgressionSystem.RANKS)
+            .filter(rankTitle => quests.some(quest => quest.rank.title === rankTitle));
+        const levels = [...new Set(quests.map(quest => quest.rank.level))].sort((a, b) => a - b);
+
+        return { types, ranks, levels };
+    }
+
+    // Public API
+    return {
+        STATES,
+        SORT_OPTIONS,
+        DEFAULT_CRITERIA,
+        getAttributeFocus,
+        matchesSearch,
+        browse,
+        getFilterOptions
+    };
+})();
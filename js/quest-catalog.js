@@ -0,0 +1,694 @@
+/**
+ * quest-catalog.js - Bundled offline quest catalog
+ * This file ships a copy of the quest catalog with the app so a fresh install
+ * can still start when the remote quest data cannot be reached.
+ * Bump CATALOG_VERSION whenever the quests below change.
+ */
+
+// Quest catalog namespace
+export const QuestCatalog = (() => {
+    // Version of the bundled catalog
+    const CATALOG_VERSION = "2025.04.3";
+
+    // Bundled quest definitions (Home Cook rank)
+    const QUESTS = [
+        // ---- TRAINING QUESTS ----
+        {
+            id: "T1-1",
+            title: "Knife Basics: The Dice",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 45,
+            attributeRewards: { technique: 1, ingredients: 0.25, flavor: 0, management: 0 },
+            description: "Learn a safe knife grip and cut an onion into an even dice.",
+            materials: ["Chef's knife", "Cutting board", "2 onions", "Damp towel"],
+            objectives: [
+                "Hold the knife with a pinch grip",
+                "Use the claw grip to guide the blade",
+                "Produce a consistent medium dice"
+            ],
+            instructions: [
+                "Place a damp towel under your cutting board so it cannot slide.",
+                "Halve the onion through the root and peel it.",
+                "Make horizontal and vertical cuts towards the root without cutting through it.",
+                "Slice across the cuts to release an even dice."
+            ],
+            learningFocus: "Safe knife handling and consistent cut size.",
+            unlocks: ["T1-4"],
+            prerequisites: [],
+            repeatable: { cooldown: "daily", rewardCurve: [1, 0.75, 0.5, 0.25] }
+        },
+        {
+            id: "T1-2",
+            title: "Water Control: Boil vs. Simmer",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0.75, ingredients: 0, flavor: 0, management: 0.25 },
+            description: "Learn to recognise and hold a rolling boil, a simmer and a poach.",
+            materials: ["Medium pot", "Water", "Thermometer (optional)", "2 eggs"],
+            objectives: [
+                "Bring water to a rolling boil",
+                "Reduce to a steady simmer and hold it for 5 minutes",
+                "Poach an egg at a gentle simmer"
+            ],
+            instructions: [
+                "Bring a pot of water to a full rolling boil and note how it looks.",
+                "Lower the heat until only small bubbles break the surface.",
+                "Hold the simmer for 5 minutes, adjusting the heat as needed.",
+                "Poach an egg in the simmering water for 3 minutes."
+            ],
+            learningFocus: "Reading the surface of water to judge temperature.",
+            unlocks: ["T1-5"],
+            prerequisites: []
+        },
+        {
+            id: "T1-3",
+            title: "Mise en Place",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0.25, ingredients: 0, flavor: 0, management: 0.75 },
+            description: "Prepare and organise every ingredient before you turn on the heat.",
+            materials: ["Any simple recipe", "Small bowls", "Measuring cups and spoons"],
+            objectives: [
+                "Read the recipe from start to finish",
+                "Measure and prep every ingredient into bowls",
+                "Arrange your station in order of use"
+            ],
+            instructions: [
+                "Read through the recipe twice before starting.",
+                "Measure each ingredient into its own bowl.",
+                "Line the bowls up in the order the recipe uses them.",
+                "Clean as you go so your station stays clear."
+            ],
+            learningFocus: "Organisation before cooking.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "T1-4",
+            title: "Knife Basics: The Julienne",
+            type: "training",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 45,
+            attributeRewards: { technique: 1, ingredients: 0, flavor: 0, management: 0 },
+            description: "Cut carrots and peppers into thin, even matchsticks.",
+            materials: ["Chef's knife", "Cutting board", "2 carrots", "1 bell pepper"],
+            objectives: [
+                "Square off the carrot to create a stable base",
+                "Cut even planks about 3mm thick",
+                "Cut the planks into matchsticks"
+            ],
+            instructions: [
+                "Peel the carrots and cut them into 6cm lengths.",
+                "Trim each side to make a stable rectangle.",
+                "Slice into 3mm planks, then stack and cut into 3mm sticks.",
+                "Repeat with the bell pepper, working skin side down."
+            ],
+            learningFocus: "Precision and consistency in fine cuts.",
+            unlocks: ["S1-3"],
+            prerequisites: ["T1-1"]
+        },
+        {
+            id: "T1-5",
+            title: "Sautéing Basics",
+            type: "training",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 40,
+            attributeRewards: { technique: 1, ingredients: 0, flavor: 0.25, management: 0 },
+            description: "Learn to preheat a pan and sauté vegetables without steaming them.",
+            materials: ["Skillet", "Neutral oil", "Mushrooms", "Salt"],
+            objectives: [
+                "Preheat the pan until the oil shimmers",
+                "Cook the mushrooms in a single layer",
+                "Achieve golden browning without stirring constantly"
+            ],
+            instructions: [
+                "Heat the skillet over medium-high heat for 2 minutes.",
+                "Add oil and wait until it shimmers.",
+                "Add the mushrooms in a single layer and leave them for 3 minutes.",
+                "Toss, season with salt and cook until golden."
+            ],
+            learningFocus: "Heat management and the Maillard reaction.",
+            unlocks: ["M1-2"],
+            prerequisites: ["T1-2"]
+        },
+        {
+            id: "T1-6",
+            title: "Seasoning to Taste",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0, ingredients: 0, flavor: 1, management: 0 },
+            description: "Train your palate by seasoning a simple broth step by step.",
+            materials: ["Low-sodium broth", "Salt", "Lemon", "Tasting spoons"],
+            objectives: [
+                "Taste the broth before seasoning",
+                "Add salt in small increments and taste after each",
+                "Balance the finished broth with a little acid"
+            ],
+            instructions: [
+                "Warm the broth and taste it plain.",
+                "Add a pinch of salt, stir and taste again.",
+                "Repeat until the flavour 'pops'.",
+                "Add a few drops of lemon and note the difference."
+            ],
+            learningFocus: "Tasting and adjusting as you cook.",
+            unlocks: [],
+            prerequisites: [],
+            repeatable: { cooldown: "weekly", rewardCurve: [1, 0.5] }
+        },
+        {
+            id: "T1-7",
+            title: "Reading a Recipe",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 25,
+            attributeRewards: { technique: 0, ingredients: 0, flavor: 0, management: 0.75 },
+            description: "Break a recipe down into a timeline before you cook it.",
+            materials: ["A recipe with at least 8 steps", "Paper and pen"],
+            objectives: [
+                "Identify every ingredient and piece of equipment",
+                "Mark steps that can happen in parallel",
+                "Write a start-to-finish timeline"
+            ],
+            instructions: [
+                "List all ingredients and equipment the recipe needs.",
+                "Note any resting, marinating or preheating times.",
+                "Group steps that can happen at the same time.",
+                "Write a timeline working back from when you want to eat."
+            ],
+            learningFocus: "Planning and time management.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "T1-8",
+            title: "Egg Cookery: Soft Scramble",
+            type: "training",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 20,
+            attributeRewards: { technique: 0.5, ingredients: 0, flavor: 0.25, management: 0 },
+            description: "Cook soft, creamy scrambled eggs over gentle heat.",
+            materials: ["Non-stick pan", "3 eggs", "Butter", "Salt", "Spatula"],
+            objectives: [
+                "Whisk the eggs until fully combined",
+                "Cook over low heat while stirring",
+                "Remove from the heat while still glossy"
+            ],
+            instructions: [
+                "Whisk the eggs with a pinch of salt.",
+                "Melt butter in the pan over low heat.",
+                "Add the eggs and stir slowly with a spatula.",
+                "Take the pan off the heat just before the eggs look done."
+            ],
+            learningFocus: "Gentle heat and carryover cooking.",
+            unlocks: [],
+            prerequisites: []
+        },
+
+        // ---- SIDE QUESTS ----
+        {
+            id: "S1-1",
+            title: "Simple Vinaigrette",
+            type: "side",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 20,
+            attributeRewards: { technique: 0, ingredients: 0.5, flavor: 0.75, management: 0 },
+            description: "Make a balanced vinaigrette and dress a green salad.",
+            materials: ["Olive oil", "Vinegar", "Dijon mustard", "Salt and pepper", "Salad greens"],
+            objectives: [
+                "Combine oil and vinegar in a 3:1 ratio",
+                "Emulsify with mustard",
+                "Adjust seasoning and dress the salad"
+            ],
+            instructions: [
+                "Whisk 1 tbsp vinegar with 1 tsp mustard and a pinch of salt.",
+                "Slowly whisk in 3 tbsp olive oil until emulsified.",
+                "Taste on a leaf and adjust.",
+                "Dress the greens just before serving."
+            ],
+            learningFocus: "Emulsions and acid balance.",
+            unlocks: ["S1-2"],
+            prerequisites: []
+        },
+        {
+            id: "S1-2",
+            title: "Quick Pan Sauce",
+            type: "side",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0.5, ingredients: 0, flavor: 1, management: 0 },
+            description: "Deglaze a pan and build a glossy sauce from the fond.",
+            materials: ["Skillet", "Shallot", "Stock", "Butter", "Fresh herbs"],
+            objectives: [
+                "Build fond by searing aromatics",
+                "Deglaze and reduce the liquid by half",
+                "Mount the sauce with cold butter"
+            ],
+            instructions: [
+                "Sweat a minced shallot in the pan until soft.",
+                "Add stock and scrape up the browned bits.",
+                "Reduce by half, then turn off the heat.",
+                "Swirl in cold butter and finish with herbs."
+            ],
+            learningFocus: "Deglazing, reduction and mounting with butter.",
+            unlocks: ["S1-4"],
+            prerequisites: ["S1-1"]
+        },
+        {
+            id: "S1-3",
+            title: "Crudité Platter",
+            type: "side",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 45,
+            attributeRewards: { technique: 0.75, ingredients: 0.75, flavor: 0, management: 0 },
+            description: "Use your knife skills to build an attractive vegetable platter.",
+            materials: ["Assorted raw vegetables", "Chef's knife", "Serving platter", "Dip of your choice"],
+            objectives: [
+                "Cut each vegetable in a way that suits it",
+                "Keep cuts uniform within each vegetable",
+                "Arrange the platter for colour and contrast"
+            ],
+            instructions: [
+                "Wash and dry all vegetables.",
+                "Julienne the carrots and peppers, slice the cucumbers.",
+                "Group the vegetables by colour on the platter.",
+                "Place the dip in the centre."
+            ],
+            learningFocus: "Applying cuts to different ingredients.",
+            unlocks: [],
+            prerequisites: ["T1-4"]
+        },
+        {
+            id: "S1-4",
+            title: "Compound Butter",
+            type: "side",
+            rank: { title: "Home Cook", level: 3 },
+            timeRequired: 25,
+            attributeRewards: { technique: 0, ingredients: 0.5, flavor: 0.75, management: 0 },
+            description: "Flavour softened butter with herbs and aromatics and roll it into a log.",
+            materials: ["Unsalted butter", "Garlic", "Fresh herbs", "Lemon zest", "Parchment paper"],
+            objectives: [
+                "Soften the butter to room temperature",
+                "Balance herbs, garlic and zest",
+                "Roll and chill a neat butter log"
+            ],
+            instructions: [
+                "Leave the butter out until soft.",
+                "Finely chop the herbs and grate the garlic.",
+                "Mix everything together with a pinch of salt.",
+                "Roll into a log in parchment and chill for 1 hour."
+            ],
+            learningFocus: "Layering flavours in a simple base.",
+            unlocks: [],
+            prerequisites: ["S1-2"]
+        },
+        {
+            id: "S1-5",
+            title: "Perfect Steamed Rice",
+            type: "side",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 40,
+            attributeRewards: { technique: 0.5, ingredients: 0, flavor: 0, management: 0.5 },
+            description: "Cook fluffy stovetop rice using the absorption method.",
+            materials: ["Long-grain rice", "Pot with lid", "Water", "Salt"],
+            objectives: [
+                "Rinse the rice until the water runs clear",
+                "Use the correct water ratio",
+                "Rest the rice before fluffing"
+            ],
+            instructions: [
+                "Rinse 1 cup of rice in a sieve.",
+                "Bring the rice and 1.5 cups of water to a boil with a pinch of salt.",
+                "Cover and cook on low for 15 minutes.",
+                "Rest off the heat for 10 minutes, then fluff."
+            ],
+            learningFocus: "Ratios and timing.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "S1-6",
+            title: "Roasted Vegetables",
+            type: "side",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 50,
+            attributeRewards: { technique: 0.5, ingredients: 0.75, flavor: 0, management: 0 },
+            description: "Roast a tray of seasonal vegetables until caramelised.",
+            materials: ["Sheet pan", "Seasonal vegetables", "Olive oil", "Salt and pepper"],
+            objectives: [
+                "Cut the vegetables to similar sizes",
+                "Avoid crowding the pan",
+                "Roast until browned at the edges"
+            ],
+            instructions: [
+                "Preheat the oven to 220°C (425°F).",
+                "Cut the vegetables into even pieces.",
+                "Toss with oil and salt and spread out on the pan.",
+                "Roast for 25-35 minutes, turning halfway."
+            ],
+            learningFocus: "Dry heat and caramelisation.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "S1-7",
+            title: "Quick Pickles",
+            type: "side",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0, ingredients: 0.5, flavor: 0.75, management: 0 },
+            description: "Make a jar of quick refrigerator pickles.",
+            materials: ["Cucumbers or red onion", "Vinegar", "Sugar", "Salt", "Clean jar"],
+            objectives: [
+                "Make a balanced brine",
+                "Slice the vegetables evenly",
+                "Pickle for at least 30 minutes"
+            ],
+            instructions: [
+                "Heat equal parts vinegar and water with sugar and salt until dissolved.",
+                "Pack the sliced vegetables into the jar.",
+                "Pour the warm brine over the vegetables.",
+                "Cool and refrigerate for at least 30 minutes."
+            ],
+            learningFocus: "Acid, salt and sugar balance.",
+            unlocks: [],
+            prerequisites: []
+        },
+
+        // ---- MAIN QUESTS ----
+        {
+            id: "M1-1",
+            title: "Vegetable Stir-Fry",
+            type: "main",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 60,
+            attributeRewards: { technique: 0.75, ingredients: 0.5, flavor: 0.5, management: 0.25 },
+            description: "Cook a complete stir-fry with a simple sauce.",
+            materials: ["Wok or large skillet", "Mixed vegetables", "Garlic and ginger", "Soy sauce", "Rice"],
+            objectives: [
+                "Prep everything before you start cooking",
+                "Cook the vegetables in order of density",
+                "Finish with a balanced sauce"
+            ],
+            instructions: [
+                "Start the rice first.",
+                "Prep all vegetables, aromatics and the sauce.",
+                "Stir-fry the hardest vegetables first, then the softer ones.",
+                "Add the aromatics, then the sauce, and toss to coat."
+            ],
+            learningFocus: "Cooking several components to finish together.",
+            unlocks: ["M1-2"],
+            prerequisites: []
+        },
+        {
+            id: "M1-2",
+            title: "Pan-Seared Chicken with Pan Sauce",
+            type: "main",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 60,
+            attributeRewards: { technique: 1, ingredients: 0.25, flavor: 0.75, management: 0.25 },
+            description: "Sear chicken thighs to a crisp skin and serve with a pan sauce.",
+            materials: ["Skillet", "Chicken thighs", "Stock", "Butter", "Thermometer"],
+            objectives: [
+                "Achieve crisp, golden skin",
+                "Cook the chicken to a safe internal temperature",
+                "Make a pan sauce from the fond"
+            ],
+            instructions: [
+                "Pat the chicken dry and season well.",
+                "Sear skin side down without moving until golden.",
+                "Flip and cook through to 74°C (165°F), then rest.",
+                "Make a pan sauce in the same skillet."
+            ],
+            learningFocus: "Searing and using fond.",
+            unlocks: ["M1-3", "C1-1"],
+            prerequisites: ["M1-1"]
+        },
+        {
+            id: "M1-3",
+            title: "Weeknight Pasta from Scratch",
+            type: "main",
+            rank: { title: "Home Cook", level: 3 },
+            timeRequired: 75,
+            attributeRewards: { technique: 0.75, ingredients: 0.5, flavor: 0.75, management: 0.5 },
+            description: "Cook a tomato pasta sauce and finish the pasta in the sauce.",
+            materials: ["Pasta", "Canned tomatoes", "Garlic", "Olive oil", "Parmesan"],
+            objectives: [
+                "Build a simple tomato sauce",
+                "Cook pasta just short of al dente",
+                "Finish the pasta in the sauce with pasta water"
+            ],
+            instructions: [
+                "Gently cook sliced garlic in olive oil.",
+                "Add the tomatoes and simmer for 20 minutes.",
+                "Cook the pasta 1 minute short of the packet time.",
+                "Toss the pasta in the sauce with a splash of pasta water and cheese."
+            ],
+            learningFocus: "Timing components and using starch to bind a sauce.",
+            unlocks: ["C1-2"],
+            prerequisites: ["M1-2"]
+        },
+        {
+            id: "M1-4",
+            title: "Hearty Vegetable Soup",
+            type: "main",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 90,
+            attributeRewards: { technique: 0.5, ingredients: 0.75, flavor: 0.5, management: 0.25 },
+            description: "Build a soup from a soffritto base and seasonal vegetables.",
+            materials: ["Large pot", "Onion, carrot and celery", "Seasonal vegetables", "Stock", "Beans"],
+            objectives: [
+                "Sweat a soffritto without browning",
+                "Add vegetables in order of cooking time",
+                "Season and finish the soup"
+            ],
+            instructions: [
+                "Dice the onion, carrot and celery.",
+                "Sweat them in oil until soft.",
+                "Add the remaining vegetables and stock and simmer.",
+                "Add the beans, season and finish with herbs."
+            ],
+            learningFocus: "Building flavour in layers.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "M1-5",
+            title: "Full Breakfast Plate",
+            type: "main",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 45,
+            attributeRewards: { technique: 0.5, ingredients: 0.25, flavor: 0.25, management: 0.75 },
+            description: "Cook and plate a breakfast where every component is hot at the same time.",
+            materials: ["Eggs", "Bread", "Tomatoes or mushrooms", "Butter", "Two pans"],
+            objectives: [
+                "Plan the order of cooking",
+                "Keep finished components warm",
+                "Plate everything hot"
+            ],
+            instructions: [
+                "Write down the cooking order, slowest first.",
+                "Warm the plates in a low oven.",
+                "Cook the vegetables, then the eggs, then the toast.",
+                "Plate immediately."
+            ],
+            learningFocus: "Coordinating timing across components.",
+            unlocks: [],
+            prerequisites: []
+        },
+
+        // ---- EXPLORE QUESTS ----
+        {
+            id: "E1-1",
+            title: "Farmers Market Visit",
+            type: "explore",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 60,
+            attributeRewards: { technique: 0, ingredients: 1, flavor: 0, management: 0 },
+            description: "Visit a market and learn what is in season.",
+            materials: ["Notebook", "Reusable bag"],
+            objectives: [
+                "Identify five seasonal ingredients",
+                "Ask a vendor how they would cook one of them",
+                "Buy one ingredient you have never cooked"
+            ],
+            instructions: [
+                "Walk the whole market once before buying.",
+                "Note five ingredients that are in season.",
+                "Talk to at least one vendor about their produce.",
+                "Buy one new ingredient to cook this week."
+            ],
+            learningFocus: "Seasonality and sourcing.",
+            unlocks: ["E1-2"],
+            prerequisites: []
+        },
+        {
+            id: "E1-2",
+            title: "Taste Test: Salts",
+            type: "explore",
+            rank: { title: "Home Cook", level: 2 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0, ingredients: 0.5, flavor: 0.75, management: 0 },
+            description: "Compare different salts side by side.",
+            materials: ["Table salt", "Kosher salt", "Flaky sea salt", "Sliced tomato"],
+            objectives: [
+                "Taste each salt on its own",
+                "Taste each salt on a slice of tomato",
+                "Write down the differences"
+            ],
+            instructions: [
+                "Place a small pinch of each salt on a plate.",
+                "Taste each one and note texture and intensity.",
+                "Repeat on tomato slices.",
+                "Decide which salt suits which use."
+            ],
+            learningFocus: "How ingredients differ within a category.",
+            unlocks: [],
+            prerequisites: ["E1-1"]
+        },
+        {
+            id: "E1-3",
+            title: "Herb Identification",
+            type: "explore",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 30,
+            attributeRewards: { technique: 0, ingredients: 0.75, flavor: 0.25, management: 0 },
+            description: "Learn to tell common fresh herbs apart by sight, smell and taste.",
+            materials: ["Parsley", "Cilantro", "Basil", "Mint", "Dill"],
+            objectives: [
+                "Identify each herb by sight",
+                "Describe the aroma of each herb",
+                "Pair each herb with a dish"
+            ],
+            instructions: [
+                "Lay the herbs out without labels.",
+                "Identify each by its leaves.",
+                "Crush a leaf of each and smell it.",
+                "Write down one dish for each herb."
+            ],
+            learningFocus: "Recognising fresh herbs.",
+            unlocks: [],
+            prerequisites: []
+        },
+        {
+            id: "E1-4",
+            title: "Spice Cabinet Inventory",
+            type: "explore",
+            rank: { title: "Home Cook", level: 1 },
+            timeRequired: 40,
+            attributeRewards: { technique: 0, ingredients: 0.5, flavor: 0, management: 0.5 },
+            description: "Sort, date and organise your spices.",
+            materials: ["Your spice collection", "Labels", "Marker"],
+            objectives: [
+                "Check every spice for freshness",
+                "Discard or replace stale spices",
+                "Organise the spices so they are easy to find"
+            ],
+            instructions: [
+                "Take every spice out of the cupboard.",
+                "Smell each one and discard any that have lost their aroma.",
+                "Label each jar with the date you checked it.",
+                "Return them in alphabetical or cuisine order."
+            ],
+            learningFocus: "Pantry management.",
+            unlocks: [],
+            prerequisites: []
+        },
+
+        // ---- CHALLENGE QUESTS ----
+        {
+            id: "C1-1",
+            title: "Three-Course Dinner",
+            type: "challenge",
+            rank: { title: "Home Cook", level: 3 },
+            timeRequired: 180,
+            attributeRewards: { technique: 1, ingredients: 1, flavor: 1, management: 1.5 },
+            description: "Plan and cook a starter, main and dessert for at least two people.",
+            materials: ["A menu you planned", "Ingredients for three courses"],
+            objectives: [
+                "Write a menu and a cooking timeline",
+                "Serve each course on time",
+                "Keep your station clean throughout"
+            ],
+            instructions: [
+                "Plan a menu using skills you have practised.",
+                "Prep as much as possible in advance.",
+                "Follow your timeline and serve each course.",
+                "Review what went well and what you would change."
+            ],
+            learningFocus: "Bringing all of your skills together.",
+            unlocks: [],
+            prerequisites: ["M1-2"]
+        },
+        {
+            id: "C1-2",
+            title: "Mystery Basket",
+            type: "challenge",
+            rank: { title: "Home Cook", level: 5 },
+            timeRequired: 120,
+            attributeRewards: { technique: 1, ingredients: 1.5, flavor: 1.5, management: 1 },
+            description: "Cook a complete dish from a basket of ingredients chosen by someone else.",
+            materials: ["A basket of 4 ingredients chosen by a friend", "Pantry staples"],
+            objectives: [
+                "Use all four basket ingredients",
+                "Finish within two hours",
+                "Plate the dish attractively"
+            ],
+            instructions: [
+                "Ask a friend to pick four ingredients for you.",
+                "Take 10 minutes to plan your dish.",
+                "Cook, using every basket ingredient.",
+                "Plate and ask your friend for feedback."
+            ],
+            learningFocus: "Improvisation under time pressure.",
+            unlocks: [],
+            prerequisites: ["M1-3"]
+        }
+    ];
+
+    // Random challenge modifiers a user can add to any quest
+    // bonusMultiplier: extra share of the quest's rewards earned when completed with a modifier
+    const MODIFIERS = {
+        bonusMultiplier: 0.25,
+        tables: {
+            ingredient: [
+                "Add a fresh herb of your choice",
+                "Include a citrus element",
+                "Use a spice you've never tried before",
+                "Incorporate a seasonal vegetable",
+                "Add a fermented ingredient"
+            ],
+            technique: [
+                "Use only wooden utensils",
+                "Try a different cutting technique",
+                "Cook without using the microwave",
+                "Use a one-pot approach",
+                "Practice mise en place rigorously"
+            ],
+            constraint: [
+                "Complete in 25% less time",
+                "Use only 3 main ingredients",
+                "Create no food waste",
+                "Use only one heat source",
+                "Work in complete silence"
+            ],
+            flavor: [
+                "Make it slightly spicy",
+                "Emphasize umami flavors",
+                "Create a sweet-savory balance",
+                "Focus on brightness with acid",
+                "Develop deeper, roasted flavors"
+            ]
+        }
+    };
+
+    // Public API
+    return {
+        version: CATALOG_VERSION,
+        quests: QUESTS,
+        modifiers: MODIFIERS
+    };
+})();
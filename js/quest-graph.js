@@ -0,0 +1,311 @@
+/**
+ * quest-graph.js - Quest dependency graph
+ * Builds the graph of the quest catalog from each quest's unlocks and
+ * prerequisites, lays it out in columns (a quest sits to the right of every
+ * quest that leads to it) and decides whether a quest is locked, explaining why
+ * and the shortest way to unlock it. These are the lock rules completing a
+ * quest is checked against, so every view of the catalog uses them too.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+
+// Quest graph namespace
+export const QuestGraph = (() => {
+    // Layout dimensions in SVG units
+    const LAYOUT = Object.freeze({
+        nodeWidth: 150,
+        nodeHeight: 44,
+        columnGap: 70,
+        rowGap: 16,
+        margin: 20
+    });
+
+    /**
+     * Build the dependency graph of a quest catalog
+     * An edge runs from a quest to every quest it unlocks or is a prerequisite of.
+     * Links to quests that are not in the catalog are left out.
+     * @param {Array} quests - The quest catalog
+     * @returns {Object} - Nodes keyed by quest id and edges as { from, to, unlocks, prerequisite }
+     */
+    function buildGraph(quests) {
+        const nodes = new Map(quests.map(quest => [quest.id, quest]));
+        const edges = new Map();
+
+        const addEdge = (from, to, kind) => {
+            if (!nodes.has(from) || !nodes.has(to) || from === to) return;
+
+            const key = `${from}->${to}`;
+            if (!edges.has(key)) {
+                edges.set(key, { from, to, unlocks: false, prerequisite: false });
+            }
+            edges.get(key)[kind] = true;
+        };
+
+        quests.forEach(quest => {
+            (quest.unlocks || []).forEach(id => addEdge(quest.id, id, 'unlocks'));
+            (quest.prerequisites || []).forEach(id => addEdge(id, quest.id, 'prerequisite'));
+        });
+
+        return { nodes, edges: [...edges.values()] };
+    }
+
+    /**
+     * Place every quest of the graph
+     * Columns follow the longest chain of quests leading to each quest; within a
+     * column quests sit near the quests that lead to them.
+     * @param {Object} graph - The graph from buildGraph
+     * @returns {Object} - Positions keyed by quest id ({ x, y, column }), and the total width and height
+     */
+    function layoutGraph(graph) {
+        const ids = [...graph.nodes.keys()];
+        const column = new Map(ids.map(id => [id, 0]));
+
+        // Longest-path columns; the pass limit keeps a cycle in the catalog from looping forever
+        for (let pass = 0; pass < ids.length; pass++) {
+            let changed = false;
+            graph.edges.forEach(edge => {
+                if (column.get(edge.to) < column.get(edge.from) + 1) {
+                    column.set(edge.to, column.get(edge.from) + 1);
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        const columnCount = Math.max(0, ...column.values()) + 1;
+        const rowOf = new Map();
+        const columns = [];
+
+        for (let index = 0; index < columnCount; index++) {
+            const parentRow = id => {
+                const rows = graph.edges
+                    .filter(edge => edge.to === id && rowOf.has(edge.from))
+                    .map(edge => rowOf.get(edge.from));
+                return rows.length > 0 ? rows.reduce((sum, row) => sum + row, 0) / rows.length : Infinity;
+            };
+
+            const columnIds = ids
+                .filter(id => column.get(id) === index)
+                .sort((a, b) => parentRow(a) - parentRow(b) || a.localeCompare(b));
+
+            columnIds.forEach((id, row) => rowOf.set(id, row));
+            columns.push(columnIds);
+        }
+
+        const positions = {};
+        columns.forEach((columnIds, index) => {
+            columnIds.forEach((id, row) => {
+                positions[id] = {
+                    x: LAYOUT.margin + index * (LAYOUT.nodeWidth + LAYOUT.columnGap),
+                    y: LAYOUT.margin + row * (LAYOUT.nodeHeight + LAYOUT.rowGap),
+                    column: index
+                };
+            });
+        });
+
+        const rowCount = Math.max(0, ...columns.map(columnIds => columnIds.length));
+
+        return {
+            positions,
+            width: LAYOUT.margin * 2 + columnCount * LAYOUT.nodeWidth + (columnCount - 1) * LAYOUT.columnGap,
+            height: LAYOUT.margin * 2 + rowCount * LAYOUT.nodeHeight + Math.max(0, rowCount - 1) * LAYOUT.rowGap
+        };
+    }
+
+    /**
+     * Find the fewest quests to complete before a quest can be started
+     * Every missing prerequisite has to be completed, and a quest that isn't
+     * unlocked yet needs one of the quests that unlock it; the cheapest of
+     * those is picked, counting quests the path already includes as free.
+     * @param {Object} quest - The quest
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @returns {Array|null} - Quest ids in the order to complete them (empty if
+     *                         nothing is missing), or null if the quest can't be reached
+     */
+    function getUnlockPath(quest, quests, userProfile) {
+        const questsById = new Map(quests.map(q => [q.id, q]));
+        const completed = new Set(userProfile.completedQuests);
+        const unlocked = new Set(userProfile.unlockedQuests);
+        const paths = new Map();
+
+        // Quests leading up to a quest, dependencies first; null when it can't be reached
+        const pathTo = (questId, visiting) => {
+            if (paths.has(questId)) return paths.get(questId);
+            if (!questsById.has(questId) || visiting.has(questId)) return null;
+
+            visiting.add(questId);
+            const current = questsById.get(questId);
+            const steps = [];
+            const addSteps = more => more.forEach(step => {
+                if (!steps.includes(step)) steps.push(step);
+            });
+
+            let reachable = true;
+            for (const prerequisite of current.prerequisites || []) {
+                if (completed.has(prerequisite)) continue;
+
+                const prerequisitePath = pathTo(prerequisite, visiting);
+                if (!prerequisitePath) {
+                    reachable = false;
+                    break;
+                }
+                addSteps([...prerequisitePath, prerequisite]);
+            }
+
+            if (reachable && !unlocked.has(questId)) {
+                let cheapest = null;
+
+                for (const unlocker of quests.filter(q => (q.unlocks || []).includes(questId))) {
+                    const unlockerPath = completed.has(unlocker.id) ? [] : pathTo(unlocker.id, visiting);
+                    if (!unlockerPath) continue;
+
+                    const added = [...unlockerPath, unlocker.id]
+                        .filter(step => !completed.has(step) && !steps.includes(step));
+                    if (!cheapest || added.length < cheapest.length) {
+                        cheapest = added;
+                    }
+                }
+
+                if (cheapest) {
+                    addSteps(cheapest);
+                } else {
+                    reachable = false;
+                }
+            }
+
+            visiting.delete(questId);
+
+            // Only found paths are kept: a dead end may just be a cycle seen from this route
+            if (reachable) {
+                paths.set(questId, steps);
+            }
+            return reachable ? steps : null;
+        };
+
+        return pathTo(quest.id, new Set());
+    }
+
+    /**
+     * Find what stops a player from starting a quest
+     * @param {Object} quest - The quest
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @returns {Array} - The reasons (see getLockReason), empty if the quest can be started
+     */
+    function findLockReasons(quest, quests, userProfile) {
+        const reasons = [];
+
+        if (!userProfile.unlockedQuests.includes(quest.id)) {
+            reasons.push({
+                type: 'notUnlocked',
+                unlockedBy: quests.filter(q => (q.unlocks || []).includes(quest.id)).map(q => q.id)
+            });
+        }
+
+        const missingPrerequisites = (quest.prerequisites || [])
+            .filter(id => !userProfile.completedQuests.includes(id));
+        if (missingPrerequisites.length > 0) {
+            reasons.push({ type: 'missingPrerequisites', questIds: missingPrerequisites });
+        }
+
+        const currentRank = userProfile.currentRank?.title;
+        if (currentRank && ProgressionSystem.isRankHigher(quest.rank.title, currentRank)) {
+            reasons.push({ type: 'rankTooLow', requiredRank: quest.rank.title, currentRank: currentRank });
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Get whether a quest is completed, can be started (unlocked) or is still locked
+     * @param {Object} quest - The quest
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @returns {string} - "completed", "unlocked" or "locked"
+     */
+    function getQuestState(quest, quests, userProfile) {
+        if (userProfile.completedQuests.includes(quest.id)) {
+            return "completed";
+        }
+
+        return findLockReasons(quest, quests, userProfile).length > 0 ? "locked" : "unlocked";
+    }
+
+    /**
+     * Explain what stands between a player and a quest
+     * A quest can be started once it has been unlocked (by completing a quest
+     * that unlocks it, unless it is unlocked from the start), all of its
+     * prerequisites are completed and the player has reached its rank.
+     * @param {Object} quest - The quest
+     * @param {Array} quests - The quest catalog
+     * @param {Object} userProfile - The user profile
+     * @returns {Object} - The quest state, whether it is locked, the reasons as
+     *                     { type: 'notUnlocked', unlockedBy }, { type: 'missingPrerequisites', questIds }
+     *                     or { type: 'rankTooLow', requiredRank, currentRank }, the shortest
+     *                     unlock path and a sentence describing the reasons (null when unlocked)
+     */
+    function getLockReason(quest, quests, userProfile) {
+        const state = getQuestState(quest, quests, userProfile);
+        const reasons = state === 'completed' ? [] : findLockReasons(quest, quests, userProfile);
+        const locked = reasons.length > 0;
+
+        return {
+            state,
+            locked,
+            reasons,
+            unlockPath: locked ? getUnlockPath(quest, quests, userProfile) : [],
+            message: locked ? describeLockReasons(reasons, quests) : null
+        };
+    }
+
+    /**
+     * Describe lock reasons in a sentence
+     * @param {Array} reasons - Reasons from getLockReason
+     * @param {Array} quests - The quest catalog
+     * @returns {string} - The description
+     */
+    function describeLockReasons(reasons, quests) {
+        const titleOf = id => quests.find(q => q.id === id)?.title || id;
+        const listTitles = (ids, conjunction) => {
+            const titles = ids.map(titleOf);
+            return titles.length > 1
+                ? `${titles.slice(0, -1).join(', ')} ${conjunction} ${titles[titles.length - 1]}`
+                : titles[0];
+        };
+
+        const notUnlocked = reasons.find(reason => reason.type === 'notUnlocked');
+        const missing = reasons.find(reason => reason.type === 'missingPrerequisites');
+        const rank = reasons.find(reason => reason.type === 'rankTooLow');
+        const sentences = [];
+
+        if (notUnlocked) {
+            sentences.push(notUnlocked.unlockedBy.length > 0
+                ? `Complete ${listTitles(notUnlocked.unlockedBy, 'or')} to unlock it.`
+                : 'No quest in the catalog unlocks it.');
+        }
+
+        // A prerequisite that is also the only unlocking quest was just mentioned
+        const otherPrerequisites = (missing?.questIds || [])
+            .filter(id => !(notUnlocked?.unlockedBy.length === 1 && notUnlocked.unlockedBy[0] === id));
+        if (otherPrerequisites.length > 0) {
+            sentences.push(`Requires ${listTitles(otherPrerequisites, 'and')}.`);
+        }
+
+        if (rank) {
+            sentences.push(`Reach the ${rank.requiredRank} rank first.`);
+        }
+
+        return sentences.join(' ');
+    }
+
+    // Public API
+    return {
+        LAYOUT,
+        buildGraph,
+        layoutGraph,
+        getUnlockPath,
+        getQuestState,
+        getLockReason
+    };
+})();
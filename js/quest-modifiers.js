@@ -0,0 +1,101 @@
+/**
+ * quest-modifiers.js - Random challenge modifiers for quest attempts
+ * A modifier is rolled from the catalog's modifier tables with a seeded generator,
+ * so the same seed always gives the same challenge. The rolled modifier is stored
+ * with the quest attempt and earns bonus hours when the quest is completed.
+ *
+ * Catalog format:
+ *   modifiers: {
+ *       bonusMultiplier: 0.25,                       // extra share of the quest's rewards
+ *       tables: {
+ *           ingredient: ["Include a citrus element", ...],
+ *           constraint: ["Use only 3 main ingredients", ...]
+ *       }
+ *   }
+ */
+
+import { SeededRandom } from './seeded-random.js';
+import { QuestRepeats } from './quest-repeats.js';
+
+// Quest modifiers namespace
+export const QuestModifiers = (() => {
+    // Bonus used when the catalog does not define one
+    const DEFAULT_BONUS_MULTIPLIER = 0.25;
+
+    /**
+     * Build the seed for a modifier roll
+     * The seed changes with every completion and every re-roll of the same quest.
+     * @param {Object} userProfile - The user profile
+     * @param {string} questId - The quest ID
+     * @param {number} rollNumber - How many times the modifier was rolled for this attempt
+     * @returns {string} - The seed
+     */
+    function createSeed(userProfile, questId, rollNumber) {
+        const completionCount = QuestRepeats.getCompletionRecord(userProfile, questId).count;
+        return `${userProfile.userId}:${questId}:${completionCount}:${rollNumber}`;
+    }
+
+    /**
+     * Roll a modifier from the modifier tables
+     * @param {Object} modifierConfig - The catalog's modifier block
+     * @param {string|number} seed - Seed for the roll
+     * @returns {Object|null} - The modifier, or null if there are no tables
+     */
+    function rollModifier(modifierConfig, seed) {
+        const tables = modifierConfig?.tables || {};
+        const types = Object.keys(tables).filter(type => tables[type].length > 0);
+
+        if (types.length === 0) {
+            return null;
+        }
+
+        const random = SeededRandom.create(seed);
+        const type = SeededRandom.pick(types, random);
+        const description = SeededRandom.pick(tables[type], random);
+
+        return {
+            type: type,
+            description: description,
+            text: `${type.charAt(0).toUpperCase() + type.slice(1)} Challenge: ${description}`,
+            seed: seed
+        };
+    }
+
+    /**
+     * Get the bonus multiplier for completing a quest with a modifier
+     * @param {Object} modifierConfig - The catalog's modifier block
+     * @returns {number} - The bonus multiplier
+     */
+    function getBonusMultiplier(modifierConfig) {
+        const bonus = modifierConfig?.bonusMultiplier;
+        return typeof bonus === 'number' && bonus >= 0 ? bonus : DEFAULT_BONUS_MULTIPLIER;
+    }
+
+    /**
+     * Calculate the bonus hours earned on top of a quest's rewards
+     * @param {Object} rewards - Attribute rewards for the completion
+     * @param {number} bonusMultiplier - The bonus multiplier
+     * @returns {Object} - Bonus hours by attribute
+     */
+    function getBonusRewards(rewards, bonusMultiplier) {
+        const bonus = {};
+
+        Object.entries(rewards).forEach(([attr, hours]) => {
+            const bonusHours = Math.round(hours * bonusMultiplier * 100) / 100;
+            if (bonusHours > 0) {
+                bonus[attr] = bonusHours;
+            }
+        });
+
+        return bonus;
+    }
+
+    // Public API
+    return {
+        DEFAULT_BONUS_MULTIPLIER,
+        createSeed,
+        rollModifier,
+        getBonusMultiplier,
+        getBonusRewards
+    };
+})();
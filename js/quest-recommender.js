@@ -0,0 +1,287 @@
+/**
+ * quest-recommender.js - Scores quests to recommend what to cook next
+ * A quest's rewards come from the same calculation completing it uses (passed
+ * in as context.getRewards, so challenge bonuses count) and are previewed on a
+ * copy of the profile through
+ * ProgressionPlanner, so hours lost to the rank cap or to attributes waiting for
+ * a rank up count for nothing. The score adds up weighted factors (effective
+ * gain, balance between attributes, time, variety, recent history and how
+ * close the quest brings an attribute to its next level) and every factor is
+ * kept in a breakdown the UI can show as "why recommended".
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { ProgressionPlanner } from './progression-planner.js';
+import { QuestRepeats } from './quest-repeats.js';
+
+// Quest recommender namespace
+export const QuestRecommender = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Points per unit of each factor
+    const WEIGHTS = Object.freeze({
+        gain: 10,        // per effective hour
+        balance: 10,     // per effective hour, scaled by how far behind the attribute is
+        time: 4,         // per effective hour earned for each hour of cooking
+        variety: 6,      // for a quest type missing from the recent completions
+        repetition: -10, // for completing the same quest today, fading over RECENT_DAYS
+        levelUp: 8,      // per attribute level the rewards would fill
+        wasted: -5       // per hour lost to the rank cap
+    });
+
+    // Recent completions whose quest types count against variety
+    const VARIETY_WINDOW = 5;
+
+    // Days after which a completion no longer counts as recent
+    const RECENT_DAYS = 7;
+
+    // Labels shown for each factor
+    const FACTOR_LABELS = {
+        gain: "Effective hours",
+        balance: "Balance",
+        time: "Time",
+        variety: "Variety",
+        repetition: "Recently done",
+        levelUp: "Level up",
+        wasted: "Rank cap"
+    };
+
+    /**
+     * Capitalize an attribute name
+     * @param {string} attr - The attribute
+     * @returns {string} - The attribute name for display
+     */
+    function formatAttribute(attr) {
+        return attr.charAt(0).toUpperCase() + attr.slice(1);
+    }
+
+    /**
+     * Round to two decimals
+     * @param {number} value - The value
+     * @returns {number} - The rounded value
+     */
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Simulate the rewards of a quest on a copy of the profile
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile (not modified)
+     * @param {Function} getRewards - Returns the hours per attribute completing the
+     *                                quest would request (defaults to the repeat-scaled rewards)
+     * @returns {Object} - Requested, effective and wasted hours per attribute,
+     *                     and the attributes that would wait for a rank up
+     */
+    function simulateRewards(quest, userProfile, getRewards = QuestRepeats.getScaledRewards) {
+        const requested = getRewards(quest, userProfile);
+        const preview = ProgressionPlanner.previewHours(userProfile, requested);
+        const effective = {};
+        const wasted = {};
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            effective[attr] = preview.attributes[attr]?.effective || 0;
+            wasted[attr] = preview.attributes[attr]?.lost || 0;
+        });
+
+        const waiting = ProgressionSystem.ATTRIBUTES.filter(attr => preview.attributes[attr]?.reason === 'waiting');
+
+        return { requested, effective, wasted, waiting };
+    }
+
+    /**
+     * Get the completions in the activity log that were not undone
+     * @param {Array} activityLog - Activity log entries
+     * @returns {Array} - Quest completion entries, oldest first
+     */
+    function getCompletions(activityLog) {
+        const undone = new Set(activityLog.filter(entry => entry.type === 'undo').map(entry => entry.undoOf));
+        return activityLog.filter(entry => entry.type === 'quest' && !undone.has(entry.id));
+    }
+
+    /**
+     * Score the variety a quest adds to the recent completions
+     * @param {Object} quest - The quest
+     * @param {Object} context - The scoring context
+     * @returns {Object} - Points and an explanation
+     */
+    function scoreVariety(quest, context) {
+        const typeOf = id => context.quests.find(q => q.id === id)?.type;
+        const recentTypes = getCompletions(context.activityLog)
+            .slice(-VARIETY_WINDOW)
+            .map(entry => typeOf(entry.questId));
+        const sameType = recentTypes.filter(type => type === quest.type).length;
+
+        if (recentTypes.length === 0) {
+            return { points: 0, detail: "No quests completed yet" };
+        }
+
+        return {
+            points: WEIGHTS.variety * (1 - sameType / recentTypes.length),
+            detail: sameType === 0
+                ? `No ${quest.type} quest in your last ${recentTypes.length} completions`
+                : `${sameType} of your last ${recentTypes.length} quests were ${quest.type} quests`
+        };
+    }
+
+    /**
+     * Score how recently the quest itself was completed
+     * @param {Object} quest - The quest
+     * @param {Object} context - The scoring context
+     * @returns {Object|null} - Points and an explanation, or null if not completed recently
+     */
+    function scoreRepetition(quest, context) {
+        const last = getCompletions(context.activityLog)
+            .filter(entry => entry.questId === quest.id)
+            .pop();
+        if (!last) return null;
+
+        const daysAgo = Math.max(0, (context.now - last.timestamp) / DAY_MS);
+        if (daysAgo >= RECENT_DAYS) return null;
+
+        const wholeDays = Math.floor(daysAgo);
+        return {
+            points: WEIGHTS.repetition * (1 - daysAgo / RECENT_DAYS),
+            detail: wholeDays === 0
+                ? "Completed earlier today"
+                : `Completed ${wholeDays} day${wholeDays === 1 ? '' : 's'} ago`
+        };
+    }
+
+    /**
+     * Score how far the rewards bring each attribute towards its next level
+     * @param {Object} effective - Effective hours per attribute
+     * @param {Object} userProfile - The user profile
+     * @returns {Object|null} - Points and an explanation, or null if no attribute gains
+     */
+    function scoreLevelUp(effective, userProfile) {
+        let points = 0;
+        const shares = {};
+
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            const attribute = userProfile.attributes[attr];
+            const remaining = attribute.hoursToNextLevel - attribute.totalHours;
+            if (!(effective[attr] > 0) || !(remaining > 0)) return;
+
+            shares[attr] = Math.min(effective[attr] / remaining, 1);
+            points += WEIGHTS.levelUp * shares[attr];
+        });
+
+        const attrs = Object.keys(shares);
+        if (attrs.length === 0) return null;
+
+        const levelled = attrs.filter(attr => shares[attr] >= 1);
+        const closest = attrs.reduce((best, attr) => shares[attr] > shares[best] ? attr : best);
+
+        return {
+            points,
+            detail: levelled.length > 0
+                ? `Levels up ${levelled.map(formatAttribute).join(' and ')}`
+                : `Fills ${Math.round(shares[closest] * 100)}% of the next ${formatAttribute(closest)} level`
+        };
+    }
+
+    /**
+     * Score a quest for a player
+     * @param {Object} quest - The quest
+     * @param {Object} context - The scoring context
+     * @param {Object} context.profile - The user profile
+     * @param {Array} context.quests - The quest catalog
+     * @param {Array} context.activityLog - Activity log entries
+     * @param {number} context.now - The current time
+     * @param {Function} context.getRewards - Hours completing a quest would request (see simulateRewards)
+     * @returns {Object} - The quest, its total score, the breakdown as
+     *                     { factor, label, points, detail } (largest effect first)
+     *                     and the effective and wasted hours per attribute
+     */
+    function scoreQuest(quest, context) {
+        const profile = context.profile;
+        const { effective, wasted, waiting } = simulateRewards(quest, profile, context.getRewards);
+        const effectiveTotal = round(Object.values(effective).reduce((sum, hours) => sum + hours, 0));
+        const wastedTotal = round(Object.values(wasted).reduce((sum, hours) => sum + hours, 0));
+        const factors = [];
+        const add = (factor, scored) => {
+            if (scored && scored.points !== 0) {
+                factors.push({ factor, label: FACTOR_LABELS[factor], points: round(scored.points), detail: scored.detail });
+            }
+        };
+
+        add('gain', {
+            points: WEIGHTS.gain * effectiveTotal,
+            detail: `${effectiveTotal} hour${effectiveTotal === 1 ? '' : 's'} would count toward your attributes`
+        });
+
+        // Attributes that are behind the others (and can still earn) weigh more
+        const earning = ProgressionSystem.ATTRIBUTES.filter(attr => !profile.attributes[attr].waitingForUserRankUp);
+        const hoursOf = attr => profile.attributes[attr].totalHours;
+        const lowest = Math.min(...earning.map(hoursOf));
+        const highest = Math.max(...earning.map(hoursOf));
+        if (highest > lowest) {
+            const need = attr => (highest - hoursOf(attr)) / (highest - lowest);
+            const weakest = earning.find(attr => hoursOf(attr) === lowest);
+            const points = earning.reduce((sum, attr) => sum + WEIGHTS.balance * effective[attr] * need(attr), 0);
+
+            add('balance', {
+                points,
+                detail: effective[weakest] > 0
+                    ? `Trains ${formatAttribute(weakest)}, your weakest attribute`
+                    : 'Trains attributes that are behind the others'
+            });
+        }
+
+        if (quest.timeRequired > 0) {
+            const perHour = effectiveTotal / (quest.timeRequired / 60);
+            add('time', {
+                points: WEIGHTS.time * perHour,
+                detail: `${round(perHour)} effective hours per hour of cooking`
+            });
+        }
+
+        add('variety', scoreVariety(quest, context));
+        add('repetition', scoreRepetition(quest, context));
+        add('levelUp', scoreLevelUp(effective, profile));
+
+        if (wastedTotal > 0) {
+            add('wasted', {
+                points: WEIGHTS.wasted * wastedTotal,
+                detail: waiting.length > 0
+                    ? `${wastedTotal} hours lost: ${waiting.map(formatAttribute).join(' and ')} can't earn until you rank up`
+                    : `${wastedTotal} hours lost to the ${profile.currentRank.title} cap`
+            });
+        }
+
+        factors.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+        return {
+            quest,
+            score: round(factors.reduce((sum, factor) => sum + factor.points, 0)),
+            breakdown: factors,
+            effectiveRewards: effective,
+            wastedHours: wasted
+        };
+    }
+
+    /**
+     * Recommend the best quests out of a list of candidates
+     * @param {Array} candidates - Quests the player can complete now
+     * @param {Object} context - The scoring context (see scoreQuest)
+     * @param {number} count - Number of quests to recommend
+     * @returns {Array} - Scored quests (see scoreQuest), best first
+     */
+    function recommend(candidates, context, count = 3) {
+        const scoringContext = { activityLog: [], quests: candidates, now: Date.now(), ...context };
+
+        return candidates
+            .map(quest => scoreQuest(quest, scoringContext))
+            .sort((a, b) => b.score - a.score || a.quest.id.localeCompare(b.quest.id))
+            .slice(0, count);
+    }
+
+    // Public API
+    return {
+        WEIGHTS,
+        simulateRewards,
+        scoreQuest,
+        recommend
+    };
+})();
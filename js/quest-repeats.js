@@ -0,0 +1,173 @@
+/**
+ * quest-repeats.js - Rules for repeatable quests
+ * A quest with a `repeatable` block can be completed again once its cooldown
+ * has passed. Repeat completions earn rewards scaled by the quest's reward curve.
+ *
+ * Catalog format:
+ *   repeatable: {
+ *       cooldown: "daily" | "weekly",    // one completion per local day / week (weeks start on Monday)
+ *       rewardCurve: [1, 0.75, 0.5]      // multiplier for the 1st, 2nd, 3rd... completion; the last value repeats
+ *   }
+ */
+
+// Quest repeats namespace
+export const QuestRepeats = (() => {
+    // Supported cooldown periods
+    const COOLDOWNS = ["daily", "weekly"];
+
+    // Curve used when a repeatable quest does not define one
+    const DEFAULT_REWARD_CURVE = [1];
+
+    /**
+     * Check whether a quest can be repeated
+     * @param {Object} quest - The quest
+     * @returns {boolean} - Whether the quest is repeatable
+     */
+    function isRepeatable(quest) {
+        return !!(quest && quest.repeatable && COOLDOWNS.includes(quest.repeatable.cooldown));
+    }
+
+    /**
+     * Get the completion record for a quest
+     * @param {Object} userProfile - The user profile
+     * @param {string} questId - The quest ID
+     * @returns {Object} - Completion count and timestamps (oldest first)
+     */
+    function getCompletionRecord(userProfile, questId) {
+        return userProfile.questCompletions?.[questId] || { count: 0, timestamps: [] };
+    }
+
+    /**
+     * Get the start of the next cooldown period after a given time (local time)
+     * @param {string} cooldown - The cooldown period (daily, weekly)
+     * @param {number} timestamp - The time of the last completion
+     * @returns {number} - Timestamp when the quest becomes available again
+     */
+    function getNextPeriodStart(cooldown, timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+
+        if (cooldown === "weekly") {
+            // Days until next Monday (getDay: 0 = Sunday)
+            const daysUntilMonday = ((8 - date.getDay()) % 7) || 7;
+            date.setDate(date.getDate() + daysUntilMonday);
+        } else {
+            date.setDate(date.getDate() + 1);
+        }
+
+        return date.getTime();
+    }
+
+    /**
+     * Get when a completed quest can next be completed
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @returns {number|null} - Timestamp, or null if it can't be repeated or was never completed
+     */
+    function getNextAvailableTime(quest, userProfile) {
+        if (!isRepeatable(quest)) {
+            return null;
+        }
+
+        const record = getCompletionRecord(userProfile, quest.id);
+        const lastCompletion = record.timestamps[record.timestamps.length - 1];
+
+        if (!lastCompletion) {
+            return null;
+        }
+
+        return getNextPeriodStart(quest.repeatable.cooldown, lastCompletion);
+    }
+
+    /**
+     * Get the reward multiplier for the next completion of a quest
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @returns {number} - Multiplier applied to the quest's attribute rewards
+     */
+    function getRewardMultiplier(quest, userProfile) {
+        if (!isRepeatable(quest)) {
+            return 1;
+        }
+
+        const curve = Array.isArray(quest.repeatable.rewardCurve) && quest.repeatable.rewardCurve.length > 0
+            ? quest.repeatable.rewardCurve
+            : DEFAULT_REWARD_CURVE;
+        const count = getCompletionRecord(userProfile, quest.id).count;
+
+        return curve[Math.min(count, curve.length - 1)];
+    }
+
+    /**
+     * Scale a quest's attribute rewards for its next completion
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @returns {Object} - Attribute rewards after applying the reward curve
+     */
+    function getScaledRewards(quest, userProfile) {
+        const multiplier = getRewardMultiplier(quest, userProfile);
+        const rewards = {};
+
+        Object.entries(quest.attributeRewards || {}).forEach(([attr, hours]) => {
+            rewards[attr] = Math.round(hours * multiplier * 100) / 100;
+        });
+
+        return rewards;
+    }
+
+    /**
+     * Check whether a quest can be completed right now (ignores unlock state)
+     * A quest is open if it was never completed, or if it is repeatable and off cooldown.
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @param {number} now - Current timestamp
+     * @returns {boolean} - Whether the quest is open
+     */
+    function isQuestOpen(quest, userProfile, now = Date.now()) {
+        if (!userProfile.completedQuests.includes(quest.id)) {
+            return true;
+        }
+
+        if (!isRepeatable(quest)) {
+            return false;
+        }
+
+        // Completions from before times were tracked don't block a repeat
+        const nextAvailable = getNextAvailableTime(quest, userProfile);
+        return nextAvailable === null || now >= nextAvailable;
+    }
+
+    /**
+     * Record a completion of a quest in the user profile
+     * @param {Object} userProfile - The user profile (modified in place)
+     * @param {string} questId - The quest ID
+     * @param {number} timestamp - When the quest was completed
+     * @returns {Object} - The updated completion record
+     */
+    function recordCompletion(userProfile, questId, timestamp) {
+        if (!userProfile.questCompletions) {
+            userProfile.questCompletions = {};
+        }
+
+        const record = getCompletionRecord(userProfile, questId);
+        userProfile.questCompletions[questId] = {
+            count: record.count + 1,
+            timestamps: [...record.timestamps, timestamp]
+        };
+
+        return userProfile.questCompletions[questId];
+    }
+
+    // Public API
+    return {
+        COOLDOWNS,
+        isRepeatable,
+        getCompletionRecord,
+        getNextPeriodStart,
+        getNextAvailableTime,
+        getRewardMultiplier,
+        getScaledRewards,
+        isQuestOpen,
+        recordCompletion
+    };
+})();
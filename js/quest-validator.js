@@ -0,0 +1,360 @@
+/**
+ * quest-validator.js - Validates quest catalogs before they are used
+ * Every catalog load runs through validateCatalog so malformed quests are
+ * quarantined instead of breaking QuestManager, ProgressManager or UIManager.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+import { QuestRepeats } from './quest-repeats.js';
+
+// Quest validator namespace
+export const QuestValidator = (() => {
+    // Quest types the UI knows how to display
+    const KNOWN_QUEST_TYPES = ["training", "side", "main", "explore", "challenge"];
+
+    /**
+     * Create a validation issue
+     * @param {string} severity - 'error' (quest is quarantined) or 'warning'
+     * @param {string|null} questId - The quest the issue belongs to
+     * @param {string} field - The offending field
+     * @param {string} message - Human readable description
+     * @returns {Object} - The issue
+     */
+    function createIssue(severity, questId, field, message) {
+        return { severity, questId, field, message };
+    }
+
+    /**
+     * Check whether a value is a non-empty string
+     * @param {*} value - The value to check
+     * @returns {boolean} - Whether the value is a non-empty string
+     */
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    /**
+     * Validate the fields of a single quest
+     * @param {Object} quest - The quest to validate
+     * @param {number} index - Position of the quest in the catalog
+     * @returns {Array} - Issues found for this quest
+     */
+    function validateQuest(quest, index) {
+        const issues = [];
+
+        if (!quest || typeof quest !== 'object' || Array.isArray(quest)) {
+            issues.push(createIssue('error', null, 'quest', `Entry ${index} is not a quest object`));
+            return issues;
+        }
+
+        const questId = isNonEmptyString(quest.id) ? quest.id : null;
+
+        if (!questId) {
+            issues.push(createIssue('error', null, 'id', `Entry ${index} has no valid id`));
+        }
+
+        if (!isNonEmptyString(quest.title)) {
+            issues.push(createIssue('error', questId, 'title', 'Missing title'));
+        }
+
+        // Quest type
+        if (!isNonEmptyString(quest.type)) {
+            issues.push(createIssue('error', questId, 'type', 'Missing type'));
+        } else if (!KNOWN_QUEST_TYPES.includes(quest.type)) {
+            issues.push(createIssue('warning', questId, 'type', `Unknown quest type "${quest.type}"`));
+        }
+
+        // Rank
+        if (!quest.rank || typeof quest.rank !== 'object') {
+            issues.push(createIssue('error', questId, 'rank', 'Missing rank'));
+        } else {
+            const rankData = ProgressionSystem.getRankInfo(quest.rank.title);
+
+            if (!rankData) {
+                issues.push(createIssue('error', questId, 'rank.title', `Unknown rank title "${quest.rank.title}"`));
+            } else if (
+                !Number.isInteger(quest.rank.level) ||
+                quest.rank.level < 1 ||
+                quest.rank.level > rankData.levels
+            ) {
+                issues.push(createIssue('error', questId, 'rank.level',
+                    `Rank level must be an integer from 1 to ${rankData.levels}, got ${quest.rank.level}`));
+            }
+        }
+
+        // Attribute rewards
+        if (!quest.attributeRewards || typeof quest.attributeRewards !== 'object') {
+            issues.push(createIssue('error', questId, 'attributeRewards', 'Missing attributeRewards'));
+        } else {
+            Object.entries(quest.attributeRewards).forEach(([attr, hours]) => {
+                if (!ProgressionSystem.ATTRIBUTES.includes(attr)) {
+                    issues.push(createIssue('warning', questId, 'attributeRewards',
+                        `Unknown attribute "${attr}" will be ignored`));
+                } else if (typeof hours !== 'number' || !isFinite(hours) || hours < 0) {
+                    issues.push(createIssue('error', questId, 'attributeRewards',
+                        `Reward for ${attr} must be a non-negative number, got ${hours}`));
+                }
+            });
+        }
+
+        // Time required (in minutes)
+        if (quest.timeRequired === undefined) {
+            issues.push(createIssue('warning', questId, 'timeRequired', 'Missing timeRequired'));
+        } else if (typeof quest.timeRequired !== 'number' || !(quest.timeRequired > 0)) {
+            issues.push(createIssue('error', questId, 'timeRequired',
+                `timeRequired must be a positive number of minutes, got ${quest.timeRequired}`));
+        }
+
+        // Quest references
+        ['unlocks', 'prerequisites'].forEach(field => {
+            const value = quest[field];
+            if (value === undefined) return;
+
+            if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+                issues.push(createIssue('error', questId, field, `${field} must be an array of quest ids`));
+            }
+        });
+
+        // Repeat rules
+        if (quest.repeatable !== undefined) {
+            const repeatable = quest.repeatable;
+
+            if (!repeatable || typeof repeatable !== 'object') {
+                issues.push(createIssue('error', questId, 'repeatable', 'repeatable must be an object'));
+            } else {
+                if (!QuestRepeats.COOLDOWNS.includes(repeatable.cooldown)) {
+                    issues.push(createIssue('error', questId, 'repeatable.cooldown',
+                        `Cooldown must be one of ${QuestRepeats.COOLDOWNS.join(', ')}, got ${repeatable.cooldown}`));
+                }
+
+                if (
+                    repeatable.rewardCurve !== undefined &&
+                    (!Array.isArray(repeatable.rewardCurve) ||
+                        !repeatable.rewardCurve.every(value => typeof value === 'number' && value >= 0))
+                ) {
+                    issues.push(createIssue('error', questId, 'repeatable.rewardCurve',
+                        'rewardCurve must be an array of non-negative multipliers'));
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Remove reward entries for attributes the progression system does not know
+     * @param {Object} quest - A quest that passed validation
+     * @returns {Object} - The same quest, or a copy without the unknown attributes
+     */
+    function stripUnknownAttributes(quest) {
+        const rewardKeys = Object.keys(quest.attributeRewards);
+        const knownKeys = rewardKeys.filter(attr => ProgressionSystem.ATTRIBUTES.includes(attr));
+
+        if (knownKeys.length === rewardKeys.length) {
+            return quest;
+        }
+
+        const attributeRewards = {};
+        knownKeys.forEach(attr => {
+            attributeRewards[attr] = quest.attributeRewards[attr];
+        });
+
+        return { ...quest, attributeRewards };
+    }
+
+    /**
+     * Find prerequisite cycles among the accepted quests
+     * @param {Map} questsById - Accepted quests keyed by id
+     * @returns {Array} - Array of cycles, each an array of quest ids
+     */
+    function findPrerequisiteCycles(questsById) {
+        const cycles = [];
+        const state = new Map(); // undefined = unvisited, 1 = in progress, 2 = done
+        const stack = [];
+
+        function visit(questId) {
+            state.set(questId, 1);
+            stack.push(questId);
+
+            const quest = questsById.get(questId);
+            (quest.prerequisites || []).forEach(prereqId => {
+                if (!questsById.has(prereqId)) return;
+
+                if (state.get(prereqId) === 1) {
+                    cycles.push(stack.slice(stack.indexOf(prereqId)));
+                } else if (!state.has(prereqId)) {
+                    visit(prereqId);
+                }
+            });
+
+            stack.pop();
+            state.set(questId, 2);
+        }
+
+        questsById.forEach((_, questId) => {
+            if (!state.has(questId)) {
+                visit(questId);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Validate the catalog's challenge modifier tables
+     * Entries that are not text are dropped; a malformed block is rejected as a whole.
+     * @param {Object} modifiers - The modifier block (bonusMultiplier and tables)
+     * @returns {Object} - The usable modifier block (or null) and the issues found
+     */
+    function validateModifiers(modifiers) {
+        const issues = [];
+
+        if (!modifiers || typeof modifiers !== 'object' || Array.isArray(modifiers)) {
+            issues.push(createIssue('error', null, 'modifiers', 'Modifiers must be an object'));
+            return { modifiers: null, issues };
+        }
+
+        if (modifiers.bonusMultiplier !== undefined &&
+            !(typeof modifiers.bonusMultiplier === 'number' && modifiers.bonusMultiplier >= 0)) {
+            issues.push(createIssue('error', null, 'modifiers.bonusMultiplier', 'Bonus multiplier must be a non-negative number'));
+        }
+
+        const tables = {};
+        if (!modifiers.tables || typeof modifiers.tables !== 'object' || Array.isArray(modifiers.tables)) {
+            issues.push(createIssue('error', null, 'modifiers.tables', 'Modifier tables must be an object of arrays'));
+        } else {
+            Object.entries(modifiers.tables).forEach(([type, entries]) => {
+                if (!Array.isArray(entries)) {
+                    issues.push(createIssue('warning', null, `modifiers.tables.${type}`, 'Modifier table is not an array and was ignored'));
+                    return;
+                }
+
+                const usable = entries.filter(isNonEmptyString);
+                if (usable.length < entries.length) {
+                    issues.push(createIssue('warning', null, `modifiers.tables.${type}`,
+                        `${entries.length - usable.length} modifier entries are not text and were ignored`));
+                }
+                if (usable.length > 0) {
+                    tables[type] = usable;
+                }
+            });
+
+            if (Object.keys(tables).length === 0) {
+                issues.push(createIssue('error', null, 'modifiers.tables', 'No usable modifier tables'));
+            }
+        }
+
+        if (issues.some(issue => issue.severity === 'error')) {
+            return { modifiers: null, issues };
+        }
+
+        return { modifiers: { ...modifiers, tables }, issues };
+    }
+
+    /**
+     * Validate a full quest catalog
+     * Quests with errors are quarantined; warnings are reported but the quest is kept.
+     * @param {Array} quests - The quests to validate
+     * @param {Object} options - Extra information to include in the report
+     * @param {string|null} options.version - Catalog version
+     * @param {string|null} options.source - Where the catalog was loaded from
+     * @param {Object} options.modifiers - The catalog's challenge modifiers, if any
+     * @returns {Object} - The accepted quests, usable modifiers and a validation report
+     */
+    function validateCatalog(quests, options = {}) {
+        const issues = [];
+        const quarantined = [];
+        const accepted = new Map();
+
+        if (!Array.isArray(quests)) {
+            issues.push(createIssue('error', null, 'catalog', 'Quest catalog is not an array'));
+            quests = [];
+        }
+
+        // Validate each quest on its own
+        quests.forEach((quest, index) => {
+            const questIssues = validateQuest(quest, index);
+            const questId = quest && isNonEmptyString(quest.id) ? quest.id : null;
+
+            if (questId && accepted.has(questId)) {
+                questIssues.push(createIssue('error', questId, 'id', `Duplicate quest id "${questId}"`));
+            }
+
+            issues.push(...questIssues);
+
+            if (questIssues.some(issue => issue.severity === 'error')) {
+                quarantined.push({
+                    id: questId,
+                    index: index,
+                    errors: questIssues.filter(issue => issue.severity === 'error').map(issue => issue.message)
+                });
+            } else {
+                accepted.set(questId, stripUnknownAttributes(quest));
+            }
+        });
+
+        // Quarantine quests whose prerequisites can never be met
+        findPrerequisiteCycles(accepted).forEach(cycle => {
+            const message = `Prerequisite cycle: ${[...cycle, cycle[0]].join(' → ')}`;
+
+            cycle.forEach(questId => {
+                if (!accepted.has(questId)) return;
+
+                issues.push(createIssue('error', questId, 'prerequisites', message));
+                quarantined.push({
+                    id: questId,
+                    index: quests.findIndex(quest => quest && quest.id === questId),
+                    errors: [message]
+                });
+                accepted.delete(questId);
+            });
+        });
+
+        // Flag references to quests that are missing or were quarantined
+        accepted.forEach(quest => {
+            ['unlocks', 'prerequisites'].forEach(field => {
+                (quest[field] || []).forEach(refId => {
+                    if (!accepted.has(refId)) {
+                        issues.push(createIssue('warning', quest.id, field,
+                            `References unknown or quarantined quest "${refId}"`));
+                    }
+                });
+            });
+        });
+
+        // Challenge modifier tables
+        let modifiers = null;
+        if (options.modifiers !== undefined && options.modifiers !== null) {
+            const result = validateModifiers(options.modifiers);
+            modifiers = result.modifiers;
+            issues.push(...result.issues);
+        }
+
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        return {
+            quests: Array.from(accepted.values()),
+            modifiers: modifiers,
+            report: {
+                version: options.version || null,
+                source: options.source || null,
+                checkedAt: Date.now(),
+                valid: errorCount === 0,
+                totalQuests: quests.length,
+                acceptedQuests: accepted.size,
+                errorCount: errorCount,
+                warningCount: issues.length - errorCount,
+                quarantined: quarantined,
+                issues: issues
+            }
+        };
+    }
+
+    // Public API
+    return {
+        KNOWN_QUEST_TYPES,
+        validateQuest,
+        validateModifiers,
+        validateCatalog
+    };
+})();
@@ -4,8 +4,16 @@
  * Updated to integrate with the new ProgressionSystem.
  */
 
+import { ProgressionSystem } from './progression-system.js';
+import { SeededRandom } from './seeded-random.js';
+import { QuestRepeats } from './quest-repeats.js';
+import { QuestModifiers } from './quest-modifiers.js';
+import { DataManager } from './data.js';
+import { ProgressManager } from './progress.js';
+import { QuestGraph } from './quest-graph.js';
+
 // Quest manager namespace
-const QuestManager = (() => {
+export const QuestManager = (() => {
     // Store for the current selected quest
     let currentQuestId = null;
     
@@ -30,21 +38,22 @@ const QuestManager = (() => {
     }
     
     /**
-     * Check if a quest's prerequisites are met
-     * @param {string} questId - The quest ID
-     * @param {Array} completedQuests - Array of completed quest IDs
-     * @returns {boolean} - Whether prerequisites are met
+     * Get every quest in the catalog
+     * @returns {Array} - All quests, locked and completed ones included
      */
-    function arePrerequisitesMet(questId, completedQuests) {
-        const quest = getQuest(questId);
-        
-        if (!quest || !quest.prerequisites || quest.prerequisites.length === 0) {
-            return true;
-        }
-        
-        return quest.prerequisites.every(prereqId => 
-            completedQuests.includes(prereqId)
-        );
+    function getAllQuests() {
+        return [...questData];
+    }
+    
+    /**
+     * Check whether a quest is held back by missing prerequisites, a missing
+     * unlock or a rank the user hasn't reached (the rules completeQuest applies)
+     * @param {Object} quest - The quest
+     * @param {Object} userProfile - The user profile
+     * @returns {boolean} - Whether the quest is locked
+     */
+    function isQuestLocked(quest, userProfile) {
+        return QuestGraph.getLockReason(quest, questData, userProfile).locked;
     }
     
     /**
@@ -54,9 +63,52 @@ const QuestManager = (() => {
      */
     function getAvailableQuests(userProfile) {
         return userProfile.unlockedQuests
-            .filter(id => !userProfile.completedQuests.includes(id))
             .map(id => getQuest(id))
-            .filter(q => q !== null && arePrerequisitesMet(q.id, userProfile.completedQuests));
+            .filter(q => 
+                q !== null && 
+                QuestRepeats.isQuestOpen(q, userProfile) &&
+                !isQuestLocked(q, userProfile)
+            );
+    }
+    
+    /**
+     * Explain why a quest can't be started yet
+     * @param {string} questId - The quest ID
+     * @param {Object} userProfile - The user profile
+     * @returns {Object|null} - Whether the quest is locked, the reasons (missing
+     *                          prerequisites, not unlocked, rank too low), the shortest
+     *                          list of quests that unlocks it and a message, or null if
+     *                          the quest is not found
+     */
+    function getLockReason(questId, userProfile) {
+        const quest = getQuest(questId);
+        
+        if (!quest) {
+            return null;
+        }
+        
+        return QuestGraph.getLockReason(quest, questData, userProfile);
+    }
+    
+    /**
+     * Get repeat information for a quest
+     * @param {Object} quest - The quest object
+     * @param {Object} userProfile - The user profile
+     * @returns {Object} - Whether the quest repeats, how often it was completed,
+     *                     when it is next available and the next reward multiplier
+     */
+    function getRepeatInfo(quest, userProfile) {
+        const record = QuestRepeats.getCompletionRecord(userProfile, quest.id);
+        
+        return {
+            repeatable: QuestRepeats.isRepeatable(quest),
+            cooldown: quest.repeatable?.cooldown || null,
+            completionCount: record.count,
+            isOpen: QuestRepeats.isQuestOpen(quest, userProfile),
+            nextAvailable: QuestRepeats.getNextAvailableTime(quest, userProfile),
+            rewardMultiplier: QuestRepeats.getRewardMultiplier(quest, userProfile),
+            nextRewards: QuestRepeats.getScaledRewards(quest, userProfile)
+        };
     }
     
     /**
@@ -114,6 +166,113 @@ const QuestManager = (() => {
         return ProgressManager.getAppropriateQuests(userProfile, availableQuests, count);
     }
     
+    /**
+     * Get the local calendar date as a key (YYYY-MM-DD)
+     * @param {Date} date - The date
+     * @returns {string} - The date key
+     */
+    function getLocalDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Get the time of the next daily quest rollover (local midnight)
+     * @param {Date} date - The current date
+     * @returns {number} - Timestamp of the next rollover
+     */
+    function getNextDailyRollover(date = new Date()) {
+        const midnight = new Date(date);
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime();
+    }
+    
+    /**
+     * Pick a balanced set of quests for a day
+     * Each slot targets one of the user's weakest attributes and prefers a quest type
+     * that has not been picked yet. The choice is seeded by the date and user so it
+     * is the same all day and on every device.
+     * @param {Object} userProfile - The user profile
+     * @param {string} dateKey - The local date key
+     * @param {number} count - Number of quests to pick
+     * @returns {Array} - The picked quest IDs
+     */
+    function pickDailyQuests(userProfile, dateKey, count) {
+        const random = SeededRandom.create(`${dateKey}:${userProfile.userId}`);
+        const availableQuests = getAvailableQuests(userProfile);
+        
+        // Prefer quests at the user's rank and level, fall back to anything available
+        const appropriateQuests = availableQuests.filter(q => isQuestAppropriate(q, userProfile));
+        const candidates = appropriateQuests.length >= count ? appropriateQuests : availableQuests;
+        
+        // Weakest attributes first; attributes that can't earn hours right now go last
+        const attributes = [...ProgressionSystem.ATTRIBUTES].sort((a, b) => {
+            const attrA = userProfile.attributes[a];
+            const attrB = userProfile.attributes[b];
+            const blockedA = attrA.isMaxed || attrA.waitingForUserRankUp ? 1 : 0;
+            const blockedB = attrB.isMaxed || attrB.waitingForUserRankUp ? 1 : 0;
+            
+            return blockedA - blockedB || attrA.totalHours - attrB.totalHours;
+        });
+        const focusAttributes = attributes.slice(0, 2);
+        
+        const picked = [];
+        const pickedTypes = new Set();
+        let remaining = [...candidates];
+        
+        for (let slot = 0; slot < count && remaining.length > 0; slot++) {
+            const focus = focusAttributes[slot % focusAttributes.length];
+            
+            // Balance quest types across the day
+            const unusedTypes = remaining.filter(q => !pickedTypes.has(q.type));
+            const pool = unusedTypes.length > 0 ? unusedTypes : remaining;
+            
+            // Favour quests that reward the focus attribute
+            const quest = SeededRandom.weightedPick(
+                pool,
+                q => 0.25 + (q.attributeRewards[focus] || 0),
+                random
+            );
+            
+            picked.push(quest.id);
+            pickedTypes.add(quest.type);
+            remaining = remaining.filter(q => q.id !== quest.id);
+        }
+        
+        return picked;
+    }
+    
+    /**
+     * Get today's daily quests
+     * The day's picks are stored in the profile so they don't change when the
+     * available quests do; quests that were completed or locked since drop out of the list.
+     * @param {Object} userProfile - The user profile
+     * @param {number} count - Number of quests to pick for a new day
+     * @param {Date} date - The current date
+     * @returns {Array} - Today's daily quests that can still be completed
+     */
+    function getDailyQuests(userProfile, count = 3, date = new Date()) {
+        if (!userProfile) {
+            console.error('User profile is required for getDailyQuests');
+            return [];
+        }
+        
+        const dateKey = getLocalDateKey(date);
+        
+        if (!userProfile.dailyQuests || userProfile.dailyQuests.date !== dateKey) {
+            userProfile.dailyQuests = {
+                date: dateKey,
+                questIds: pickDailyQuests(userProfile, dateKey, count)
+            };
+            DataManager.saveUserProfile();
+        }
+        
+        return userProfile.dailyQuests.questIds
+            .map(id => getQuest(id))
+            .filter(q => q !== null && QuestRepeats.isQuestOpen(q, userProfile) && !isQuestLocked(q, userProfile));
+    }
+    
     /**
      * Get the next challenge quest for the user
      * @param {Object} userProfile - The user profile
@@ -236,58 +395,17 @@ const QuestManager = (() => {
     
     /**
      * Generate a random quest element or modifier
+     * Modifiers come from the quest catalog's modifier tables.
      * @param {Object} quest - The quest to modify
-     * @returns {Object} - The random element
+     * @param {string|number} seed - Seed for the roll (defaults to the quest's first roll for this user)
+     * @returns {Object|null} - The random element, or null if there are no modifier tables
      */
-    function generateRandomElement(quest) {
-        const elementTypes = [
-            'ingredient',
-            'technique',
-            'constraint',
-            'flavor'
-        ];
+    function generateRandomElement(quest, seed) {
+        const rollSeed = seed !== undefined
+            ? seed
+            : QuestModifiers.createSeed(DataManager.getUserProfile(), quest.id, 1);
         
-        const type = elementTypes[Math.floor(Math.random() * elementTypes.length)];
-        
-        // Define options based on the type
-        const options = {
-            ingredient: [
-                "Add a fresh herb of your choice",
-                "Include a citrus element",
-                "Use a spice you've never tried before",
-                "Incorporate a seasonal vegetable",
-                "Add a fermented ingredient"
-            ],
-            technique: [
-                "Use only wooden utensils",
-                "Try a different cutting technique",
-                "Cook without using the microwave",
-                "Use a one-pot approach",
-                "Practice mise en place rigorously"
-            ],
-            constraint: [
-                "Complete in 25% less time",
-                "Use only 3 main ingredients",
-                "Create no food waste",
-                "Use only one heat source",
-                "Work in complete silence"
-            ],
-            flavor: [
-                "Make it slightly spicy",
-                "Emphasize umami flavors",
-                "Create a sweet-savory balance",
-                "Focus on brightness with acid",
-                "Develop deeper, roasted flavors"
-            ]
-        };
-        
-        const option = options[type][Math.floor(Math.random() * options[type].length)];
-        
-        return {
-            type: type,
-            description: option,
-            text: `${type.charAt(0).toUpperCase() + type.slice(1)} Challenge: ${option}`
-        };
+        return QuestModifiers.rollModifier(DataManager.getQuestModifiers(), rollSeed);
     }
     
     /**
@@ -370,11 +488,16 @@ const QuestManager = (() => {
     return {
         initialize,
         getQuest,
+        getAllQuests,
         getAvailableQuests,
+        getLockReason,
+        getRepeatInfo,
         getCompletedQuests,
         getQuestsByType,
         getQuestsByLevel,
         getAppropriateQuests,
+        getDailyQuests,
+        getNextDailyRollover,
         getNextChallengeQuest,
         completeQuest,
         setCurrentQuest,
@@ -0,0 +1,138 @@
+/**
+ * rank-config.js - Rank table used by the progression system
+ * Every rank lists the hours for each of its levels together with the hours an
+ * attribute needs within the rank and the cumulative total at the end of the rank.
+ * The redundant values are deliberate: validateRankTable() checks they agree, so a
+ * typo in one number is caught when the app starts instead of skewing progress.
+ *
+ *   attributeHoursRequired = sum of levelHours
+ *   cumulativeHours        = cumulativeHours of the previous rank + attributeHoursRequired
+ */
+
+// Rank configuration namespace
+export const RankConfig = (() => {
+    // Ranks in order, from the first to the final rank
+    const RANKS = {
+        "Home Cook": {
+            color: "Iron",
+            icon: "src/icon-iron-80x80.png",
+            levels: 9,
+            nextRank: "Culinary Student",
+            levelHours: [5, 5, 5, 5, 5, 6, 7, 8, 9],
+            attributeHoursRequired: 55, // Hours per attribute within this rank
+            cumulativeHours: 55 // Hours per attribute at the end of this rank
+        },
+        "Culinary Student": {
+            color: "Bronze",
+            icon: "src/icon-bronze-80x80.png",
+            levels: 9,
+            nextRank: "Kitchen Assistant",
+            levelHours: [10, 11, 13, 15, 17, 19, 21, 23, 25],
+            attributeHoursRequired: 154,
+            cumulativeHours: 209 // 55 + 154
+        },
+        "Kitchen Assistant": {
+            color: "Silver",
+            icon: "src/icon-silver-80x80.png",
+            levels: 9,
+            nextRank: "Line Cook",
+            levelHours: [27, 29, 31, 33, 35, 37, 40, 43, 46],
+            attributeHoursRequired: 321,
+            cumulativeHours: 530 // 209 + 321
+        },
+        "Line Cook": {
+            color: "Gold",
+            icon: "src/icon-gold-80x80.png",
+            levels: 9,
+            nextRank: "Sous Chef",
+            levelHours: [49, 54, 59, 64, 71, 77, 83, 91, 99],
+            attributeHoursRequired: 647,
+            cumulativeHours: 1177 // 530 + 647
+        },
+        "Sous Chef": {
+            color: "Platinum",
+            icon: "src/icon-platinum-80x80.png",
+            levels: 9,
+            nextRank: "Head Chef",
+            levelHours: [106, 114, 123, 133, 143, 157, 167, 180, 200],
+            attributeHoursRequired: 1323,
+            cumulativeHours: 2500 // 1177 + 1323
+        },
+        "Head Chef": {
+            color: "Master",
+            icon: "src/icon-mythril-80x80.png",
+            levels: 9,
+            nextRank: null, // Final rank
+            // Endgame curve: keeps growing by about 7% per level from Sous Chef
+            levelHours: [215, 231, 248, 266, 285, 305, 326, 348, 371],
+            attributeHoursRequired: 2595,
+            cumulativeHours: 5095 // 2500 + 2595
+        }
+    };
+
+    /**
+     * Check that a rank table is consistent
+     * @param {Object} ranks - Rank data keyed by rank title, in rank order
+     * @returns {Array} - Problems found, as { field, message }; empty when the table is valid
+     */
+    function validateRankTable(ranks) {
+        const issues = [];
+        const addIssue = (field, message) => issues.push({ field, message });
+        const rankTitles = Object.keys(ranks || {});
+
+        if (rankTitles.length === 0) {
+            addIssue('ranks', 'The rank table is empty');
+            return issues;
+        }
+
+        let previousCumulativeHours = 0;
+
+        rankTitles.forEach((rankTitle, index) => {
+            const rankData = ranks[rankTitle];
+            const expectedNextRank = rankTitles[index + 1] || null;
+
+            if (typeof rankData.icon !== 'string' || rankData.icon === '') {
+                addIssue(`${rankTitle}.icon`, 'Must be the path of the rank icon');
+            }
+
+            if (!Number.isInteger(rankData.levels) || rankData.levels < 1) {
+                addIssue(`${rankTitle}.levels`, `Must be a positive whole number, got ${rankData.levels}`);
+            }
+
+            if (!Array.isArray(rankData.levelHours) || rankData.levelHours.length !== rankData.levels) {
+                addIssue(`${rankTitle}.levelHours`, `Must list hours for each of the ${rankData.levels} levels`);
+                return;
+            }
+
+            if (rankData.levelHours.some(hours => typeof hours !== 'number' || !(hours > 0))) {
+                addIssue(`${rankTitle}.levelHours`, 'Every level must require a positive number of hours');
+            }
+
+            const levelHoursTotal = rankData.levelHours.reduce((sum, hours) => sum + hours, 0);
+            if (levelHoursTotal !== rankData.attributeHoursRequired) {
+                addIssue(`${rankTitle}.attributeHoursRequired`,
+                    `Is ${rankData.attributeHoursRequired} but the level hours add up to ${levelHoursTotal}`);
+            }
+
+            const expectedCumulativeHours = previousCumulativeHours + rankData.attributeHoursRequired;
+            if (rankData.cumulativeHours !== expectedCumulativeHours) {
+                addIssue(`${rankTitle}.cumulativeHours`,
+                    `Is ${rankData.cumulativeHours} but should be ${previousCumulativeHours} + ${rankData.attributeHoursRequired} = ${expectedCumulativeHours}`);
+            }
+
+            if (rankData.nextRank !== expectedNextRank) {
+                addIssue(`${rankTitle}.nextRank`, `Is ${JSON.stringify(rankData.nextRank)} but the next rank in the table is ${JSON.stringify(expectedNextRank)}`);
+            }
+
+            previousCumulativeHours = rankData.cumulativeHours;
+        });
+
+        return issues;
+    }
+
+    // Public API
+    return {
+        RANKS,
+        validateRankTable
+    };
+})();
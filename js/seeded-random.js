@@ -0,0 +1,86 @@
+/**
+ * seeded-random.js - Deterministic pseudo-random numbers
+ * Used wherever a "random" choice must be reproducible, e.g. the daily quest
+ * rotation, so the same seed always gives the same result on every device.
+ */
+
+// Seeded random namespace
+export const SeededRandom = (() => {
+    /**
+     * Hash a string into a 32-bit unsigned integer (FNV-1a)
+     * @param {string} text - The text to hash
+     * @returns {number} - The hash
+     */
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a random number generator (mulberry32)
+     * @param {string|number} seed - The seed; strings are hashed first
+     * @returns {Function} - Returns a number in [0, 1) on every call
+     */
+    function create(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Pick a random item from an array
+     * @param {Array} items - The items to pick from
+     * @param {Function} random - Random number generator from create()
+     * @returns {*} - The picked item, or undefined if the array is empty
+     */
+    function pick(items, random) {
+        return items[Math.floor(random() * items.length)];
+    }
+
+    /**
+     * Pick a random item with probability proportional to its weight
+     * @param {Array} items - The items to pick from
+     * @param {Function} getWeight - Returns the (non-negative) weight of an item
+     * @param {Function} random - Random number generator from create()
+     * @returns {*} - The picked item, or undefined if the array is empty
+     */
+    function weightedPick(items, getWeight, random) {
+        const weights = items.map(item => Math.max(getWeight(item), 0));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        // Fall back to a uniform pick when nothing has any weight
+        if (totalWeight === 0) {
+            return pick(items, random);
+        }
+
+        let threshold = random() * totalWeight;
+        for (let i = 0; i < items.length; i++) {
+            threshold -= weights[i];
+            if (threshold < 0) {
+                return items[i];
+            }
+        }
+
+        return items[items.length - 1];
+    }
+
+    // Public API
+    return {
+        hashString,
+        create,
+        pick,
+        weightedPick
+    };
+})();
@@ -0,0 +1,223 @@
+/**
+ * storage-adapters.js - Interchangeable storage backends for DataManager
+ * Every adapter stores string values by key and has the same asynchronous interface,
+ * so DataManager does not need to know where its data lives:
+ *
+ *   {
+ *       name: "localStorage",
+ *       getItem(key)          -> Promise<string|null>
+ *       setItem(key, value)   -> Promise<void>
+ *       removeItem(key)       -> Promise<void>
+ *       keys()                -> Promise<Array<string>>
+ *   }
+ *
+ * A sync backend only has to implement the same four methods.
+ */
+
+// Storage adapters namespace
+export const StorageAdapters = (() => {
+    // IndexedDB database and object store used by the IndexedDB adapter
+    const IDB_DATABASE = "diced";
+    const IDB_STORE = "keyval";
+
+    /**
+     * Create an adapter backed by window.localStorage
+     * Limited to a few megabytes by the browser; writes over the quota reject.
+     * @returns {Object} - The storage adapter
+     */
+    function createLocalStorageAdapter() {
+        return {
+            name: "localStorage",
+            async getItem(key) {
+                return localStorage.getItem(key);
+            },
+            async setItem(key, value) {
+                localStorage.setItem(key, value);
+            },
+            async removeItem(key) {
+                localStorage.removeItem(key);
+            },
+            async keys() {
+                return Object.keys(localStorage);
+            }
+        };
+    }
+
+    /**
+     * Create an adapter that keeps everything in memory
+     * Nothing survives a page reload; used for tests and headless runs.
+     * @param {Object} initialData - Values to start with, keyed by storage key
+     * @returns {Object} - The storage adapter
+     */
+    function createMemoryAdapter(initialData = {}) {
+        const items = new Map(Object.entries(initialData));
+
+        return {
+            name: "memory",
+            async getItem(key) {
+                return items.has(key) ? items.get(key) : null;
+            },
+            async setItem(key, value) {
+                items.set(key, String(value));
+            },
+            async removeItem(key) {
+                items.delete(key);
+            },
+            async keys() {
+                return Array.from(items.keys());
+            }
+        };
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - The request
+     * @returns {Promise<*>} - Promise resolving to the request result
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Create an adapter backed by IndexedDB
+     * Not bound by the localStorage quota, so large profiles and activity logs fit.
+     * @param {string} databaseName - Name of the IndexedDB database
+     * @returns {Object} - The storage adapter
+     */
+    function createIndexedDBAdapter(databaseName = IDB_DATABASE) {
+        let databasePromise = null;
+
+        function openDatabase() {
+            if (!databasePromise) {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(IDB_STORE);
+                };
+                databasePromise = promisifyRequest(request);
+            }
+
+            return databasePromise;
+        }
+
+        async function withStore(mode, operation) {
+            const database = await openDatabase();
+            const store = database.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+            return promisifyRequest(operation(store));
+        }
+
+        return {
+            name: "indexedDB",
+            async getItem(key) {
+                const value = await withStore('readonly', store => store.get(key));
+                return value === undefined ? null : value;
+            },
+            async setItem(key, value) {
+                await withStore('readwrite', store => store.put(String(value), key));
+            },
+            async removeItem(key) {
+                await withStore('readwrite', store => store.delete(key));
+            },
+            async keys() {
+                const keys = await withStore('readonly', store => store.getAllKeys());
+                return keys.map(String);
+            }
+        };
+    }
+
+    /**
+     * Check whether IndexedDB can be used in this environment
+     * @returns {boolean} - Whether IndexedDB is available
+     */
+    function isIndexedDBAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            // Some browsers throw when storage is disabled
+            return false;
+        }
+    }
+
+    /**
+     * Copy keys from one adapter to another
+     * @param {Object} source - Adapter to copy from
+     * @param {Object} target - Adapter to copy to
+     * @param {Function} filter - Returns true for keys that should be copied
+     * @returns {Promise<number>} - Promise resolving to the number of keys copied
+     */
+    async function copyItems(source, target, filter = () => true) {
+        const keys = (await source.keys()).filter(filter);
+
+        for (const key of keys) {
+            await target.setItem(key, await source.getItem(key));
+        }
+
+        return keys.length;
+    }
+
+    /**
+     * Move keys from one adapter to another
+     * Keys are only removed from the source once all of them have been copied,
+     * so a failed move leaves the source as it was.
+     * @param {Object} source - Adapter to move from
+     * @param {Object} target - Adapter to move to
+     * @param {Function} filter - Returns true for keys that should be moved
+     * @returns {Promise<number>} - Promise resolving to the number of keys moved
+     */
+    async function moveItems(source, target, filter = () => true) {
+        const keys = (await source.keys()).filter(filter);
+
+        await copyItems(source, target, key => keys.includes(key));
+        for (const key of keys) {
+            await source.removeItem(key);
+        }
+
+        return keys.length;
+    }
+
+    /**
+     * Create the best adapter available in this browser
+     * Prefers IndexedDB; data from earlier versions that used localStorage is
+     * moved over the first time IndexedDB is used, so it can't come back as
+     * stale data if IndexedDB is cleared later.
+     * @param {string} keyPrefix - Prefix of the keys owned by the app
+     * @returns {Promise<Object>} - Promise resolving to the storage adapter
+     */
+    async function createDefaultAdapter(keyPrefix) {
+        const localAdapter = createLocalStorageAdapter();
+
+        if (!isIndexedDBAvailable()) {
+            return localAdapter;
+        }
+
+        try {
+            const idbAdapter = createIndexedDBAdapter();
+            const ownsKey = key => key.startsWith(keyPrefix);
+
+            if ((await idbAdapter.keys()).filter(ownsKey).length === 0) {
+                const moved = await moveItems(localAdapter, idbAdapter, ownsKey);
+                if (moved > 0) {
+                    console.log(`Moved ${moved} items from localStorage to IndexedDB`);
+                }
+            }
+
+            return idbAdapter;
+        } catch (e) {
+            console.warn('IndexedDB unavailable, using localStorage:', e);
+            return localAdapter;
+        }
+    }
+
+    // Public API
+    return {
+        createLocalStorageAdapter,
+        createMemoryAdapter,
+        createIndexedDBAdapter,
+        isIndexedDBAvailable,
+        copyItems,
+        moveItems,
+        createDefaultAdapter
+    };
+})();
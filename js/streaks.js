@@ -0,0 +1,350 @@
+/**
+ * streaks.js - Cooking streaks, weekly goals and streak freezes
+ * Streaks are worked out from the activity log: a day counts when a quest was
+ * completed or practice was logged on it (in local time), and a week counts
+ * when every weekly hour goal was met. The profile only stores what the log
+ * can't tell: the weekly goals, the freeze tokens and the days they covered.
+ *
+ * A freeze token is earned for every 7 active days in a row (holding at most
+ * MAX_FREEZE_TOKENS) and is spent automatically to cover a missed day, so one
+ * day off does not end a long streak. Frozen days keep the streak going but
+ * do not add to its length.
+ */
+
+import { ProgressionSystem } from './progression-system.js';
+
+// Streaks namespace
+export const Streaks = (() => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Active days in a row that earn a freeze token
+    const FREEZE_EARN_DAYS = 7;
+
+    // Freeze tokens that can be held at once
+    const MAX_FREEZE_TOKENS = 2;
+
+    // Weekly goals above this many hours are rejected
+    const MAX_WEEKLY_GOAL_HOURS = 7 * 24;
+
+    /**
+     * Create the streak state stored in a new profile
+     * @returns {Object} - Weekly goals (hours per attribute, 0 = no goal) and freeze state
+     */
+    function createStreakState() {
+        const weeklyGoals = {};
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            weeklyGoals[attr] = 0;
+        });
+
+        return {
+            weeklyGoals: weeklyGoals,
+            freezeTokens: 0,
+            frozenDays: [],
+            lastTokenDay: null
+        };
+    }
+
+    /**
+     * Get the local calendar day of a timestamp as a day number
+     * @param {number} timestamp - The timestamp
+     * @returns {number} - Days since the epoch, in local time
+     */
+    function getDayNumber(timestamp) {
+        const date = new Date(timestamp);
+        return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+    }
+
+    /**
+     * Convert a day number to a date key
+     * @param {number} dayNumber - The day number
+     * @returns {string} - The date (YYYY-MM-DD)
+     */
+    function toDateKey(dayNumber) {
+        return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Convert a date key to a day number
+     * @param {string} dateKey - The date (YYYY-MM-DD)
+     * @returns {number} - The day number
+     */
+    function fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+    }
+
+    /**
+     * Get the Monday-to-Sunday week of a day number
+     * @param {number} dayNumber - The day number
+     * @returns {number} - Weeks since the epoch
+     */
+    function getWeekNumber(dayNumber) {
+        // Day 0 (1 January 1970) was a Thursday
+        return Math.floor((dayNumber + 3) / 7);
+    }
+
+    /**
+     * Get the entries of the activity log that still count
+     * An undone entry is dropped along with the undo entry itself, so its hours
+     * are neither counted nor subtracted again.
+     * @param {Array} activityLog - Activity log entries
+     * @returns {Array} - Entries that were not undone, without undo entries
+     */
+    function getCountedEntries(activityLog) {
+        const undone = new Set(activityLog.filter(entry => entry.type === 'undo').map(entry => entry.undoOf));
+        return activityLog.filter(entry => entry.type !== 'undo' && !undone.has(entry.id));
+    }
+
+    /**
+     * Get the days with cooking activity
+     * Quest completions and practice sessions count; manual adjustments do not.
+     * @param {Array} activityLog - Activity log entries
+     * @returns {Array} - Day numbers, oldest first
+     */
+    function getActiveDays(activityLog) {
+        const days = getCountedEntries(activityLog)
+            .filter(entry => entry.type === 'quest' || entry.type === 'practice')
+            .map(entry => getDayNumber(entry.timestamp));
+
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Split days into runs of consecutive days
+     * @param {Array} activeDays - Active day numbers
+     * @param {Array} frozenDays - Frozen day numbers, which link runs without adding to them
+     * @returns {Array} - Runs as { start, end, length }, oldest first
+     */
+    function getRuns(activeDays, frozenDays = []) {
+        const active = new Set(activeDays);
+        const days = [...new Set([...activeDays, ...frozenDays])].sort((a, b) => a - b);
+        const runs = [];
+
+        days.forEach(day => {
+            const run = runs[runs.length - 1];
+
+            if (run && day === run.end + 1) {
+                run.end = day;
+            } else {
+                runs.push({ start: day, end: day, length: 0 });
+            }
+
+            if (active.has(day)) {
+                runs[runs.length - 1].length++;
+            }
+        });
+
+        return runs;
+    }
+
+    /**
+     * Find the longest run of consecutive active days
+     * @param {Array} activityLog - Activity log entries
+     * @param {Array} frozenDays - Frozen days as date keys
+     * @returns {number} - Length of the longest streak in days
+     */
+    function getLongestStreak(activityLog, frozenDays = []) {
+        return getRuns(getActiveDays(activityLog), frozenDays.map(fromDateKey))
+            .reduce((longest, run) => Math.max(longest, run.length), 0);
+    }
+
+    /**
+     * Get the current and longest daily streak
+     * A streak is still current until a full day passes without activity.
+     * @param {Array} activityLog - Activity log entries
+     * @param {Object} state - The streak state from the profile
+     * @param {number} now - The current time
+     * @returns {Object} - Current and longest streak in days, and whether today is active
+     */
+    function getDailyStreak(activityLog, state, now = Date.now()) {
+        const today = getDayNumber(now);
+        const activeDays = getActiveDays(activityLog);
+        const runs = getRuns(activeDays, (state?.frozenDays || []).map(fromDateKey));
+        const lastRun = runs[runs.length - 1];
+
+        return {
+            current: lastRun && lastRun.end >= today - 1 ? lastRun.length : 0,
+            longest: runs.reduce((longest, run) => Math.max(longest, run.length), 0),
+            activeToday: activeDays.includes(today)
+        };
+    }
+
+    /**
+     * Earn freeze tokens for the current streak and spend them on missed days
+     * Tokens are only spent when they can cover every day missed since the
+     * streak's last day; otherwise the streak is over and the tokens are kept.
+     * @param {Object} state - The streak state from the profile
+     * @param {Array} activityLog - Activity log entries
+     * @param {number} now - The current time
+     * @returns {Object} - The updated state, tokens earned and the days frozen (date keys)
+     */
+    function updateFreezes(state, activityLog, now = Date.now()) {
+        const today = getDayNumber(now);
+        const activeDays = getActiveDays(activityLog);
+        const updated = { ...state, frozenDays: [...state.frozenDays] };
+        let earned = 0;
+        const frozen = [];
+
+        // Earn a token for every FREEZE_EARN_DAYS active days of the latest streak
+        const runs = getRuns(activeDays, updated.frozenDays.map(fromDateKey));
+        const lastRun = runs[runs.length - 1];
+        if (lastRun) {
+            const lastTokenDay = updated.lastTokenDay ? fromDateKey(updated.lastTokenDay) : -Infinity;
+            let activeCount = 0;
+
+            for (let day = lastRun.start; day <= lastRun.end; day++) {
+                if (!activeDays.includes(day)) continue;
+
+                activeCount++;
+                if (activeCount % FREEZE_EARN_DAYS === 0 && day > lastTokenDay) {
+                    if (updated.freezeTokens < MAX_FREEZE_TOKENS) {
+                        updated.freezeTokens++;
+                        earned++;
+                    }
+                    updated.lastTokenDay = toDateKey(day);
+                }
+            }
+        }
+
+        // Cover the days missed between the end of the streak and today
+        const coveredBefore = [...activeDays, ...updated.frozenDays.map(fromDateKey)].filter(day => day < today);
+        if (coveredBefore.length > 0) {
+            const lastCovered = Math.max(...coveredBefore);
+            const missedDays = today - 1 - lastCovered;
+
+            if (missedDays > 0 && missedDays <= updated.freezeTokens) {
+                for (let day = lastCovered + 1; day < today; day++) {
+                    frozen.push(toDateKey(day));
+                }
+                updated.frozenDays.push(...frozen);
+                updated.freezeTokens -= missedDays;
+            }
+        }
+
+        return { state: updated, earned, frozen };
+    }
+
+    /**
+     * Get the goals that are set
+     * @param {Object} weeklyGoals - Hours per attribute
+     * @returns {Array} - Attributes with a goal above zero
+     */
+    function getGoalAttributes(weeklyGoals = {}) {
+        return ProgressionSystem.ATTRIBUTES.filter(attr => weeklyGoals[attr] > 0);
+    }
+
+    /**
+     * Sum the hours earned per attribute in each week
+     * @param {Array} activityLog - Activity log entries
+     * @returns {Map} - Hours keyed by attribute, keyed by week number
+     */
+    function getHoursByWeek(activityLog) {
+        const weeks = new Map();
+
+        getCountedEntries(activityLog).forEach(entry => {
+            const week = getWeekNumber(getDayNumber(entry.timestamp));
+            if (!weeks.has(week)) {
+                weeks.set(week, {});
+            }
+
+            const hours = weeks.get(week);
+            Object.entries(entry.deltas || {}).forEach(([attr, delta]) => {
+                hours[attr] = (hours[attr] || 0) + delta.effectiveHours;
+            });
+        });
+
+        return weeks;
+    }
+
+    /**
+     * Get the progress towards this week's goals
+     * @param {Array} activityLog - Activity log entries
+     * @param {Object} weeklyGoals - Hours per attribute
+     * @param {number} now - The current time
+     * @returns {Array} - One entry per attribute as { attribute, goal, hours, met }
+     */
+    function getGoalProgress(activityLog, weeklyGoals = {}, now = Date.now()) {
+        const hours = getHoursByWeek(activityLog).get(getWeekNumber(getDayNumber(now))) || {};
+
+        return ProgressionSystem.ATTRIBUTES.map(attr => {
+            const goal = weeklyGoals[attr] || 0;
+            const earned = Math.max(0, Math.round((hours[attr] || 0) * 100) / 100);
+
+            return {
+                attribute: attr,
+                goal: goal,
+                hours: earned,
+                met: goal > 0 && earned >= goal
+            };
+        });
+    }
+
+    /**
+     * Get the current and longest weekly streak
+     * A week counts when every goal was met, or when there was any activity
+     * if no goals are set. The current week only counts once it is met.
+     * @param {Array} activityLog - Activity log entries
+     * @param {Object} weeklyGoals - Hours per attribute
+     * @param {number} now - The current time
+     * @returns {Object} - Current and longest streak in weeks
+     */
+    function getWeeklyStreak(activityLog, weeklyGoals = {}, now = Date.now()) {
+        const goalAttributes = getGoalAttributes(weeklyGoals);
+        let metWeeks;
+
+        if (goalAttributes.length === 0) {
+            metWeeks = new Set(getActiveDays(activityLog).map(getWeekNumber));
+        } else {
+            metWeeks = new Set();
+            getHoursByWeek(activityLog).forEach((hours, week) => {
+                if (goalAttributes.every(attr => (hours[attr] || 0) >= weeklyGoals[attr])) {
+                    metWeeks.add(week);
+                }
+            });
+        }
+
+        const thisWeek = getWeekNumber(getDayNumber(now));
+        let current = 0;
+        for (let week = metWeeks.has(thisWeek) ? thisWeek : thisWeek - 1; metWeeks.has(week); week--) {
+            current++;
+        }
+
+        const longest = getRuns([...metWeeks]).reduce((max, run) => Math.max(max, run.length), 0);
+
+        return { current, longest };
+    }
+
+    /**
+     * Check weekly goals before they are saved
+     * @param {Object} weeklyGoals - Hours per attribute
+     * @returns {string|null} - What is wrong, or null if the goals are valid
+     */
+    function validateWeeklyGoals(weeklyGoals) {
+        for (const attr of ProgressionSystem.ATTRIBUTES) {
+            const hours = weeklyGoals?.[attr];
+
+            if (typeof hours !== 'number' || !isFinite(hours) || hours < 0) {
+                return `The ${attr} goal must be zero or more hours`;
+            }
+            if (hours > MAX_WEEKLY_GOAL_HOURS) {
+                return `The ${attr} goal can't be more than ${MAX_WEEKLY_GOAL_HOURS} hours a week`;
+            }
+        }
+
+        return null;
+    }
+
+    // Public API
+    return {
+        FREEZE_EARN_DAYS,
+        MAX_FREEZE_TOKENS,
+        createStreakState,
+        getActiveDays,
+        getLongestStreak,
+        getDailyStreak,
+        updateFreezes,
+        getGoalProgress,
+        getWeeklyStreak,
+        validateWeeklyGoals
+    };
+})();
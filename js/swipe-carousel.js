@@ -3,6 +3,8 @@
  * This extends the existing rotateCardStack function with touch swipe support
  */
 
+import { ProgressionSystem } from './progression-system.js';
+
 // Initialize swipe functionality once the DOM is loaded
 function initSwipeCardStack() {
     // Get the card stack container
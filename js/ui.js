@@ -4,8 +4,19 @@
  * UPDATED: Skills and Journal features removed, Progress tab restored
  */
 
+import { ProgressionSystem } from './progression-system.js';
+import { ProgressionPlanner } from './progression-planner.js';
+import { ProgressionEvents } from './progression-events.js';
+import { QuestModifiers } from './quest-modifiers.js';
+import { QuestBrowser } from './quest-browser.js';
+import { QuestGraph } from './quest-graph.js';
+import { Streaks } from './streaks.js';
+import { DataManager } from './data.js';
+import { ProgressManager } from './progress.js';
+import { QuestManager } from './quests.js';
+
 // UI manager namespace
-const UIManager = (() => {
+export const UIManager = (() => {
     // Cache DOM elements for better performance
     const elements = {
         // Main sections
@@ -23,11 +34,42 @@ const UIManager = (() => {
         // Rank display
         rankDisplay: document.getElementById('rank-display'),
         
+        // Quest catalog validation report
+        catalogReport: document.getElementById('catalog-report'),
+        
+        // Free practice logging
+        logPracticeButton: document.getElementById('log-practice-button'),
+        
+        // Quest browser
+        browseTab: document.getElementById('browse-tab'),
+        
         // Notification
         notification: document.getElementById('notification'),
         notificationMessage: document.getElementById('notification-message')
     };
     
+    // Timer that refreshes the daily quests at local midnight
+    let dailyRolloverTimer = null;
+    
+    // Timer that hides the current notification
+    let notificationTimer = null;
+    
+    // How long the undo action stays on the completion notification
+    const UNDO_WINDOW = 10000;
+    
+    // Whether a refresh has been scheduled for progress that was just made
+    let refreshPending = false;
+    
+    // Search, filters and sort of the quest browser, kept while switching tabs
+    let browseCriteria = { ...QuestBrowser.DEFAULT_CRITERIA };
+    
+    // Whether the browser shows the quest list or the quest map
+    let browseView = 'list';
+    
+    // Quest selected on the quest map, and the part of the map in view
+    let selectedGraphQuestId = null;
+    let graphView = null;
+    
     /**
      * Initialize the UI
      * @param {Object} userProfile - The user profile
@@ -43,11 +85,64 @@ const UIManager = (() => {
         // Initialize the main quest sections
         renderQuestSections(userProfile, quests);
         
+        // Show any problems found in the quest catalog
+        renderCatalogReport(DataManager.getCatalogReport());
+        
         // Initialize tabs
         initializeTabs();
         
         // Set up event listeners
         setupEventListeners();
+        
+        // Re-render whenever progress is made
+        subscribeToProgressionEvents();
+        
+        // Progress stays on screen when a save fails, so say it wasn't stored
+        DataManager.onStorageError(() => {
+            showNotification('Your progress could not be saved. Storage may be full or unavailable.', 'error');
+        });
+        
+        // Roll the daily quests over at midnight
+        scheduleDailyRollover();
+    }
+    
+    /**
+     * Subscribe to the progression events that change what is on screen
+     */
+    function subscribeToProgressionEvents() {
+        const { EVENTS } = ProgressionEvents;
+        
+        [EVENTS.HOURS_ADDED, EVENTS.QUEST_COMPLETED, EVENTS.QUEST_UNLOCKED].forEach(type => {
+            ProgressionEvents.on(type, scheduleRefresh);
+        });
+    }
+    
+    /**
+     * Refresh the UI once the current burst of progression events is over
+     * A quest completion raises several events in a row; they share one render.
+     */
+    function scheduleRefresh() {
+        if (refreshPending) return;
+        
+        refreshPending = true;
+        setTimeout(async () => {
+            refreshPending = false;
+            await refreshUI();
+        }, 0);
+    }
+    
+    /**
+     * Schedule a refresh at the next local midnight so the daily quests roll over
+     * while the app is open
+     */
+    function scheduleDailyRollover() {
+        clearTimeout(dailyRolloverTimer);
+        
+        const delay = QuestManager.getNextDailyRollover() - Date.now();
+        dailyRolloverTimer = setTimeout(async () => {
+            await refreshUI();
+            scheduleDailyRollover();
+        }, delay);
     }
     
     /**
@@ -92,6 +187,24 @@ const UIManager = (() => {
                 }
             });
         });
+        
+        // Free practice logging
+        if (elements.logPracticeButton) {
+            elements.logPracticeButton.addEventListener('click', openPracticeLog);
+        }
+        
+        // Profile switcher
+        if (elements.rankDisplay) {
+            elements.rankDisplay.addEventListener('click', openProfileSwitcher);
+        }
+        
+        // Timers are paused while the device sleeps, so check the daily quests on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                refreshUI();
+                scheduleDailyRollover();
+            }
+        });
     }
     
     /**
@@ -127,6 +240,8 @@ const UIManager = (() => {
             if (tabName === 'progress') {
                 const userProfile = DataManager.getUserProfile();
                 renderProgressTab(userProfile);
+            } else if (tabName === 'browse') {
+                renderBrowseTab();
             }
         }
         
@@ -139,7 +254,18 @@ const UIManager = (() => {
      */
     function updateRankDisplay(userProfile) {
         if (elements.rankDisplay) {
-            elements.rankDisplay.textContent = `${userProfile.currentRank.title} (${userProfile.currentRank.color})`;
+            elements.rankDisplay.innerHTML = '';
+            
+            // Active player; clicking the display opens the profile switcher
+            const playerName = document.createElement('span');
+            playerName.className = 'player-name';
+            playerName.textContent = userProfile.username;
+            
+            elements.rankDisplay.appendChild(playerName);
+            elements.rankDisplay.appendChild(
+                document.createTextNode(` · ${userProfile.currentRank.title} (${userProfile.currentRank.color})`)
+            );
+            elements.rankDisplay.title = 'Switch player';
         }
     }
     
@@ -153,6 +279,8 @@ const UIManager = (() => {
         // Clear existing content
         elements.attributesDashboard.innerHTML = '';
         
+        const streakSummary = DataManager.getStreakSummary();
+        
         // Render each attribute card
         const attributes = ['technique', 'ingredients', 'flavor', 'management'];
         
@@ -187,10 +315,168 @@ const UIManager = (() => {
                     <span>${attrData.totalHours.toFixed(1)}/${attrData.hoursToNextLevel.toFixed(1)} hrs</span>
                     <span>Level ${attrData.currentLevel}</span>
                 </div>
+                ${createGoalHtml(streakSummary.goals.find(goal => goal.attribute === attr))}
             `;
             
             elements.attributesDashboard.appendChild(attrCard);
         });
+        
+        elements.attributesDashboard.appendChild(createStreakCard(streakSummary));
+    }
+    
+    /**
+     * Create the weekly goal line of an attribute card
+     * @param {Object} goal - The goal progress from DataManager.getStreakSummary
+     * @returns {string} - HTML for the goal, or nothing when no goal is set
+     */
+    function createGoalHtml(goal) {
+        if (!goal || goal.goal <= 0) return '';
+        
+        const percentage = Math.min(100, goal.hours / goal.goal * 100);
+        
+        return `
+            <div class="weekly-goal${goal.met ? ' met' : ''}">
+                <div class="goal-bar">
+                    <div class="goal-fill ${goal.attribute}-fill" style="width: ${percentage}%;"></div>
+                </div>
+                <span>This week: ${goal.hours.toFixed(1)}/${goal.goal} hrs${goal.met ? ' ✓' : ''}</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * Create the streak card shown below the attribute cards
+     * @param {Object} streakSummary - The summary from DataManager.getStreakSummary
+     * @returns {HTMLElement} - The streak card
+     */
+    function createStreakCard(streakSummary) {
+        const { daily, weekly, freezeTokens } = streakSummary;
+        const dayLabel = count => `${count} ${count === 1 ? 'day' : 'days'}`;
+        const weekLabel = count => `${count} ${count === 1 ? 'week' : 'weeks'}`;
+        
+        const streakCard = document.createElement('div');
+        streakCard.className = 'streak-card';
+        streakCard.innerHTML = `
+            <div class="streak-stat">
+                <span class="streak-value">🔥 ${dayLabel(daily.current)}</span>
+                <span class="streak-label">${daily.current > 0 && !daily.activeToday ? 'Cook today to keep your streak' : 'Current streak'}</span>
+            </div>
+            <div class="streak-stat">
+                <span class="streak-value">${dayLabel(daily.longest)}</span>
+                <span class="streak-label">Longest streak</span>
+            </div>
+            <div class="streak-stat">
+                <span class="streak-value">${weekLabel(weekly.current)}</span>
+                <span class="streak-label">Weekly streak (best ${weekly.longest})</span>
+            </div>
+            <div class="streak-stat" title="Earned every ${Streaks.FREEZE_EARN_DAYS} days in a row; covers a missed day">
+                <span class="streak-value">❄️ ${freezeTokens}/${Streaks.MAX_FREEZE_TOKENS}</span>
+                <span class="streak-label">Streak freezes</span>
+            </div>
+        `;
+        
+        const goalsButton = document.createElement('button');
+        goalsButton.className = 'profile-action';
+        goalsButton.textContent = 'Weekly Goals';
+        goalsButton.addEventListener('click', openWeeklyGoals);
+        streakCard.appendChild(goalsButton);
+        
+        return streakCard;
+    }
+    
+    /**
+     * Open the weekly goals form in the modal
+     */
+    function openWeeklyGoals() {
+        QuestManager.setCurrentQuest(null);
+        
+        elements.modalTitle.textContent = 'Weekly Goals';
+        
+        const weeklyGoals = DataManager.getUserProfile().streaks.weeklyGoals;
+        const goalInputsHtml = ProgressionSystem.ATTRIBUTES
+            .map(attr => `
+                <label class="practice-split-item ${attr}-border">
+                    <span class="attribute-title">${attr.charAt(0).toUpperCase() + attr.slice(1)}</span>
+                    <input type="number" name="goal-${attr}" min="0" step="0.5" value="${weeklyGoals[attr]}">
+                    <span>hrs</span>
+                </label>
+            `)
+            .join('');
+        
+        elements.modalContent.innerHTML = `
+            <form id="weekly-goals-form" class="practice-form">
+                <p>Hours to spend on each attribute every week (Monday to Sunday). Leave 0 for no goal.</p>
+                <div class="practice-split">
+                    ${goalInputsHtml}
+                </div>
+                <button type="submit" class="complete-button">Save Goals</button>
+            </form>
+        `;
+        
+        elements.questDetailModal.style.display = 'flex';
+        
+        document.getElementById('weekly-goals-form').addEventListener('submit', handleWeeklyGoalsSubmit);
+    }
+    
+    /**
+     * Handle submission of the weekly goals form
+     * @param {Event} event - The submit event
+     */
+    async function handleWeeklyGoalsSubmit(event) {
+        event.preventDefault();
+        
+        const form = event.currentTarget;
+        const weeklyGoals = {};
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            weeklyGoals[attr] = parseFloat(form.elements[`goal-${attr}`].value) || 0;
+        });
+        
+        const result = DataManager.setWeeklyGoals(weeklyGoals);
+        
+        if (result.success) {
+            closeQuestDetail();
+            showNotification(result.message);
+            await refreshUI();
+        } else {
+            showNotification(result.message, 'error');
+        }
+    }
+    
+    /**
+     * Render the quest catalog validation report
+     * Only shown when the validator found errors or warnings
+     * @param {Object|null} report - The report from QuestValidator.validateCatalog
+     */
+    function renderCatalogReport(report) {
+        if (!elements.catalogReport) return;
+        
+        if (!report || (report.errorCount === 0 && report.warningCount === 0)) {
+            elements.catalogReport.classList.add('hidden');
+            elements.catalogReport.innerHTML = '';
+            return;
+        }
+        
+        const reportType = report.errorCount > 0 ? 'error' : 'warning';
+        const issuesHtml = report.issues
+            .map(issue => `
+                <li class="catalog-issue ${issue.severity}">
+                    <strong>${issue.questId || 'Catalog'}</strong> (${issue.field}): ${issue.message}
+                </li>
+            `)
+            .join('');
+        
+        elements.catalogReport.className = `catalog-report ${reportType}`;
+        elements.catalogReport.innerHTML = `
+            <details>
+                <summary>
+                    Quest data issues: ${report.errorCount} errors, ${report.warningCount} warnings
+                    (${report.quarantined.length} of ${report.totalQuests} quests hidden)
+                </summary>
+                <ul class="catalog-issues">
+                    ${issuesHtml}
+                </ul>
+            </details>
+        `;
     }
     
     /**
@@ -208,13 +494,19 @@ const UIManager = (() => {
         const mainQuests = QuestManager.getQuestsByType(availableQuests, 'main');
         const exploreQuests = QuestManager.getQuestsByType(availableQuests, 'explore');
         
-        // Get appropriate quests for daily section
-        const appropriateQuests = QuestManager.getAppropriateQuests(userProfile, 3);
+        // Get today's quests for daily section
+        const dailyQuests = QuestManager.getDailyQuests(userProfile, 3);
         
         // Get recommended quests
-        DataManager.getRecommendedQuests(3).then(recommendedQuests => {
-            // Render recommended quests
-            renderQuestCards(recommendedQuests, elements.recommendedQuests);
+        DataManager.getRecommendedQuests(3).then(recommendations => {
+            // Render recommended quests with why each one was picked
+            renderQuestCards(recommendations.map(recommendation => recommendation.quest), elements.recommendedQuests);
+            recommendations.forEach(recommendation => {
+                const card = elements.recommendedQuests?.querySelector(`[data-quest-id="${recommendation.quest.id}"]`);
+                if (card) {
+                    card.appendChild(createRecommendationWhy(recommendation));
+                }
+            });
         });
         
         // Get next challenge quest
@@ -227,7 +519,7 @@ const UIManager = (() => {
         const completedQuests = QuestManager.getCompletedQuests(userProfile);
         
         // Render quest sections
-        renderQuestCards(appropriateQuests, elements.availableQuests);
+        renderQuestCards(dailyQuests, elements.availableQuests, 'All daily quests done! New quests arrive at midnight.');
         renderQuestCards(completedQuests, elements.completedQuestsSection);
     }
     
@@ -235,8 +527,9 @@ const UIManager = (() => {
      * Render quest cards in a container
      * @param {Array} quests - The quests to render
      * @param {HTMLElement} container - The container element
+     * @param {string} emptyText - Message shown when there are no quests
      */
-    function renderQuestCards(quests, container) {
+    function renderQuestCards(quests, container, emptyText = 'No quests available in this section.') {
         if (!container) return;
         
         // Clear existing content
@@ -246,7 +539,7 @@ const UIManager = (() => {
         if (!quests || quests.length === 0) {
             const emptyMessage = document.createElement('div');
             emptyMessage.className = 'empty-message';
-            emptyMessage.textContent = 'No quests available in this section.';
+            emptyMessage.textContent = emptyText;
             container.appendChild(emptyMessage);
             return;
         }
@@ -277,9 +570,15 @@ const UIManager = (() => {
         // Create rewards HTML
         const rewardsHtml = createRewardsHtml(quest.attributeRewards);
         
+        // Mark repeatable quests
+        const repeatHtml = quest.repeatable
+            ? `<span class="quest-repeat">↻ ${quest.repeatable.cooldown}</span>`
+            : '';
+        
         card.innerHTML = `
             <div class="quest-header">
                 <span class="quest-type ${typeInfo.cssClass}">${typeInfo.name}</span>
+                ${repeatHtml}
                 <span class="quest-time">${timeRequired}</span>
             </div>
             <h3 class="quest-title">${quest.title}</h3>
@@ -292,6 +591,35 @@ const UIManager = (() => {
         return card;
     }
     
+    /**
+     * Create the "why recommended" breakdown of a recommended quest
+     * @param {Object} recommendation - A recommendation from DataManager.getRecommendedQuests
+     * @returns {HTMLElement} - A collapsible list of the score factors
+     */
+    function createRecommendationWhy(recommendation) {
+        const why = document.createElement('details');
+        why.className = 'recommendation-why';
+        
+        const formatPoints = points => `${points > 0 ? '+' : ''}${Math.round(points * 10) / 10}`;
+        
+        why.innerHTML = `
+            <summary>Why recommended (score ${Math.round(recommendation.score)})</summary>
+            <ul>
+                ${recommendation.breakdown.map(factor => `
+                    <li class="${factor.points < 0 ? 'negative' : 'positive'}">
+                        <span class="factor-points">${formatPoints(factor.points)}</span>
+                        <strong>${factor.label}:</strong> ${factor.detail}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        
+        // Opening the breakdown shouldn't open the quest
+        why.addEventListener('click', event => event.stopPropagation());
+        
+        return why;
+    }
+    
     /**
      * Create HTML for quest rewards
      * @param {Object} rewards - The rewards object
@@ -307,6 +635,396 @@ const UIManager = (() => {
             .join('');
     }
     
+    /**
+     * Render the quest browser tab
+     * The form is rebuilt from the kept criteria; typing or changing a filter
+     * only re-renders the results.
+     */
+    function renderBrowseTab() {
+        if (!elements.browseTab) return;
+        
+        const questData = QuestManager.getAllQuests();
+        const { types, ranks, levels } = QuestBrowser.getFilterOptions(questData);
+        const option = (value, label) => `<option value="${value}">${label}</option>`;
+        
+        elements.browseTab.innerHTML = `
+            <h2 class="section-title">Quest Browser</h2>
+            <div class="browser-views" role="tablist">
+                <button type="button" class="browser-view${browseView === 'list' ? ' active' : ''}" data-view="list">List</button>
+                <button type="button" class="browser-view${browseView === 'map' ? ' active' : ''}" data-view="map">Map</button>
+            </div>
+            <form class="browser-form">
+                <input type="search" name="search" class="browser-search" placeholder="Search titles, objectives and materials" aria-label="Search quests">
+                <div class="browser-filters">
+                    <select name="type" aria-label="Quest type">
+                        ${option('', 'All types')}
+                        ${types.map(type => option(type, QuestManager.getQuestTypeInfo(type).name)).join('')}
+                    </select>
+                    <select name="rank" aria-label="Rank">
+                        ${option('', 'All ranks')}
+                        ${ranks.map(rankTitle => option(rankTitle, rankTitle)).join('')}
+                    </select>
+                    <select name="level" aria-label="Level">
+                        ${option('', 'Any level')}
+                        ${levels.map(level => option(level, `Level ${level}`)).join('')}
+                    </select>
+                    <select name="attribute" aria-label="Attribute focus">
+                        ${option('', 'Any focus')}
+                        ${ProgressionSystem.ATTRIBUTES.map(attr => option(attr, `${attr.charAt(0).toUpperCase() + attr.slice(1)} focus`)).join('')}
+                    </select>
+                    <select name="maxTime" aria-label="Time required">
+                        ${option('', 'Any length')}
+                        ${[30, 60, 120].map(minutes => option(minutes, `Up to ${QuestManager.formatTimeRequired(minutes)}`)).join('')}
+                    </select>
+                    <select name="state" aria-label="Quest state">
+                        ${option('', 'Any state')}
+                        ${QuestBrowser.STATES.map(state => option(state, state.charAt(0).toUpperCase() + state.slice(1))).join('')}
+                    </select>
+                    <select name="sort" aria-label="Sort by">
+                        ${Object.entries(QuestBrowser.SORT_OPTIONS).map(([value, label]) => option(value, `Sort: ${label}`)).join('')}
+                    </select>
+                    <button type="button" class="profile-action browser-clear">Clear</button>
+                </div>
+            </form>
+            <p class="browser-count"></p>
+            <div class="quest-cards browser-results${browseView === 'list' ? '' : ' hidden'}"></div>
+            <div class="quest-graph${browseView === 'map' ? '' : ' hidden'}"></div>
+        `;
+        
+        elements.browseTab.querySelectorAll('.browser-view').forEach(button => {
+            button.addEventListener('click', () => {
+                browseView = button.getAttribute('data-view');
+                renderBrowseTab();
+            });
+        });
+        
+        // Restore the kept criteria
+        const form = elements.browseTab.querySelector('.browser-form');
+        Object.keys(QuestBrowser.DEFAULT_CRITERIA).forEach(name => {
+            form.elements[name].value = browseCriteria[name] ?? '';
+        });
+        
+        form.addEventListener('input', () => {
+            browseCriteria = readBrowseCriteria(form);
+            renderBrowseResults();
+        });
+        form.addEventListener('submit', event => event.preventDefault());
+        form.querySelector('.browser-clear').addEventListener('click', () => {
+            browseCriteria = { ...QuestBrowser.DEFAULT_CRITERIA };
+            renderBrowseTab();
+        });
+        
+        renderBrowseResults();
+    }
+    
+    /**
+     * Read the quest browser criteria from its form
+     * @param {HTMLFormElement} form - The browser form
+     * @returns {Object} - Browser criteria (see QuestBrowser.DEFAULT_CRITERIA)
+     */
+    function readBrowseCriteria(form) {
+        const numberOrNull = value => value === '' ? null : Number(value);
+        
+        return {
+            search: form.elements.search.value,
+            type: form.elements.type.value,
+            rank: form.elements.rank.value,
+            level: numberOrNull(form.elements.level.value),
+            attribute: form.elements.attribute.value,
+            maxTime: numberOrNull(form.elements.maxTime.value),
+            state: form.elements.state.value,
+            sort: form.elements.sort.value
+        };
+    }
+    
+    /**
+     * Render the quests matching the browser criteria
+     */
+    function renderBrowseResults() {
+        const results = elements.browseTab?.querySelector('.browser-results');
+        if (!results) return;
+        
+        const userProfile = DataManager.getUserProfile();
+        const questData = QuestManager.getAllQuests();
+        const quests = QuestBrowser.browse(questData, userProfile, browseCriteria);
+        
+        elements.browseTab.querySelector('.browser-count').textContent =
+            `${quests.length} of ${questData.length} quests`;
+        
+        if (browseView === 'map') {
+            renderQuestGraph(elements.browseTab.querySelector('.quest-graph'), questData, quests, userProfile);
+            return;
+        }
+        
+        renderQuestCards(quests, results, 'No quests match your search.');
+        
+        // Show whether each quest is locked, unlocked or completed
+        results.querySelectorAll('.quest-card').forEach(card => {
+            const state = QuestGraph.getQuestState(QuestManager.getQuest(card.getAttribute('data-quest-id')), questData, userProfile);
+            const stateLabel = document.createElement('span');
+            stateLabel.className = `quest-state ${state}`;
+            stateLabel.textContent = state.charAt(0).toUpperCase() + state.slice(1);
+            card.querySelector('.quest-header').appendChild(stateLabel);
+            card.classList.toggle('locked', state === 'locked');
+        });
+    }
+    
+    /**
+     * Render the quest map: every quest and what it leads to
+     * Quests that don't match the browser criteria are dimmed. The map zooms
+     * with the mouse wheel or the buttons and pans by dragging.
+     * @param {HTMLElement} container - The map container
+     * @param {Array} questData - The whole quest catalog
+     * @param {Array} matchingQuests - Quests matching the browser criteria
+     * @param {Object} userProfile - The user profile
+     */
+    function renderQuestGraph(container, questData, matchingQuests, userProfile) {
+        const { LAYOUT } = QuestGraph;
+        const graph = QuestGraph.buildGraph(questData);
+        const layout = QuestGraph.layoutGraph(graph);
+        const matchingIds = new Set(matchingQuests.map(quest => quest.id));
+        
+        const edgesHtml = graph.edges.map(edge => {
+            const from = layout.positions[edge.from];
+            const to = layout.positions[edge.to];
+            const startX = from.x + LAYOUT.nodeWidth;
+            const startY = from.y + LAYOUT.nodeHeight / 2;
+            const endX = to.x;
+            const endY = to.y + LAYOUT.nodeHeight / 2;
+            const bend = LAYOUT.columnGap / 2;
+            
+            return `<path class="graph-edge${edge.unlocks ? '' : ' prerequisite-only'}" data-from="${edge.from}" data-to="${edge.to}"
+                d="M${startX},${startY} C${startX + bend},${startY} ${endX - bend},${endY} ${endX},${endY}" marker-end="url(#graph-arrow)"></path>`;
+        }).join('');
+        
+        const nodesHtml = questData.map(quest => {
+            const { x, y } = layout.positions[quest.id];
+            const state = QuestGraph.getQuestState(quest, questData, userProfile);
+            const label = quest.title.length > 22 ? `${quest.title.slice(0, 21)}…` : quest.title;
+            
+            return `
+                <g class="graph-node type-${quest.type} state-${state}${matchingIds.has(quest.id) ? '' : ' dimmed'}" data-quest-id="${quest.id}"
+                    transform="translate(${x},${y})" tabindex="0" role="button" aria-label="${quest.title} (${state})">
+                    <title>${quest.title}</title>
+                    <rect width="${LAYOUT.nodeWidth}" height="${LAYOUT.nodeHeight}" rx="6"></rect>
+                    <text class="graph-node-id" x="8" y="16">${state === 'completed' ? '✓ ' : ''}${quest.id}</text>
+                    <text class="graph-node-title" x="8" y="33">${label}</text>
+                </g>
+            `;
+        }).join('');
+        
+        const legendHtml = QuestBrowser.getFilterOptions(questData).types
+            .map(type => `<span class="graph-legend-item type-${type}">${QuestManager.getQuestTypeInfo(type).name}</span>`)
+            .join('');
+        
+        container.innerHTML = `
+            <div class="graph-controls">
+                <button type="button" class="profile-action" data-zoom="in" aria-label="Zoom in">+</button>
+                <button type="button" class="profile-action" data-zoom="out" aria-label="Zoom out">−</button>
+                <button type="button" class="profile-action" data-zoom="reset">Fit</button>
+                <div class="graph-legend">
+                    ${legendHtml}
+                    <span class="graph-legend-item state-completed">✓ Completed</span>
+                    <span class="graph-legend-item state-locked">Locked</span>
+                </div>
+            </div>
+            <svg class="graph-canvas" viewBox="0 0 ${layout.width} ${layout.height}" role="group" aria-label="Quest map">
+                <defs>
+                    <marker id="graph-arrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                        <path d="M0,0 L8,4 L0,8 z"></path>
+                    </marker>
+                </defs>
+                <g class="graph-edges">${edgesHtml}</g>
+                <g class="graph-nodes">${nodesHtml}</g>
+            </svg>
+            <div class="graph-detail"></div>
+        `;
+        
+        const svg = container.querySelector('.graph-canvas');
+        setupGraphZoom(svg, layout, container.querySelectorAll('[data-zoom]'));
+        
+        const selectNode = questId => {
+            selectedGraphQuestId = questId;
+            
+            svg.querySelectorAll('.graph-node').forEach(node => {
+                node.classList.toggle('selected', node.getAttribute('data-quest-id') === questId);
+            });
+            svg.querySelectorAll('.graph-edge').forEach(edge => {
+                edge.classList.toggle('highlighted',
+                    edge.getAttribute('data-from') === questId || edge.getAttribute('data-to') === questId);
+            });
+            
+            renderGraphDetail(container.querySelector('.graph-detail'), questId, questData, graph, userProfile);
+        };
+        
+        svg.querySelectorAll('.graph-node').forEach(node => {
+            const questId = node.getAttribute('data-quest-id');
+            node.addEventListener('click', () => selectNode(questId));
+            node.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    selectNode(questId);
+                }
+            });
+        });
+        
+        // Keep the selection when the map is rendered again (e.g. after a completion)
+        if (selectedGraphQuestId && graph.nodes.has(selectedGraphQuestId)) {
+            selectNode(selectedGraphQuestId);
+        }
+    }
+    
+    /**
+     * Make the quest map zoomable and draggable
+     * Zooming and panning change the SVG viewBox, so the map stays sharp. The
+     * view is kept when the map is rendered again for new filters or progress.
+     * @param {SVGElement} svg - The map
+     * @param {Object} layout - The layout from QuestGraph.layoutGraph
+     * @param {NodeList} zoomButtons - The zoom in, zoom out and fit buttons
+     */
+    function setupGraphZoom(svg, layout, zoomButtons) {
+        const fullView = { x: 0, y: 0, width: layout.width, height: layout.height };
+        let view = graphView || { ...fullView };
+        
+        const applyView = () => {
+            graphView = view;
+            svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+        };
+        applyView();
+        
+        // Zoom around a point of the map; factor < 1 zooms in
+        const zoom = (factor, centerX = view.x + view.width / 2, centerY = view.y + view.height / 2) => {
+            const width = Math.min(fullView.width * 2, Math.max(fullView.width / 8, view.width * factor));
+            const scale = width / view.width;
+            
+            view = {
+                x: centerX - (centerX - view.x) * scale,
+                y: centerY - (centerY - view.y) * scale,
+                width: width,
+                height: view.height * scale
+            };
+            applyView();
+        };
+        
+        // Convert a pointer position to map coordinates
+        const toMapPoint = event => {
+            const rect = svg.getBoundingClientRect();
+            return {
+                x: view.x + (event.clientX - rect.left) / (rect.width || 1) * view.width,
+                y: view.y + (event.clientY - rect.top) / (rect.height || 1) * view.height
+            };
+        };
+        
+        zoomButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.getAttribute('data-zoom');
+                if (action === 'in') zoom(0.8);
+                else if (action === 'out') zoom(1.25);
+                else {
+                    view = { ...fullView };
+                    applyView();
+                }
+            });
+        });
+        
+        svg.addEventListener('wheel', event => {
+            event.preventDefault();
+            const point = toMapPoint(event);
+            zoom(event.deltaY < 0 ? 0.9 : 1.1, point.x, point.y);
+        }, { passive: false });
+        
+        let dragStart = null;
+        svg.addEventListener('pointerdown', event => {
+            if (event.target.closest('.graph-node')) return;
+            
+            dragStart = { clientX: event.clientX, clientY: event.clientY, view: { ...view } };
+            svg.setPointerCapture?.(event.pointerId);
+            svg.classList.add('dragging');
+        });
+        svg.addEventListener('pointermove', event => {
+            if (!dragStart) return;
+            
+            const rect = svg.getBoundingClientRect();
+            view = {
+                ...dragStart.view,
+                x: dragStart.view.x - (event.clientX - dragStart.clientX) / (rect.width || 1) * dragStart.view.width,
+                y: dragStart.view.y - (event.clientY - dragStart.clientY) / (rect.height || 1) * dragStart.view.height
+            };
+            applyView();
+        });
+        const endDrag = () => {
+            dragStart = null;
+            svg.classList.remove('dragging');
+        };
+        svg.addEventListener('pointerup', endDrag);
+        svg.addEventListener('pointercancel', endDrag);
+    }
+    
+    /**
+     * Show the selected quest of the quest map: its state, why it is locked and what it leads to
+     * @param {HTMLElement} container - The detail container
+     * @param {string} questId - The selected quest
+     * @param {Array} questData - The whole quest catalog
+     * @param {Object} graph - The graph from QuestGraph.buildGraph
+     * @param {Object} userProfile - The user profile
+     */
+    function renderGraphDetail(container, questId, questData, graph, userProfile) {
+        const quest = graph.nodes.get(questId);
+        const lockReason = QuestGraph.getLockReason(quest, questData, userProfile);
+        const typeInfo = QuestManager.getQuestTypeInfo(quest.type);
+        const titleOf = id => graph.nodes.get(id)?.title || id;
+        
+        const leadsTo = graph.edges.filter(edge => edge.from === questId).map(edge => titleOf(edge.to));
+        const stateText = {
+            completed: 'Completed',
+            unlocked: lockReason.locked ? 'Unlocked, not available yet' : 'Available',
+            locked: 'Locked'
+        }[lockReason.state];
+        
+        container.innerHTML = `
+            <h4>${quest.title}</h4>
+            <p><span class="quest-type ${typeInfo.cssClass}">${typeInfo.name}</span> ${quest.rank.title} Level ${quest.rank.level} · ${stateText}</p>
+            ${lockReason.locked ? createLockReasonHtml(lockReason, titleOf) : ''}
+            <p>${leadsTo.length > 0 ? `Leads to: ${leadsTo.join(', ')}` : 'Does not lead to other quests.'}</p>
+            <button type="button" class="practice-button">Open Quest</button>
+        `;
+        
+        container.querySelectorAll('.unlock-path-quest').forEach(link => {
+            link.addEventListener('click', () => openQuestDetail(link.getAttribute('data-quest-id')));
+        });
+        container.querySelector('.practice-button').addEventListener('click', () => openQuestDetail(questId));
+    }
+    
+    /**
+     * Create HTML explaining why a quest is locked and which quests to complete first
+     * @param {Object} lockReason - The lock reason from QuestManager.getLockReason
+     * @param {Function} titleOf - Returns the title of a quest ID
+     * @returns {string} - HTML for the lock explanation
+     */
+    function createLockReasonHtml(lockReason, titleOf) {
+        let pathHtml = '';
+        
+        if (lockReason.unlockPath === null) {
+            pathHtml = '<p>No path of quests leads to it yet.</p>';
+        } else if (lockReason.unlockPath.length > 0) {
+            pathHtml = `
+                <p>Shortest way to unlock it:</p>
+                <ol class="unlock-path">
+                    ${lockReason.unlockPath.map(id => `
+                        <li><button type="button" class="unlock-path-quest" data-quest-id="${id}">${titleOf(id)}</button></li>
+                    `).join('')}
+                </ol>
+            `;
+        }
+        
+        return `
+            <div class="lock-reason">
+                <p><strong>🔒 Locked:</strong> ${lockReason.message}</p>
+                ${pathHtml}
+            </div>
+        `;
+    }
+    
     /**
      * Open the quest detail modal
      * @param {string} questId - The quest ID
@@ -337,6 +1055,11 @@ const UIManager = (() => {
             completeButton.addEventListener('click', handleQuestComplete);
         }
         
+        // Quests on the way to unlocking a locked quest open their own details
+        elements.modalContent.querySelectorAll('.unlock-path-quest').forEach(link => {
+            link.addEventListener('click', () => openQuestDetail(link.getAttribute('data-quest-id')));
+        });
+        
         // Add event listener to the randomize button
         const randomizeButton = document.getElementById('randomize-button');
         if (randomizeButton) {
@@ -352,7 +1075,36 @@ const UIManager = (() => {
     function createQuestDetailHtml(quest) {
         const typeInfo = QuestManager.getQuestTypeInfo(quest.type);
         const timeRequired = QuestManager.formatTimeRequired(quest.timeRequired);
-        const rewardsHtml = createRewardsHtml(quest.attributeRewards);
+        const repeatInfo = QuestManager.getRepeatInfo(quest, DataManager.getUserProfile());
+        
+        // Repeat completions earn rewards scaled by the quest's reward curve
+        const rewardsHtml = createRewardsHtml(repeatInfo.repeatable ? repeatInfo.nextRewards : quest.attributeRewards);
+        
+        // Create repeat information
+        let repeatHtml = '';
+        if (repeatInfo.repeatable) {
+            let repeatStatus = `Rewards for the next completion: ${Math.round(repeatInfo.rewardMultiplier * 100)}%`;
+            if (!repeatInfo.isOpen && repeatInfo.nextAvailable) {
+                repeatStatus = `Available again on ${new Date(repeatInfo.nextAvailable).toLocaleDateString()}`;
+            }
+            
+            repeatHtml = `
+                <p><strong>Repeatable:</strong> ${repeatInfo.cooldown} - completed ${repeatInfo.completionCount} time${repeatInfo.completionCount === 1 ? '' : 's'}</p>
+                <p class="repeat-status">${repeatStatus}</p>
+            `;
+        }
+        
+        // Locked quests can be read in the browser but not completed yet
+        const lockReason = QuestManager.getLockReason(quest.id, DataManager.getUserProfile());
+        const isLocked = lockReason.locked;
+        const lockedHtml = isLocked
+            ? createLockReasonHtml(lockReason, id => QuestManager.getQuest(id)?.title || id)
+            : '';
+        
+        const completeDisabled = repeatInfo.isOpen && !isLocked ? '' : 'disabled';
+        
+        // Challenge modifier rolled for this attempt, if any
+        const attempt = DataManager.getQuestAttempt(quest.id);
         
         // Create materials list
         const materialsHtml = quest.materials && quest.materials.length 
@@ -398,9 +1150,11 @@ const UIManager = (() => {
             <p><strong>Rank:</strong> ${quest.rank.title} Level ${quest.rank.level}</p>
             <p><strong>Type:</strong> ${typeInfo.name} - ${typeInfo.description}</p>
             <p><strong>Time Required:</strong> ${timeRequired}</p>
+            ${lockedHtml}
+            ${repeatHtml}
             <p><strong>Attribute Rewards:</strong></p>
-            <div class="rewards">
-                ${rewardsHtml}
+            <div id="reward-preview">
+                ${completeDisabled ? `<div class="rewards">${rewardsHtml}</div>` : createRewardPreviewHtml(DataManager.previewQuestRewards(quest))}
             </div>
             
             ${materialsHtml}
@@ -409,11 +1163,75 @@ const UIManager = (() => {
             ${learningFocusHtml}
             
             <div class="random-element">
-                <button id="randomize-button" class="randomize-button">Add Random Challenge</button>
-                <div id="random-element-content"></div>
+                <button id="randomize-button" class="randomize-button">${attempt ? 'Re-roll Challenge' : 'Add Random Challenge'}</button>
+                <div id="random-element-content">${createModifierHtml(attempt)}</div>
             </div>
             
-            <button id="complete-quest-button" class="complete-button">Mark as Complete</button>
+            <button id="complete-quest-button" class="complete-button" ${completeDisabled}>Mark as Complete</button>
+        `;
+    }
+    
+    /**
+     * Create HTML previewing the hours a quest completion would really earn
+     * Rewards lost to a rank cap or to an attribute waiting for a rank up are
+     * highlighted and explained.
+     * @param {Object} preview - The preview from DataManager.previewQuestRewards
+     * @returns {string} - HTML for the reward preview
+     */
+    function createRewardPreviewHtml(preview) {
+        const userProfile = DataManager.getUserProfile();
+        const formatAttribute = attr => attr.charAt(0).toUpperCase() + attr.slice(1);
+        const hoursText = hours => `${hours} hour${hours === 1 ? '' : 's'}`;
+        
+        const pillsHtml = Object.entries(preview.attributes).map(([attr, gain]) => {
+            const lostClass = gain.reason ? ` reward-lost ${gain.reason === 'capped' ? 'partial' : 'full'}` : '';
+            const text = gain.reason
+                ? `${formatAttribute(attr)} +${gain.effective} <s>+${gain.requested}</s>`
+                : `${formatAttribute(attr)} +${gain.effective}`;
+            return `<span class="reward-pill ${attr}-reward${lostClass}">${text}</span>`;
+        }).join('');
+        
+        const warnings = Object.entries(preview.attributes)
+            .filter(([_, gain]) => gain.reason)
+            .map(([attr, gain]) => {
+                if (gain.reason === 'waiting') {
+                    return `${formatAttribute(attr)} is waiting for you to reach ${userProfile.attributes[attr].currentRank}: all ${hoursText(gain.requested)} will be lost.`;
+                }
+                if (gain.reason === 'maxed') {
+                    return `${formatAttribute(attr)} is maxed for ${userProfile.currentRank.title}: all ${hoursText(gain.requested)} will be lost.`;
+                }
+                return `${formatAttribute(attr)} reaches the ${userProfile.currentRank.title} cap: ${gain.lost} of ${hoursText(gain.requested)} will be lost.`;
+            });
+        
+        const warningsHtml = warnings.length > 0
+            ? `
+                <ul class="reward-warnings">
+                    ${warnings.map(warning => `<li>⚠ ${warning}</li>`).join('')}
+                </ul>
+            `
+            : '';
+        
+        return `
+            <div class="rewards">${pillsHtml}</div>
+            ${warningsHtml}
+        `;
+    }
+    
+    /**
+     * Create HTML for the challenge modifier of a quest attempt
+     * @param {Object|null} attempt - The quest attempt
+     * @returns {string} - HTML for the modifier
+     */
+    function createModifierHtml(attempt) {
+        if (!attempt || !attempt.modifier) {
+            return '';
+        }
+        
+        const bonusMultiplier = QuestModifiers.getBonusMultiplier(DataManager.getQuestModifiers());
+        
+        return `
+            <p>${attempt.modifier.text}</p>
+            <p class="modifier-bonus">Complete the quest with this challenge for +${Math.round(bonusMultiplier * 100)}% bonus hours</p>
         `;
     }
     
@@ -447,24 +1265,20 @@ const UIManager = (() => {
         const result = await QuestManager.completeQuest(currentQuest.id);
         
         if (result.success) {
-            // Get updated user profile
-            const userProfile = DataManager.getUserProfile();
-            
-            // Update UI
-            updateRankDisplay(userProfile);
-            renderAttributesDashboard(userProfile);
-            
-            // Get all quests
-            const quests = await DataManager.getQuestData();
-            
-            // Re-render quest sections
-            renderQuestSections(userProfile, quests);
+            // The dashboard and quest lists refresh themselves on the progression events
             
             // Close the modal
             closeQuestDetail();
             
             // Show success notification
-            showNotification(`Quest completed! ${createRewardsText(result.rewards)}`);
+            const bonusText = result.modifier && Object.keys(result.bonusRewards).length > 0
+                ? ` (challenge bonus: ${createRewardsText(result.bonusRewards)})`
+                : '';
+            showNotification(`Quest completed! ${createEarnedRewardsText(result.rewards, result.effectiveRewards)}${bonusText}`, 'success', {
+                label: 'Undo',
+                duration: UNDO_WINDOW,
+                onClick: () => handleUndoCompletion(result.activityId)
+            });
         } else {
             // Show error message
             showNotification(result.message || 'Failed to complete quest', 'error');
@@ -477,6 +1291,331 @@ const UIManager = (() => {
         }
     }
     
+    /**
+     * Undo a quest completion and refresh the UI
+     * @param {string} activityId - The activity log entry of the completion
+     */
+    async function handleUndoCompletion(activityId) {
+        const result = await DataManager.undoQuestCompletion(activityId);
+        
+        if (result.success) {
+            await refreshUI();
+            renderProgressTab(DataManager.getUserProfile());
+            showNotification(result.message);
+        } else {
+            showNotification(result.message || 'Failed to undo quest', 'error');
+        }
+    }
+    
+    /**
+     * Open the free practice logging form in the modal
+     */
+    function openPracticeLog() {
+        // No quest is selected while logging practice
+        QuestManager.setCurrentQuest(null);
+        
+        elements.modalTitle.textContent = 'Log Free Practice';
+        
+        const splitInputsHtml = ProgressionSystem.ATTRIBUTES
+            .map(attr => `
+                <label class="practice-split-item ${attr}-border">
+                    <span class="attribute-title">${attr.charAt(0).toUpperCase() + attr.slice(1)}</span>
+                    <input type="number" name="split-${attr}" min="0" max="100" step="5" value="25">
+                    <span>%</span>
+                </label>
+            `)
+            .join('');
+        
+        elements.modalContent.innerHTML = `
+            <form id="practice-form" class="practice-form">
+                <label class="practice-field">
+                    <span>Duration (minutes)</span>
+                    <input type="number" name="duration" min="5" step="5" value="30" required>
+                </label>
+                
+                <h3>How was the time spent?</h3>
+                <div class="practice-split">
+                    ${splitInputsHtml}
+                </div>
+                
+                <label class="practice-field">
+                    <span>Notes</span>
+                    <textarea name="notes" rows="3" placeholder="What did you cook or practice?"></textarea>
+                </label>
+                
+                <button type="submit" id="log-practice-submit" class="complete-button">Log Practice</button>
+            </form>
+        `;
+        
+        elements.questDetailModal.style.display = 'flex';
+        
+        document.getElementById('practice-form').addEventListener('submit', handlePracticeSubmit);
+    }
+    
+    /**
+     * Handle submission of the free practice form
+     * @param {Event} event - The submit event
+     */
+    async function handlePracticeSubmit(event) {
+        event.preventDefault();
+        
+        const form = event.currentTarget;
+        const split = {};
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            split[attr] = parseFloat(form.elements[`split-${attr}`].value) || 0;
+        });
+        
+        const result = DataManager.logPracticeSession({
+            durationMinutes: parseFloat(form.elements.duration.value),
+            split: split,
+            notes: form.elements.notes.value
+        });
+        
+        if (result.success) {
+            closeQuestDetail();
+            showNotification(`${result.message} ${createRewardsText(result.rewards)}`);
+        } else {
+            showNotification(result.message || 'Failed to log practice', 'error');
+        }
+    }
+    
+    /**
+     * Download the user profile as an export file
+     */
+    async function downloadProfileExport() {
+        try {
+            const exportData = await DataManager.exportProfile();
+            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `diced-profile-${new Date(exportData.exportedAt).toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            
+            showNotification('Profile exported');
+        } catch (error) {
+            console.error('Error exporting profile:', error);
+            showNotification('Failed to export profile', 'error');
+        }
+    }
+    
+    /**
+     * Handle selection of an export file to import
+     * @param {Event} event - The change event of the file input
+     */
+    async function handleImportFile(event) {
+        const file = event.target.files[0];
+        
+        // Allow the same file to be picked again
+        event.target.value = '';
+        
+        if (!file) return;
+        
+        try {
+            const preview = await DataManager.previewImport(await file.text());
+            openImportPreview(preview);
+        } catch (error) {
+            // e.g. crypto.subtle is only available on secure origins
+            console.error('Error importing profile:', error);
+            showNotification('Failed to read the profile file', 'error');
+        }
+    }
+    
+    /**
+     * Show the differences an import would make, with merge and replace options
+     * @param {Object} preview - Result from DataManager.previewImport
+     */
+    function openImportPreview(preview) {
+        QuestManager.setCurrentQuest(null);
+        
+        elements.modalTitle.textContent = 'Import Profile';
+        
+        elements.modalContent.innerHTML = '';
+        
+        // Everything taken from the file is untrusted, so it is only ever set as text
+        const addElement = (parent, tagName, text = '', className = '') => {
+            const element = document.createElement(tagName);
+            if (className) element.className = className;
+            if (text) element.textContent = text;
+            parent.appendChild(element);
+            return element;
+        };
+        
+        if (!preview.success) {
+            addElement(elements.modalContent, 'p', String(preview.message), 'import-error');
+            
+            const errors = (preview.issues || []).filter(issue => issue.severity === 'error');
+            if (errors.length > 0) {
+                const issueList = addElement(elements.modalContent, 'ul', '', 'import-issues');
+                errors.forEach(issue => addElement(issueList, 'li', `${issue.field}: ${issue.message}`));
+            }
+            
+            elements.questDetailModal.style.display = 'flex';
+            return;
+        }
+        
+        const { changes, questsOnlyInCurrent, questsOnlyInIncoming } = preview.diff;
+        
+        addElement(elements.modalContent, 'p', `Exported on ${new Date(preview.exportedAt).toLocaleString()}`);
+        
+        if (changes.length > 0) {
+            const table = addElement(elements.modalContent, 'table', '', 'import-diff');
+            const header = addElement(table, 'tr');
+            ['', 'This device', 'File'].forEach(text => addElement(header, 'th', text));
+            
+            changes.forEach(change => {
+                const row = addElement(table, 'tr');
+                [change.label, change.current, change.incoming].forEach(value => addElement(row, 'td', String(value)));
+            });
+        } else {
+            addElement(elements.modalContent, 'p', 'The file matches the profile on this device.');
+        }
+        
+        [['Completed only on this device', questsOnlyInCurrent], ['Completed only in the file', questsOnlyInIncoming]]
+            .filter(([_, questIds]) => questIds.length > 0)
+            .forEach(([label, questIds]) => {
+                const line = addElement(elements.modalContent, 'p');
+                addElement(line, 'strong', `${label}:`);
+                line.appendChild(document.createTextNode(` ${questIds.join(', ')}`));
+            });
+        
+        addElement(elements.modalContent, 'p', 'Merge adds up the hours logged on only one side and keeps the quests completed on either. Replace discards the profile on this device.', 'import-help');
+        
+        const actions = addElement(elements.modalContent, 'div', '', 'import-actions');
+        const mergeButton = addElement(actions, 'button', 'Merge', 'complete-button');
+        mergeButton.id = 'import-merge-button';
+        const replaceButton = addElement(actions, 'button', 'Replace', 'randomize-button');
+        replaceButton.id = 'import-replace-button';
+        
+        elements.questDetailModal.style.display = 'flex';
+        
+        document.getElementById('import-merge-button').addEventListener('click', () => handleImportApply(preview, 'merge'));
+        document.getElementById('import-replace-button').addEventListener('click', () => handleImportApply(preview, 'replace'));
+    }
+    
+    /**
+     * Apply an import after the user picked merge or replace
+     * @param {Object} preview - Result from DataManager.previewImport
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async function handleImportApply(preview, mode) {
+        if (mode === 'replace' && !confirm('Replace the profile on this device with the imported one?')) {
+            return;
+        }
+        
+        const result = DataManager.applyImport(preview, mode);
+        
+        if (result.success) {
+            closeQuestDetail();
+            await refreshUI();
+            renderProgressTab(result.userProfile);
+            showNotification(result.message);
+        } else {
+            showNotification(result.message || 'Failed to import profile', 'error');
+        }
+    }
+    
+    /**
+     * Open the profile switcher in the modal
+     */
+    function openProfileSwitcher() {
+        QuestManager.setCurrentQuest(null);
+        
+        elements.modalTitle.textContent = 'Players';
+        elements.modalContent.innerHTML = '';
+        
+        // One row per profile; names are user input so they are set as text
+        const profileList = document.createElement('ul');
+        profileList.className = 'profile-list';
+        
+        DataManager.listProfiles().forEach(profile => {
+            const item = document.createElement('li');
+            item.className = `profile-item${profile.isActive ? ' active' : ''}`;
+            
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = profile.isActive ? `${profile.name} (playing)` : profile.name;
+            item.appendChild(name);
+            
+            const actions = [
+                { label: 'Switch', action: 'switch', hidden: profile.isActive },
+                { label: 'Rename', action: 'rename' },
+                { label: 'Delete', action: 'delete' }
+            ];
+            
+            actions.filter(action => !action.hidden).forEach(({ label, action }) => {
+                const button = document.createElement('button');
+                button.className = 'profile-action';
+                button.textContent = label;
+                button.addEventListener('click', () => handleProfileAction(action, profile));
+                item.appendChild(button);
+            });
+            
+            profileList.appendChild(item);
+        });
+        
+        elements.modalContent.appendChild(profileList);
+        
+        // New profile form
+        const createForm = document.createElement('form');
+        createForm.className = 'profile-create';
+        createForm.innerHTML = `
+            <input type="text" name="name" maxlength="30" placeholder="New player name" required>
+            <button type="submit" class="complete-button">Add Player</button>
+        `;
+        createForm.addEventListener('submit', event => {
+            event.preventDefault();
+            handleProfileAction('create', null, createForm.elements.name.value);
+        });
+        elements.modalContent.appendChild(createForm);
+        
+        elements.questDetailModal.style.display = 'flex';
+    }
+    
+    /**
+     * Handle a profile switcher action
+     * @param {string} action - switch, rename, delete or create
+     * @param {Object|null} profile - The profile the action applies to
+     * @param {string} name - Name for a new profile
+     */
+    async function handleProfileAction(action, profile, name) {
+        let result;
+        
+        if (action === 'switch') {
+            result = DataManager.switchProfile(profile.id);
+        } else if (action === 'rename') {
+            const newName = prompt('New name for this player:', profile.name);
+            if (newName === null) return;
+            result = DataManager.renameProfile(profile.id, newName);
+        } else if (action === 'delete') {
+            if (!confirm(`Delete ${profile.name} and all of their progress? This cannot be undone.`)) return;
+            result = DataManager.deleteProfile(profile.id);
+        } else if (action === 'create') {
+            result = DataManager.createProfile(name);
+        }
+        
+        if (!result.success) {
+            showNotification(result.message, 'error');
+            return;
+        }
+        
+        // Every action can change the active player's data
+        await refreshUI();
+        renderProgressTab(DataManager.getUserProfile());
+        
+        if (action === 'switch' || action === 'create') {
+            closeQuestDetail();
+            showNotification(`Now playing as ${DataManager.getUserProfile().username}`);
+        } else {
+            openProfileSwitcher();
+            showNotification(result.message);
+        }
+    }
+    
     /**
      * Create text for quest rewards
      * @param {Object} rewards - The rewards object
@@ -488,6 +1627,28 @@ const UIManager = (() => {
             .join(', ');
     }
     
+    /**
+     * Create text for the hours a completion earned against the hours it offered
+     * @param {Object} rewards - Nominal hours per attribute
+     * @param {Object} effectiveRewards - Hours actually earned per attribute
+     * @returns {string} - Text listing the rewards, and the hours lost to rank caps
+     */
+    function createEarnedRewardsText(rewards, effectiveRewards = rewards) {
+        let lostHours = 0;
+        
+        const text = Object.entries(rewards)
+            .map(([attr, value]) => {
+                const earned = effectiveRewards[attr] ?? value;
+                const name = attr.charAt(0).toUpperCase() + attr.slice(1);
+                lostHours += value - earned;
+                return earned < value ? `${name} +${earned} of ${value}` : `${name} +${value}`;
+            })
+            .join(', ');
+        
+        lostHours = Math.round(lostHours * 100) / 100;
+        return lostHours > 0 ? `${text} (${lostHours} hours lost to rank caps)` : text;
+    }
+    
     /**
      * Handle randomize button click
      */
@@ -498,13 +1659,29 @@ const UIManager = (() => {
             return;
         }
         
-        // Generate random element
-        const randomElement = QuestManager.generateRandomElement(currentQuest);
+        // Roll a modifier and store it with the quest attempt
+        const attempt = DataManager.rollQuestModifier(currentQuest.id);
+        
+        if (!attempt) {
+            showNotification('No random challenges available', 'error');
+            return;
+        }
         
         // Display the random element
         const container = document.getElementById('random-element-content');
         if (container) {
-            container.innerHTML = `<p>${randomElement.text}</p>`;
+            container.innerHTML = createModifierHtml(attempt);
+        }
+        
+        const randomizeButton = document.getElementById('randomize-button');
+        if (randomizeButton) {
+            randomizeButton.textContent = 'Re-roll Challenge';
+        }
+        
+        // The challenge bonus changes what the quest would earn
+        const rewardPreview = document.getElementById('reward-preview');
+        if (rewardPreview) {
+            rewardPreview.innerHTML = createRewardPreviewHtml(DataManager.previewQuestRewards(currentQuest));
         }
     }
     
@@ -512,8 +1689,12 @@ const UIManager = (() => {
      * Show a notification
      * @param {string} message - The message to show
      * @param {string} type - The notification type (success, error)
+     * @param {Object} action - Optional button shown with the message
+     * @param {string} action.label - Button text
+     * @param {Function} action.onClick - Called when the button is clicked
+     * @param {number} action.duration - How long the notification stays visible
      */
-    function showNotification(message, type = 'success') {
+    function showNotification(message, type = 'success', action = null) {
         // Create notification element if it doesn't exist
         if (!elements.notification) {
             const notification = document.createElement('div');
@@ -540,8 +1721,26 @@ const UIManager = (() => {
         elements.notification.className = `notification ${type}`;
         elements.notification.classList.remove('hidden');
         
-        // Hide after 3 seconds
-        setTimeout(hideNotification, 3000);
+        // Replace any action button left from the previous notification
+        const previousAction = elements.notification.querySelector('.notification-action');
+        if (previousAction) {
+            previousAction.remove();
+        }
+        
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'notification-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                hideNotification();
+                action.onClick();
+            });
+            elements.notificationMessage.parentNode.appendChild(actionButton);
+        }
+        
+        // Hide after 3 seconds, or when the action expires
+        clearTimeout(notificationTimer);
+        notificationTimer = setTimeout(hideNotification, action ? action.duration : 3000);
     }
     
     /**
@@ -600,6 +1799,11 @@ const UIManager = (() => {
         updateRankDisplay(userProfile);
         renderAttributesDashboard(userProfile);
         renderQuestSections(userProfile, quests);
+        
+        // Keep the browser's quest states current while it is open
+        if (elements.browseTab && elements.browseTab.classList.contains('active')) {
+            renderBrowseResults();
+        }
     }
 
     /**
@@ -862,6 +2066,284 @@ const UIManager = (() => {
         }, 600); // Should match transition duration in CSS
     }
     
+    /**
+     * Get the recent weekly pace of the user from the activity log
+     * @returns {Object} - Hours per week and the split between attributes (percent)
+     */
+    function getRecentPace() {
+        const weeks = 4;
+        const summary = DataManager.getActivitySummary({ from: Date.now() - weeks * 7 * 24 * 60 * 60 * 1000 });
+        const totalHours = Object.values(summary).reduce((sum, attr) => sum + attr.effectiveHours, 0);
+        const split = {};
+        
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            split[attr] = totalHours > 0 ? Math.round(summary[attr].effectiveHours / totalHours * 100) : 25;
+        });
+        
+        // Fall back to a modest default until there is some history
+        return {
+            hoursPerWeek: totalHours > 0 ? Math.round(totalHours / weeks * 10) / 10 : 5,
+            split: split
+        };
+    }
+    
+    /**
+     * Create an SVG chart of projected levels over time
+     * Each attribute is drawn as a step line; horizontal rules mark the ranks.
+     * @param {Object} result - Result from ProgressionPlanner
+     * @returns {string} - SVG markup
+     */
+    function createPlannerChart(result) {
+        const width = 600;
+        const height = 260;
+        const padding = { top: 10, right: 10, bottom: 30, left: 110 };
+        
+        const startIndex = Math.min(...ProgressionSystem.ATTRIBUTES.map(attr =>
+            ProgressionPlanner.getLevelIndex(result.start.attributes[attr].rank, result.start.attributes[attr].level)));
+        const endIndex = Math.max(...ProgressionSystem.ATTRIBUTES.map(attr =>
+            ProgressionPlanner.getLevelIndex(result.end.attributes[attr].rank, result.end.attributes[attr].level))) + 1;
+        const timeSpan = Math.max(result.endDate - result.startDate, 1);
+        
+        const x = time => padding.left + (time - result.startDate) / timeSpan * (width - padding.left - padding.right);
+        const y = index => height - padding.bottom - (index - startIndex) / (endIndex - startIndex) * (height - padding.top - padding.bottom);
+        
+        // Rank boundaries
+        const rankLines = Object.keys(ProgressionSystem.RANKS)
+            .map(rankTitle => ({ rankTitle, index: ProgressionPlanner.getLevelIndex(rankTitle, 1) }))
+            .filter(rank => rank.index >= startIndex && rank.index <= endIndex)
+            .map(rank => `
+                <line class="planner-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(rank.index)}" y2="${y(rank.index)}"></line>
+                <text class="planner-label" x="${padding.left - 5}" y="${y(rank.index) + 4}" text-anchor="end">${rank.rankTitle}</text>
+            `)
+            .join('');
+        
+        // One step line per attribute
+        const attributeLines = ProgressionSystem.ATTRIBUTES.map(attr => {
+            const startAttr = result.start.attributes[attr];
+            let level = ProgressionPlanner.getLevelIndex(startAttr.rank, startAttr.level);
+            const points = [`${x(result.startDate)},${y(level)}`];
+            
+            result.events
+                .filter(event => event.attribute === attr)
+                .forEach(event => {
+                    points.push(`${x(event.date)},${y(level)}`);
+                    level = ProgressionPlanner.getLevelIndex(event.rank, event.level);
+                    points.push(`${x(event.date)},${y(level)}`);
+                });
+            points.push(`${x(result.endDate)},${y(level)}`);
+            
+            return `<polyline class="planner-line ${attr}-line" points="${points.join(' ')}"></polyline>`;
+        }).join('');
+        
+        const axisLabels = `
+            <text class="planner-label" x="${padding.left}" y="${height - 8}">${new Date(result.startDate).toLocaleDateString()}</text>
+            <text class="planner-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${new Date(result.endDate).toLocaleDateString()}</text>
+        `;
+        
+        return `
+            <svg class="planner-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Projected levels per attribute">
+                ${rankLines}
+                ${attributeLines}
+                ${axisLabels}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Render the outcome of a plan
+     * @param {HTMLElement} container - Where to render the outcome
+     * @param {Object} result - Result from ProgressionPlanner
+     */
+    function renderPlannerResult(container, result) {
+        const formatDate = time => new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+        const weeks = result.steps;
+        
+        let summary;
+        if (result.targetDate) {
+            summary = `You would reach <strong>${result.targetRank}</strong> around <strong>${formatDate(result.targetDate)}</strong> (${weeks} week${weeks === 1 ? '' : 's'}).`;
+        } else if (weeks === 0) {
+            summary = 'Add some weekly hours to see a projection.';
+        } else {
+            summary = `At this pace you would only reach ${result.end.rank} Level ${result.end.level} in the next ${Math.round(weeks / 52)} years.`;
+        }
+        
+        // Hours lost to rank caps while other attributes catch up
+        const wasted = Object.entries(result.wastedHours)
+            .filter(([, hours]) => hours >= 1)
+            .map(([attr, hours]) => `${attr.charAt(0).toUpperCase() + attr.slice(1)} ${Math.round(hours)} hrs`);
+        const wastedHtml = wasted.length > 0
+            ? `<p class="planner-warning">Hours over the rank cap would be lost: ${wasted.join(', ')}. Shift time to your other attributes to rank up sooner.</p>`
+            : '';
+        
+        // Date each rank is reached, per attribute
+        const rankDates = ProgressionPlanner.getRankDates(result);
+        const ranks = Object.keys(ProgressionSystem.RANKS).filter(rankTitle =>
+            rankTitle in rankDates.user ||
+            ProgressionSystem.ATTRIBUTES.some(attr => rankTitle in rankDates.attributes[attr]));
+        const cell = dates => dates ? formatDate(dates) : '—';
+        const tableHtml = ranks.length > 0
+            ? `
+                <table class="planner-table">
+                    <tr>
+                        <th>Rank</th><th>You</th>
+                        ${ProgressionSystem.ATTRIBUTES.map(attr => `<th class="${attr}-text">${attr.charAt(0).toUpperCase() + attr.slice(1)}</th>`).join('')}
+                    </tr>
+                    ${ranks.map(rankTitle => `
+                        <tr>
+                            <td>${rankTitle}</td>
+                            <td>${cell(rankDates.user[rankTitle])}</td>
+                            ${ProgressionSystem.ATTRIBUTES.map(attr => `<td>${cell(rankDates.attributes[attr][rankTitle])}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </table>
+            `
+            : '';
+        
+        container.innerHTML = `
+            <p>${summary}</p>
+            ${wastedHtml}
+            ${weeks > 0 ? createPlannerChart(result) : ''}
+            ${tableHtml}
+        `;
+    }
+    
+    /**
+     * Create the rank planner section of the progress tab
+     * @param {Object} userProfile - The user profile
+     * @returns {HTMLElement} - The planner section
+     */
+    function createPlannerSection(userProfile) {
+        const plannerSection = document.createElement('div');
+        plannerSection.className = 'progress-section';
+        
+        const plannerHeader = document.createElement('h3');
+        plannerHeader.className = 'section-subtitle';
+        plannerHeader.textContent = 'Rank Planner';
+        plannerSection.appendChild(plannerHeader);
+        
+        // Targets are the ranks above the current one
+        const rankTitles = Object.keys(ProgressionSystem.RANKS);
+        const targetRanks = rankTitles.slice(ProgressionSystem.getRankIndex(userProfile.currentRank.title) + 1);
+        
+        if (targetRanks.length === 0) {
+            const finalRankMessage = document.createElement('p');
+            finalRankMessage.className = 'no-quests-message';
+            finalRankMessage.textContent = 'You have reached the highest rank!';
+            plannerSection.appendChild(finalRankMessage);
+            return plannerSection;
+        }
+        
+        const pace = getRecentPace();
+        const splitInputsHtml = ProgressionSystem.ATTRIBUTES
+            .map(attr => `
+                <label class="practice-split-item ${attr}-border">
+                    <span class="attribute-title">${attr.charAt(0).toUpperCase() + attr.slice(1)}</span>
+                    <input type="number" name="split-${attr}" min="0" max="100" step="5" value="${pace.split[attr]}">
+                    <span>%</span>
+                </label>
+            `)
+            .join('');
+        
+        const plannerForm = document.createElement('form');
+        plannerForm.className = 'planner-form';
+        plannerForm.innerHTML = `
+            <label class="practice-field">
+                <span>Hours per week</span>
+                <input type="number" name="hours" min="0" step="0.5" value="${pace.hoursPerWeek}">
+            </label>
+            <div class="practice-split">
+                ${splitInputsHtml}
+            </div>
+            <label class="practice-field">
+                <span>Target rank</span>
+                <select name="target">
+                    ${targetRanks.map(rankTitle => `<option value="${rankTitle}">${rankTitle}</option>`).join('')}
+                </select>
+            </label>
+            <button type="submit" class="practice-button">Plan</button>
+        `;
+        plannerSection.appendChild(plannerForm);
+        
+        const plannerResult = document.createElement('div');
+        plannerResult.className = 'planner-result';
+        plannerSection.appendChild(plannerResult);
+        
+        const runPlan = () => {
+            const split = {};
+            ProgressionSystem.ATTRIBUTES.forEach(attr => {
+                split[attr] = parseFloat(plannerForm.elements[`split-${attr}`].value) || 0;
+            });
+            
+            const result = ProgressionPlanner.simulateWeeklyBudget(userProfile, {
+                hoursPerWeek: parseFloat(plannerForm.elements.hours.value) || 0,
+                split: split,
+                targetRank: plannerForm.elements.target.value
+            });
+            
+            renderPlannerResult(plannerResult, result);
+        };
+        
+        plannerForm.addEventListener('submit', event => {
+            event.preventDefault();
+            runPlan();
+        });
+        
+        // Show the projection for the recent pace straight away
+        runPlan();
+        
+        return plannerSection;
+    }
+    
+    /**
+     * Fill the badge gallery with earned and locked badges
+     * @param {HTMLElement} gallery - The gallery container
+     * @param {Array} badges - Badges from DataManager.getBadges
+     */
+    function renderBadgeGallery(gallery, badges) {
+        gallery.innerHTML = badges.map(badge => {
+            const status = badge.unlockedAt
+                ? `Earned ${new Date(badge.unlockedAt).toLocaleDateString()}`
+                : `${Math.floor(badge.progress.current)} / ${badge.progress.target}`;
+            
+            return `
+                <div class="badge-card${badge.unlockedAt ? ' earned' : ''}" title="${badge.description}">
+                    <div class="badge-icon">${badge.icon}</div>
+                    <h5 class="badge-name">${badge.name}</h5>
+                    <p class="badge-description">${badge.description}</p>
+                    <p class="badge-status">${status}</p>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Create the badge gallery section of the progress tab
+     * @returns {HTMLElement} - The badges section
+     */
+    function createBadgeSection() {
+        const badgeSection = document.createElement('div');
+        badgeSection.className = 'progress-section';
+        
+        const badgeHeader = document.createElement('h3');
+        badgeHeader.className = 'section-subtitle';
+        badgeHeader.textContent = 'Badges';
+        badgeSection.appendChild(badgeHeader);
+        
+        const gallery = document.createElement('div');
+        gallery.className = 'badge-gallery';
+        badgeSection.appendChild(gallery);
+        
+        DataManager.getBadges()
+            .then(badges => {
+                const earnedCount = badges.filter(badge => badge.unlockedAt).length;
+                badgeHeader.textContent = `Badges (${earnedCount}/${badges.length})`;
+                renderBadgeGallery(gallery, badges);
+            })
+            .catch(error => console.error('Error loading badges:', error));
+        
+        return badgeSection;
+    }
+    
     /**
  * Render the progress tab with detailed progression information
  * @param {Object} userProfile - The user profile
@@ -1062,6 +2544,12 @@ function renderProgressTab(userProfile) {
     attributesSection.appendChild(attributeGrid);
     progressTab.appendChild(attributesSection);
     
+    // ---- RANK PLANNER SECTION ----
+    progressTab.appendChild(createPlannerSection(userProfile));
+    
+    // ---- BADGES SECTION ----
+    progressTab.appendChild(createBadgeSection());
+    
     // ---- RECENT ACHIEVEMENTS SECTION ----
     const achievementsSection = document.createElement('div');
     achievementsSection.className = 'progress-section';
@@ -1109,6 +2597,21 @@ function renderProgressTab(userProfile) {
                         <p class="quest-type">${achievement.previousRank} → ${achievement.newRank}</p>
                     </div>
                 `;
+            } else if (achievement.type === 'practice_logged') {
+                achievementItem.innerHTML = `
+                    <div class="quest-badge" style="background-color:var(--primary-color);">
+                        <span>✎</span>
+                    </div>
+                    <div class="quest-info">
+                        <h5 class="quest-title">Free Practice</h5>
+                        <p class="quest-type">${QuestManager.formatTimeRequired(achievement.durationMinutes)}</p>
+                    </div>
+                `;
+                
+                // Notes are free text typed by the user, so they are set as text
+                if (achievement.notes) {
+                    achievementItem.querySelector('.quest-type').textContent += ` - ${achievement.notes}`;
+                }
             } else if (achievement.type === 'level_up') {
                 achievementItem.innerHTML = `
                     <div class="quest-badge" style="background-color:var(--accent-color-3);">
@@ -1134,6 +2637,110 @@ function renderProgressTab(userProfile) {
     }
     
     progressTab.appendChild(achievementsSection);
+    
+    // ---- QUEST HISTORY SECTION ----
+    const historySection = document.createElement('div');
+    historySection.className = 'progress-section';
+    
+    // Section header
+    const historySectionHeader = document.createElement('h3');
+    historySectionHeader.className = 'section-subtitle';
+    historySectionHeader.textContent = 'Quest History';
+    historySection.appendChild(historySectionHeader);
+    
+    const completionHistory = DataManager.getCompletionHistory(10);
+    
+    if (completionHistory.length > 0) {
+        const historyList = document.createElement('ul');
+        historyList.className = 'recent-quests-list';
+        
+        completionHistory.forEach(completion => {
+            const quest = QuestManager.getQuest(completion.questId);
+            const typeInfo = QuestManager.getQuestTypeInfo(quest ? quest.type : 'training');
+            
+            const historyItem = document.createElement('li');
+            historyItem.className = `recent-quest-item${completion.undone ? ' undone' : ''}`;
+            historyItem.innerHTML = `
+                <div class="quest-badge ${typeInfo.cssClass}">
+                    <span>✓</span>
+                </div>
+                <div class="quest-info">
+                    <h5 class="quest-title">${quest ? quest.title : completion.questId}</h5>
+                    <p class="quest-type">${new Date(completion.timestamp).toLocaleString()} - ${completion.hours.toFixed(2)} hrs</p>
+                </div>
+            `;
+            
+            if (completion.undone) {
+                const undoneLabel = document.createElement('span');
+                undoneLabel.className = 'history-status';
+                undoneLabel.textContent = 'Undone';
+                historyItem.appendChild(undoneLabel);
+            } else {
+                const undoButton = document.createElement('button');
+                undoButton.className = 'profile-action';
+                undoButton.textContent = 'Undo';
+                undoButton.addEventListener('click', () => {
+                    if (confirm(`Undo this completion of ${quest ? quest.title : completion.questId}? The hours it earned will be removed.`)) {
+                        handleUndoCompletion(completion.activityId);
+                    }
+                });
+                historyItem.appendChild(undoButton);
+            }
+            
+            historyList.appendChild(historyItem);
+        });
+        
+        historySection.appendChild(historyList);
+    } else {
+        const noHistoryMessage = document.createElement('p');
+        noHistoryMessage.className = 'no-quests-message';
+        noHistoryMessage.textContent = 'Completed quests will be listed here.';
+        historySection.appendChild(noHistoryMessage);
+    }
+    
+    progressTab.appendChild(historySection);
+    
+    // ---- BACKUP & TRANSFER SECTION ----
+    const transferSection = document.createElement('div');
+    transferSection.className = 'progress-section';
+    
+    // Section header
+    const transferSectionHeader = document.createElement('h3');
+    transferSectionHeader.className = 'section-subtitle';
+    transferSectionHeader.textContent = 'Backup & Transfer';
+    transferSection.appendChild(transferSectionHeader);
+    
+    const transferHelp = document.createElement('p');
+    transferHelp.className = 'next-level-info';
+    transferHelp.textContent = 'Export your profile to a file to keep a backup or move it to another device.';
+    transferSection.appendChild(transferHelp);
+    
+    const transferActions = document.createElement('div');
+    transferActions.className = 'import-actions';
+    
+    const exportButton = document.createElement('button');
+    exportButton.className = 'practice-button';
+    exportButton.textContent = 'Export Profile';
+    exportButton.addEventListener('click', downloadProfileExport);
+    
+    // The file picker is hidden behind the import button
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = 'application/json,.json';
+    importInput.className = 'hidden';
+    importInput.addEventListener('change', handleImportFile);
+    
+    const importButton = document.createElement('button');
+    importButton.className = 'practice-button';
+    importButton.textContent = 'Import Profile';
+    importButton.addEventListener('click', () => importInput.click());
+    
+    transferActions.appendChild(exportButton);
+    transferActions.appendChild(importButton);
+    transferActions.appendChild(importInput);
+    transferSection.appendChild(transferActions);
+    
+    progressTab.appendChild(transferSection);
 }
     
     // Define global functions needed by HTML
@@ -1147,6 +2754,8 @@ function renderProgressTab(userProfile) {
         initialize,
         refreshUI,
         showNotification,
-        renderProgressTab
+        renderCatalogReport,
+        renderProgressTab,
+        downloadProfileExport
     };
 })();
@@ -0,0 +1,196 @@
+/**
+ * badges.test.js - Tests for the badge catalog and evaluator
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { Badges } from '../js/badges.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+import { ProfileTransfer } from '../js/profile-transfer.js';
+import { Streaks } from '../js/streaks.js';
+import { DataManager } from '../js/data.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Noon, so whole-day offsets never cross midnight in local time
+const START = new Date(2025, 0, 6, 12).getTime();
+
+const QUESTS = [
+    { id: "M1-1", type: "main" },
+    { id: "E1-1", type: "explore" },
+    { id: "E1-3", type: "explore" },
+    { id: "C1-1", type: "challenge" }
+];
+
+/**
+ * Create an evaluation context for a new profile
+ * @param {Function} update - Changes the profile before evaluation
+ * @param {Array} activityLog - Activity log entries
+ * @returns {Object} - The evaluation context
+ */
+function createContext(update = () => {}, activityLog = []) {
+    const profile = {
+        ...ProgressionSystem.createNewUserProfile(),
+        completedQuests: [],
+        questCompletions: {},
+        milestones: { practiceSessions: 0 },
+        badges: {}
+    };
+    update(profile);
+
+    return { profile, quests: QUESTS, activityLog };
+}
+
+/**
+ * Create an activity log entry on a day after START
+ * @param {number} day - Days after START
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - The entry
+ */
+function createEntry(day, fields = {}) {
+    return { id: `activity-${day}`, timestamp: START + day * DAY_MS, type: 'practice', ...fields };
+}
+
+const earnedIds = context => Badges.evaluate(context).map(badge => badge.id);
+
+test.describe('BADGES', () => {
+    test('has unique ids and a positive target for every badge', () => {
+        const ids = Badges.BADGES.map(badge => badge.id);
+
+        assert.equal(new Set(ids).size, ids.length);
+        Badges.BADGES.forEach(badge => assert.ok(badge.target > 0, badge.id));
+    });
+});
+
+test.describe('evaluate', () => {
+    test('awards nothing to a new profile', () => {
+        assert.deepEqual(earnedIds(createContext()), []);
+    });
+
+    test('awards the first quest and first main quest badges', () => {
+        const context = createContext(profile => {
+            profile.completedQuests.push("M1-1");
+            profile.questCompletions["M1-1"] = { count: 1, timestamps: [START] };
+        });
+
+        assert.deepEqual(earnedIds(context), ['first-quest', 'first-main-quest']);
+    });
+
+    test('counts repeat completions towards the explore badge', () => {
+        const context = createContext(profile => {
+            profile.completedQuests.push("E1-1", "E1-3");
+            profile.questCompletions["E1-1"] = { count: 6, timestamps: [] };
+            profile.questCompletions["E1-3"] = { count: 3, timestamps: [] };
+        });
+        const explorer = Badges.getBadge('explorer');
+
+        assert.deepEqual(Badges.getProgress(explorer, context), { current: 9, target: 10 });
+        assert.ok(!earnedIds(context).includes('explorer'));
+
+        context.profile.questCompletions["E1-3"].count = 4;
+        assert.ok(earnedIds(context).includes('explorer'));
+    });
+
+    test('requires every attribute for the balanced badge', () => {
+        const context = createContext(profile => {
+            ProgressionSystem.ATTRIBUTES.forEach(attr => {
+                profile.attributes[attr].totalHours = 40;
+            });
+            profile.attributes.flavor.totalHours = 9.5;
+        });
+
+        assert.ok(!earnedIds(context).includes('balanced'));
+
+        context.profile.attributes.flavor.totalHours = 10;
+        assert.ok(earnedIds(context).includes('balanced'));
+    });
+
+    test('skips badges that are already unlocked', () => {
+        const context = createContext(profile => {
+            profile.completedQuests.push("M1-1");
+            profile.questCompletions["M1-1"] = { count: 1, timestamps: [START] };
+            profile.badges['first-quest'] = { unlockedAt: START };
+        });
+
+        assert.deepEqual(earnedIds(context), ['first-main-quest']);
+    });
+
+    test('caps progress at the target', () => {
+        const context = createContext(profile => {
+            profile.milestones.practiceSessions = 25;
+        });
+
+        assert.deepEqual(Badges.getProgress(Badges.getBadge('dedicated'), context), { current: 10, target: 10 });
+    });
+});
+
+test.describe('streak badge', () => {
+    test('is earned after seven days in a row', () => {
+        const log = [0, 1, 2, 3, 4, 5, 6].map(day => createEntry(day));
+
+        assert.ok(earnedIds(createContext(() => {}, log.slice(0, 6))).every(id => id !== 'streak-7'));
+        assert.ok(earnedIds(createContext(() => {}, log)).includes('streak-7'));
+    });
+});
+
+test.describe('findRevoked', () => {
+    test('returns earned badges whose condition no longer holds', () => {
+        const context = createContext(profile => {
+            profile.completedQuests = ["M1-1"];
+            profile.badges = {
+                'first-quest': { unlockedAt: START },
+                'dedicated': { unlockedAt: START }
+            };
+        });
+
+        assert.deepEqual(Badges.findRevoked(context).map(badge => badge.id), ['dedicated']);
+    });
+});
+
+test.describe('undoing a completion', () => {
+    test('takes back badges only the undone completion earned', async () => {
+        globalThis.fetch = async () => { throw new Error('offline'); };
+        const { log } = console;
+        console.log = () => {};
+
+        try {
+            await DataManager.initialize({ storage: StorageAdapters.createMemoryAdapter() });
+            const completion = await DataManager.completeQuest("T1-1");
+            await new Promise(resolve => setTimeout(resolve, 10));
+            assert.ok(DataManager.getUserProfile().badges['first-quest']);
+
+            const undo = await DataManager.undoQuestCompletion(completion.activityId);
+
+            assert.deepEqual(undo.revokedBadges, ['first-quest']);
+            assert.equal(DataManager.getUserProfile().badges['first-quest'], undefined);
+        } finally {
+            console.log = log;
+        }
+    });
+});
+
+test.describe('mergeProfiles', () => {
+    test('keeps badges from both sides with the earlier unlock date', () => {
+        const current = createContext(profile => {
+            profile.unlockedQuests = [];
+            profile.recentAchievements = [];
+            profile.questAttempts = {};
+            profile.streaks = Streaks.createStreakState();
+            profile.badges = { 'first-quest': { unlockedAt: START + DAY_MS } };
+        }).profile;
+        const incoming = JSON.parse(JSON.stringify(current));
+        incoming.badges = {
+            'first-quest': { unlockedAt: START },
+            'dedicated': { unlockedAt: START + 2 * DAY_MS }
+        };
+
+        const merged = ProfileTransfer.mergeProfiles(current, incoming);
+
+        assert.deepEqual(merged.badges, {
+            'first-quest': { unlockedAt: START },
+            'dedicated': { unlockedAt: START + 2 * DAY_MS }
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * celebrations.test.js - Tests for the order celebrations are shown in
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { Celebrations } from '../js/celebrations.js';
+import { ProgressionEvents } from '../js/progression-events.js';
+import { DataManager } from '../js/data.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+
+const { EVENTS } = ProgressionEvents;
+
+/**
+ * Wait for the queued celebrations to be put on screen
+ * @returns {Promise<void>} - Promise resolving once the queue has moved on
+ */
+const waitForCelebrations = () => new Promise(resolve => setTimeout(resolve, 10));
+
+/**
+ * Get the celebrations on screen
+ * @returns {Array} - The toasts and ceremonies appended to the body, oldest first
+ */
+const getShown = () => document.body.children.filter(element =>
+    /^(celebration-toast|rank-ceremony)/.test(element.className)
+);
+
+/**
+ * Create a user level-up event
+ * @param {number} level - The new level
+ * @returns {Object} - The level-up event
+ */
+const createLevelUp = level => ({ attribute: null, rank: "Home Cook", level, previousLevel: level - 1 });
+
+test.describe('celebration queue', () => {
+    test.before(async () => {
+        globalThis.fetch = async () => { throw new Error('offline'); };
+        const { log } = console;
+        console.log = () => {};
+
+        try {
+            await DataManager.initialize({ storage: StorageAdapters.createMemoryAdapter() });
+        } finally {
+            console.log = log;
+        }
+
+        Celebrations.initialize();
+    });
+
+    test('shows toasts one at a time, the next once the first is dismissed', async () => {
+        ProgressionEvents.emit(EVENTS.LEVEL_UP, createLevelUp(2));
+        ProgressionEvents.emit(EVENTS.LEVEL_UP, createLevelUp(3));
+        await waitForCelebrations();
+
+        assert.equal(getShown().length, 1);
+        assert.match(getShown()[0].innerHTML, /Home Cook Level 2/);
+        assert.equal(Celebrations.getQueueLength(), 1);
+
+        getShown()[0].click();
+        await waitForCelebrations();
+
+        assert.equal(getShown().length, 1);
+        assert.match(getShown()[0].innerHTML, /Home Cook Level 3/);
+        assert.equal(Celebrations.getQueueLength(), 0);
+
+        getShown()[0].click();
+        await waitForCelebrations();
+
+        assert.equal(getShown().length, 0);
+    });
+
+    test('holds toasts back while a rank ceremony is open', async () => {
+        ProgressionEvents.emit(EVENTS.RANK_UP, { previousRank: "Home Cook", rank: "Culinary Student", color: "Bronze" });
+        ProgressionEvents.emit(EVENTS.LEVEL_UP, createLevelUp(1));
+        await waitForCelebrations();
+
+        const [ceremony] = getShown();
+        assert.equal(getShown().length, 1);
+        assert.match(ceremony.className, /^rank-ceremony/);
+        assert.equal(Celebrations.getQueueLength(), 1);
+
+        ceremony.querySelector('.ceremony-continue').click();
+        await waitForCelebrations();
+
+        assert.equal(getShown().length, 1);
+        assert.match(getShown()[0].className, /^celebration-toast/);
+        assert.equal(Celebrations.getQueueLength(), 0);
+
+        getShown()[0].click();
+        await waitForCelebrations();
+    });
+});
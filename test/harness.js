@@ -0,0 +1,168 @@
+/**
+ * harness.js - Shared helpers for the Node test suites
+ * Import this before any app module: it installs a small stand-in for the
+ * browser globals the modules touch, so they can be imported headlessly.
+ * Nothing here depends on packages outside Node.
+ */
+
+// These use no browser globals, so they can be imported before the stand-ins are installed
+import { SeededRandom } from '../js/seeded-random.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+
+/**
+ * Create a stand-in element that accepts whatever the modules do to it
+ * It keeps its children and event listeners, so tests can see what was shown and
+ * click it. querySelector answers with one stand-in per selector, as the markup
+ * set through innerHTML is never parsed.
+ * @param {string} tagName - The element's tag name
+ * @returns {Object} - The element stand-in
+ */
+function createElementStandIn(tagName) {
+    const listeners = [];
+    const selected = new Map();
+
+    return {
+        tagName: tagName.toUpperCase(),
+        parentNode: null,
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        style: {},
+        dataset: {},
+        innerHTML: '',
+        textContent: '',
+        appendChild(child) {
+            child.parentNode = this;
+            this.children.push(child);
+            return child;
+        },
+        remove() {
+            if (!this.parentNode) return;
+            const siblings = this.parentNode.children;
+            siblings.splice(siblings.indexOf(this), 1);
+            this.parentNode = null;
+        },
+        addEventListener(type, listener) { listeners.push({ type, listener }); },
+        removeEventListener(type, listener) {
+            const index = listeners.findIndex(entry => entry.type === type && entry.listener === listener);
+            if (index !== -1) listeners.splice(index, 1);
+        },
+        dispatchEvent(event) {
+            listeners.filter(entry => entry.type === event.type).forEach(entry => entry.listener(event));
+            return true;
+        },
+        click() { this.dispatchEvent({ type: 'click', target: this }); },
+        focus() {},
+        setAttribute() {},
+        getAttribute: () => null,
+        querySelector(selector) {
+            if (!selected.has(selector)) {
+                selected.set(selector, createElementStandIn('div'));
+            }
+            return selected.get(selector);
+        },
+        querySelectorAll: () => []
+    };
+}
+
+/**
+ * Create stand-ins for the browser globals used by the modules
+ * @returns {Object} - The browser globals
+ */
+export function createBrowserStandIn() {
+    const storage = new Map();
+
+    return {
+        document: {
+            hidden: false,
+            readyState: 'complete',
+            body: createElementStandIn('body'),
+            createElement: createElementStandIn,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {},
+            removeEventListener() {}
+        },
+        localStorage: {
+            getItem: key => storage.has(key) ? storage.get(key) : null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key),
+            clear: () => storage.clear()
+        }
+    };
+}
+
+// Install the stand-ins without replacing anything Node already provides
+Object.entries(createBrowserStandIn()).forEach(([name, value]) => {
+    if (!(name in globalThis)) {
+        globalThis[name] = value;
+    }
+});
+if (!('window' in globalThis)) {
+    globalThis.window = globalThis;
+}
+
+/**
+ * Create a quest with sensible defaults
+ * @param {string} id - The quest ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - The quest
+ */
+export function createQuest(id, fields = {}) {
+    return {
+        id,
+        title: `Quest ${id}`,
+        type: "training",
+        rank: { title: "Home Cook", level: 1 },
+        timeRequired: 60,
+        attributeRewards: { technique: 1 },
+        prerequisites: [],
+        unlocks: [],
+        ...fields
+    };
+}
+
+/**
+ * Create a profile with the given hours per attribute
+ * @param {Object} hours - Total hours keyed by attribute (missing attributes have 0)
+ * @param {string} rankTitle - The user rank to start from
+ * @returns {Object} - The recalculated profile
+ */
+export function createProfile(hours = {}, rankTitle = "Home Cook") {
+    const profile = { ...ProgressionSystem.createNewUserProfile(), questCompletions: {} };
+    profile.currentRank.title = rankTitle;
+
+    ProgressionSystem.ATTRIBUTES.forEach(attr => {
+        profile.attributes[attr].currentRank = rankTitle;
+        profile.attributes[attr].totalHours = hours[attr] || 0;
+    });
+
+    return ProgressionSystem.calculateUserRank(profile);
+}
+
+/**
+ * Check a property against many generated inputs
+ * Runs are reproducible: a failure reports the seed and run that produced it,
+ * and setting DICED_TEST_SEED replays a specific seed.
+ * @param {Object} options - Number of runs and the starting seed
+ * @param {Function} generate - Builds an input from a random number generator
+ * @param {Function} property - Throws (e.g. via assert) when the input breaks the property
+ */
+export function forAll({ runs = 100, seed = 1 }, generate, property) {
+    const baseSeed = process.env.DICED_TEST_SEED ? Number(process.env.DICED_TEST_SEED) : seed;
+
+    for (let run = 0; run < runs; run++) {
+        const runSeed = baseSeed + run;
+        const input = generate(SeededRandom.create(runSeed));
+
+        try {
+            property(input);
+        } catch (error) {
+            error.message = `Property failed for seed ${runSeed} with input ${JSON.stringify(input)}\n${error.message}`;
+            throw error;
+        }
+    }
+}
+
+// Pick a random item from an array, using a generator passed to forAll's generate
+export const pick = SeededRandom.pick;
@@ -0,0 +1,201 @@
+/**
+ * profile-migrations.test.js - Tests for upgrading stored user profiles
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { ProfileMigrations } from '../js/profile-migrations.js';
+import { DataManager } from '../js/data.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+import { QuestManager } from '../js/quests.js';
+
+/**
+ * Create a profile as stored before schema versions existed
+ * @returns {Object} - The unversioned profile
+ */
+function createLegacyProfile() {
+    return {
+        userId: "user-1",
+        username: "Sam",
+        currentRank: { title: "Home Cook", level: 1, color: "#4CAF50" },
+        completedQuests: ["T1-1", "T1-2"],
+        unlockedQuests: ["T1-1", "T1-2", "T1-3"],
+        attributes: {
+            technique: { totalHours: 70, hoursToNextLevel: 5, level: 3 },
+            ingredients: { totalHours: 2, hoursToNextLevel: 5, level: 1 },
+            flavor: { totalHours: 0, hoursToNextLevel: 5, level: 1 },
+            management: { totalHours: 1, hoursToNextLevel: 5, level: 1 }
+        },
+        recentAchievements: [
+            { type: 'quest_complete', questId: "T1-1", timestamp: 1000 }
+        ],
+        masteredTechniques: ["knife-skills"]
+    };
+}
+
+/**
+ * Apply a single migration
+ * @param {number} version - The version the migration upgrades to
+ * @param {Object} profile - The profile at the previous version
+ * @returns {Object} - The migrated profile
+ */
+function migrateTo(version, profile) {
+    return ProfileMigrations.MIGRATIONS.find(migration => migration.version === version).migrate(profile);
+}
+
+test.describe('migrations', () => {
+    test('are numbered one step at a time', () => {
+        assert.deepEqual(
+            ProfileMigrations.MIGRATIONS.map(migration => migration.version),
+            Array.from({ length: ProfileMigrations.CURRENT_SCHEMA_VERSION }, (_, i) => i + 1)
+        );
+    });
+
+    test('v1 fills in missing lists, milestones and attribute ranks', () => {
+        const { recentAchievements, unlockedQuests, ...profile } = createLegacyProfile();
+        const migrated = migrateTo(1, profile);
+
+        assert.deepEqual(migrated.recentAchievements, []);
+        assert.deepEqual(migrated.unlockedQuests, []);
+        assert.deepEqual(migrated.milestones, { questsCompleted: 0, hoursAccumulated: 0, rankAdvances: 0, levelUps: 0 });
+        assert.equal(migrated.attributes.flavor.currentRank, "Home Cook");
+    });
+
+    test('v2 drops mastered techniques', () => {
+        assert.equal('masteredTechniques' in migrateTo(2, createLegacyProfile()), false);
+    });
+
+    test('v3 adds the practice session counter and keeps the other milestones', () => {
+        const migrated = migrateTo(3, { milestones: { questsCompleted: 4 } });
+
+        assert.deepEqual(migrated.milestones, { practiceSessions: 0, questsCompleted: 4 });
+    });
+
+    test('v4 recovers completion times from recent achievements', () => {
+        const migrated = migrateTo(4, createLegacyProfile());
+
+        assert.deepEqual(migrated.questCompletions, {
+            "T1-1": { count: 1, timestamps: [1000] },
+            "T1-2": { count: 1, timestamps: [] }
+        });
+    });
+
+    test('v5 adds quest attempts and keeps existing ones', () => {
+        const attempts = { "T1-3": { modifierId: "blindfold" } };
+
+        assert.deepEqual(migrateTo(5, {}).questAttempts, {});
+        assert.deepEqual(migrateTo(5, { questAttempts: attempts }).questAttempts, attempts);
+    });
+
+    test('v6 re-ranks attributes against the corrected thresholds and keeps their hours', () => {
+        const profile = createLegacyProfile();
+        profile.attributes.flavor.totalHours = 300;
+        const migrated = migrateTo(6, profile);
+
+        assert.equal(migrated.attributes.technique.totalHours, 70);
+        assert.equal(migrated.attributes.technique.currentRank, "Culinary Student");
+        assert.equal(migrated.attributes.ingredients.currentRank, "Home Cook");
+        assert.equal(migrated.attributes.flavor.totalHours, 300);
+        assert.equal(migrated.attributes.flavor.currentRank, "Culinary Student");
+    });
+
+    test('v7 adds badges and keeps earned ones', () => {
+        const badges = { firstQuest: { unlockedAt: 1000 } };
+
+        assert.deepEqual(migrateTo(7, {}).badges, {});
+        assert.deepEqual(migrateTo(7, { badges }).badges, badges);
+    });
+
+    test('v8 adds weekly goals for every attribute', () => {
+        assert.deepEqual(migrateTo(8, {}).streaks, {
+            weeklyGoals: { technique: 0, ingredients: 0, flavor: 0, management: 0 },
+            freezeTokens: 0,
+            frozenDays: [],
+            lastTokenDay: null
+        });
+    });
+});
+
+test.describe('migrateProfile', () => {
+    test('brings an unversioned profile to the current version', () => {
+        const legacy = createLegacyProfile();
+        const result = ProfileMigrations.migrateProfile(legacy);
+
+        assert.equal(result.fromVersion, 0);
+        assert.equal(result.toVersion, ProfileMigrations.CURRENT_SCHEMA_VERSION);
+        assert.deepEqual(result.applied, ProfileMigrations.MIGRATIONS.map(migration => migration.version));
+        assert.equal(result.profile.schemaVersion, ProfileMigrations.CURRENT_SCHEMA_VERSION);
+        assert.equal(ProfileMigrations.needsMigration(result.profile), false);
+        assert.deepEqual(legacy, createLegacyProfile());
+    });
+
+    test('only applies the steps after the stored version', () => {
+        const result = ProfileMigrations.migrateProfile({ ...createLegacyProfile(), schemaVersion: 6 });
+
+        assert.deepEqual(result.applied, [7, 8]);
+    });
+});
+
+test.describe('loading a stored profile', () => {
+    const PROFILE_KEY = 'diced_user_profile:user-1';
+
+    /**
+     * Initialize DataManager with a stored profile and render the daily quests once,
+     * which saves the profile like the first UI render does
+     * @param {string} stored - The stored profile blob
+     * @returns {Promise<Object>} - Promise resolving to the storage adapter
+     */
+    async function loadStored(stored) {
+        globalThis.fetch = async () => { throw new Error('offline'); };
+        const storage = StorageAdapters.createMemoryAdapter({
+            diced_profiles: JSON.stringify({ activeProfileId: "user-1", profiles: [{ id: "user-1", name: "Sam" }] }),
+            [PROFILE_KEY]: stored
+        });
+        const { error, warn } = console;
+        console.error = () => {};
+        console.warn = () => {};
+
+        try {
+            const { questData } = await DataManager.initialize({ storage });
+            QuestManager.initialize(questData);
+            QuestManager.getDailyQuests(DataManager.getUserProfile());
+            DataManager.saveUserProfile();
+            await DataManager.whenSaved();
+        } finally {
+            console.error = error;
+            console.warn = warn;
+        }
+
+        return storage;
+    }
+
+    test('leaves the stored profile intact when a step fails', async () => {
+        // Quest completions are not a list, so the v4 step throws
+        const stored = JSON.stringify({ ...createLegacyProfile(), schemaVersion: 3, completedQuests: null });
+        const storage = await loadStored(stored);
+
+        assert.equal(await storage.getItem(PROFILE_KEY), stored);
+        assert.equal(DataManager.getProfileBackup(3).data, stored);
+        assert.ok(DataManager.getProfileLoadError());
+        assert.equal(DataManager.getUserProfile().schemaVersion, ProfileMigrations.CURRENT_SCHEMA_VERSION);
+    });
+
+    test('backs up a profile that is not valid JSON', async () => {
+        const storage = await loadStored('{"userId": "user-1",');
+        const backup = JSON.parse(await storage.getItem(DataManager.getProfileLoadError().backupKey));
+
+        assert.equal(await storage.getItem(PROFILE_KEY), '{"userId": "user-1",');
+        assert.equal(backup.data, '{"userId": "user-1",');
+    });
+
+    test('saves again once the player resets the profile', async () => {
+        const storage = await loadStored('not a profile');
+
+        DataManager.resetUserProgress();
+        await DataManager.whenSaved();
+
+        assert.equal(DataManager.getProfileLoadError(), null);
+        assert.equal(JSON.parse(await storage.getItem(PROFILE_KEY)).userId, "user-1");
+    });
+});
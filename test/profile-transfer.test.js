@@ -0,0 +1,126 @@
+/**
+ * profile-transfer.test.js - Tests for exporting and importing profiles
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { ProfileTransfer } from '../js/profile-transfer.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+
+/**
+ * Create the text of an export file with a valid checksum
+ * @param {Object} data - The data section of the export
+ * @returns {Promise<string>} - Promise resolving to the file contents
+ */
+async function createFile(data) {
+    return JSON.stringify({
+        format: ProfileTransfer.FORMAT,
+        formatVersion: ProfileTransfer.FORMAT_VERSION,
+        exportedAt: Date.now(),
+        checksum: await ProfileTransfer.computeChecksum(data),
+        data: data
+    });
+}
+
+test.describe('parseImport', () => {
+    test('rejects a file without a profile', async () => {
+        const result = await ProfileTransfer.parseImport(await createFile({ profile: null, activityLog: [] }));
+
+        assert.equal(result.success, false);
+        assert.equal(result.message, "The file does not contain a valid profile");
+    });
+
+    test('rejects a profile with a missing attribute', async () => {
+        const profile = ProgressionSystem.createNewUserProfile();
+        profile.attributes.flavor = null;
+        const result = await ProfileTransfer.parseImport(await createFile({ profile, activityLog: [] }));
+
+        assert.equal(result.success, false);
+        assert.equal(result.message, "The file does not contain a valid profile");
+    });
+});
+
+test.describe('createExport', () => {
+    test('hashes the data as it was when the export started', async () => {
+        const profile = ProgressionSystem.createNewUserProfile();
+        const pending = ProfileTransfer.createExport(profile, []);
+
+        // e.g. a badge awarded by the progress checks while the digest runs
+        profile.badges = { 'first-quest': { unlockedAt: 1000 } };
+        const file = await pending;
+
+        assert.equal(file.checksum, await ProfileTransfer.computeChecksum(file.data));
+        assert.equal(file.data.profile.badges, undefined);
+    });
+});
+
+test.describe('mergeProfiles', () => {
+    /**
+     * Create a log entry that earned hours
+     * @param {string} id - The entry ID
+     * @param {Object} hours - Effective hours per attribute
+     * @returns {Object} - The log entry
+     */
+    function createEntry(id, hours) {
+        const deltas = {};
+        Object.entries(hours).forEach(([attr, effectiveHours]) => {
+            deltas[attr] = { requestedHours: effectiveHours, effectiveHours };
+        });
+        return { id, timestamp: 0, type: 'quest', questId: null, deltas };
+    }
+
+    /**
+     * Create a profile that earned the hours of a log
+     * @param {Array} log - The activity log
+     * @returns {Object} - The profile
+     */
+    function createDevice(log) {
+        let profile = {
+            ...ProgressionSystem.createNewUserProfile(),
+            completedQuests: [],
+            unlockedQuests: [],
+            questCompletions: {},
+            questAttempts: {},
+            recentAchievements: [],
+            milestones: {},
+            badges: {},
+            streaks: { freezeTokens: 0, frozenDays: [], lastTokenDay: null }
+        };
+        log.forEach(entry => {
+            Object.entries(entry.deltas).forEach(([attr, delta]) => {
+                profile = ProgressionSystem.updateAttributeHours(profile, attr, delta.effectiveHours, { silent: true }).profile;
+            });
+        });
+        return profile;
+    }
+
+    test('adds up hours earned separately on both devices', () => {
+        const shared = createEntry("shared", { technique: 2 });
+        const currentLog = [shared, createEntry("here", { technique: 3, flavor: 1 })];
+        const incomingLog = [shared, createEntry("there", { technique: 4 })];
+
+        const merged = ProfileTransfer.mergeProfiles(createDevice(currentLog), createDevice(incomingLog), currentLog, incomingLog);
+
+        assert.equal(merged.attributes.technique.totalHours, 9);
+        assert.equal(merged.attributes.flavor.totalHours, 1);
+    });
+
+    test('counts a log that is already included once', () => {
+        const log = [createEntry("a", { technique: 2 }), createEntry("b", { technique: 3 })];
+
+        const merged = ProfileTransfer.mergeProfiles(createDevice(log), createDevice(log.slice(0, 1)), log, log.slice(0, 1));
+
+        assert.equal(merged.attributes.technique.totalHours, 5);
+    });
+
+    test('ranks up when the merged hours complete the rank', () => {
+        const attributes = ProgressionSystem.ATTRIBUTES;
+        const currentLog = [createEntry("here", Object.fromEntries(attributes.map(attr => [attr, 30])))];
+        const incomingLog = [createEntry("there", Object.fromEntries(attributes.map(attr => [attr, 30])))];
+
+        const merged = ProfileTransfer.mergeProfiles(createDevice(currentLog), createDevice(incomingLog), currentLog, incomingLog);
+
+        assert.equal(merged.currentRank.title, "Culinary Student");
+    });
+});
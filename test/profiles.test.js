@@ -0,0 +1,75 @@
+/**
+ * profiles.test.js - Tests for switching profiles and importing into one
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { DataManager } from '../js/data.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+import { ProfileTransfer } from '../js/profile-transfer.js';
+
+/**
+ * Initialize DataManager on empty storage with console output muted
+ * @returns {Promise<Function>} - Promise resolving to a function that restores the console
+ */
+async function initialize() {
+    globalThis.fetch = async () => { throw new Error('offline'); };
+    const { log } = console;
+    console.log = () => {};
+
+    await DataManager.initialize({ storage: StorageAdapters.createMemoryAdapter() });
+
+    return () => {
+        console.log = log;
+    };
+}
+
+/**
+ * Wait for the streak and badge checks scheduled by DataManager
+ * @returns {Promise<void>} - Promise resolving once they have run
+ */
+const waitForProgressChecks = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test.describe('switchProfile', () => {
+    test('catches up on the badges of the profile switched to', async () => {
+        const restoreConsole = await initialize();
+
+        try {
+            // A completion saved without the progress checks running, e.g. by an older version
+            const firstId = DataManager.getActiveProfileId();
+            DataManager.getUserProfile().completedQuests.push("T1-1");
+            DataManager.saveUserProfile();
+
+            DataManager.createProfile("Second");
+            DataManager.switchProfile(firstId);
+            await waitForProgressChecks();
+
+            assert.ok(DataManager.getUserProfile().badges['first-quest']);
+        } finally {
+            restoreConsole();
+        }
+    });
+});
+
+test.describe('applyImport', () => {
+    test('shortens an imported name that is too long for the profile list', async () => {
+        const restoreConsole = await initialize();
+
+        try {
+            const exported = await DataManager.exportProfile();
+            exported.data.profile.username = "A name that is far too long for a profile";
+            exported.checksum = await ProfileTransfer.computeChecksum(exported.data);
+
+            const preview = await DataManager.previewImport(JSON.stringify(exported));
+            const result = DataManager.applyImport(preview, 'replace');
+            const entry = DataManager.listProfiles().find(profile => profile.isActive);
+
+            assert.equal(result.success, true);
+            assert.equal(entry.name, "A name that is far too long fo");
+            assert.equal(DataManager.getUserProfile().username, entry.name);
+        } finally {
+            restoreConsole();
+        }
+    });
+});
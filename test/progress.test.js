@@ -0,0 +1,139 @@
+/**
+ * progress.test.js - Tests for the ProgressManager bridge
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { forAll, pick, createQuest } from './harness.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+import { ProgressManager } from '../js/progress.js';
+
+const RANK_TITLES = Object.keys(ProgressionSystem.RANKS);
+
+test.describe('RANK_PROGRESSION', () => {
+    test('mirrors the ProgressionSystem rank table', () => {
+        RANK_TITLES.forEach(rankTitle => {
+            const rankData = ProgressionSystem.RANKS[rankTitle];
+            const progression = ProgressManager.RANK_PROGRESSION[rankTitle];
+
+            assert.equal(progression.totalHours, rankData.attributeHoursRequired);
+            assert.equal(progression.nextRank, rankData.nextRank);
+            assert.deepEqual(progression.hoursPerLevel, rankData.levelHours);
+        });
+    });
+});
+
+test.describe('calculateHoursToLevel', () => {
+    test('adds the hours of earlier ranks and levels', () => {
+        assert.equal(ProgressManager.calculateHoursToLevel("Home Cook", 0), 0);
+        assert.equal(ProgressManager.calculateHoursToLevel("Home Cook", 1), 5);
+        assert.equal(ProgressManager.calculateHoursToLevel("Home Cook", 9), 55);
+        assert.equal(ProgressManager.calculateHoursToLevel("Culinary Student", 2), 55 + 10 + 11);
+    });
+
+    test('is never decreasing along the whole ladder', () => {
+        let previous = -1;
+
+        RANK_TITLES.forEach(rankTitle => {
+            for (let level = 0; level <= ProgressionSystem.RANKS[rankTitle].levels; level++) {
+                const hours = ProgressManager.calculateHoursToLevel(rankTitle, level);
+                assert.ok(hours >= previous, `${rankTitle} level ${level}`);
+                previous = hours;
+            }
+        });
+    });
+
+    test('agrees with the level ProgressionSystem calculates', () => {
+        forAll({ runs: 200, seed: 1 }, random => {
+            const rankTitle = pick(RANK_TITLES, random);
+            const level = 1 + Math.floor(random() * ProgressionSystem.RANKS[rankTitle].levels);
+            return { rankTitle, level };
+        }, ({ rankTitle, level }) => {
+            // Hours that complete level - 1 put the attribute at the start of level
+            const hours = ProgressManager.calculateHoursToLevel(rankTitle, level - 1);
+            const levelData = ProgressionSystem.calculateAttributeLevel(rankTitle, rankTitle, hours);
+
+            assert.equal(levelData.currentLevel, level);
+        });
+    });
+});
+
+test.describe('calculateLevelProgress', () => {
+    test('returns the percentage between two levels', () => {
+        assert.equal(ProgressManager.calculateLevelProgress(7.5, 5, 10), 50);
+    });
+
+    test('clamps to 0-100', () => {
+        assert.equal(ProgressManager.calculateLevelProgress(2, 5, 10), 0);
+        assert.equal(ProgressManager.calculateLevelProgress(20, 5, 10), 100);
+    });
+
+    test('treats an empty level as complete', () => {
+        assert.equal(ProgressManager.calculateLevelProgress(5, 5, 5), 100);
+    });
+});
+
+test.describe('level and rank checks', () => {
+    test('canLevelUp compares hours with the next level', () => {
+        assert.equal(ProgressManager.canLevelUp({ totalHours: 5, hoursToNextLevel: 5 }, "Home Cook"), true);
+        assert.equal(ProgressManager.canLevelUp({ totalHours: 4, hoursToNextLevel: 5 }, "Home Cook"), false);
+    });
+
+    test('canRankUp requires every attribute to finish the rank', () => {
+        const profile = ProgressionSystem.createNewUserProfile();
+        ProgressionSystem.ATTRIBUTES.forEach(attr => { profile.attributes[attr].totalHours = 55; });
+        assert.equal(ProgressManager.canRankUp(profile), true);
+
+        profile.attributes.flavor.totalHours = 54;
+        assert.equal(ProgressManager.canRankUp(profile), false);
+    });
+});
+
+test.describe('quest helpers', () => {
+    test('calculateQuestHours adds up the rewards', () => {
+        assert.equal(ProgressManager.calculateQuestHours(createQuest("Q", { attributeRewards: { technique: 1, flavor: 0.5 } })), 1.5);
+        assert.equal(ProgressManager.calculateQuestHours({}), 0);
+    });
+
+    test('getNextChallengeQuest picks the lowest open challenge at or above the user level', () => {
+        const profile = ProgressionSystem.createNewUserProfile();
+        profile.currentRank.level = 2;
+        profile.completedQuests = ["C-3"];
+
+        const quests = [
+            createQuest("C-1", { type: "challenge", rank: { title: "Home Cook", level: 1 } }),
+            createQuest("C-3", { type: "challenge", rank: { title: "Home Cook", level: 3 } }),
+            createQuest("C-5", { type: "challenge", rank: { title: "Home Cook", level: 5 } }),
+            createQuest("C-4", { type: "challenge", rank: { title: "Home Cook", level: 4 } }),
+            createQuest("T-2", { type: "training", rank: { title: "Home Cook", level: 2 } })
+        ];
+
+        assert.equal(ProgressManager.getNextChallengeQuest(profile, quests).id, "C-4");
+        assert.equal(ProgressManager.getNextChallengeQuest(profile, quests.slice(0, 2)), null);
+    });
+
+    test('getAppropriateQuests returns unlocked quests up to the next level, lowest first', () => {
+        const profile = ProgressionSystem.createNewUserProfile();
+        profile.questCompletions = {};
+        profile.unlockedQuests = ["Q1", "Q2", "Q3", "Q4"];
+
+        const quests = [
+            createQuest("Q1", { type: "main", rank: { title: "Home Cook", level: 2 } }),
+            createQuest("Q2", { type: "training", rank: { title: "Home Cook", level: 2 } }),
+            createQuest("Q3", { type: "side", rank: { title: "Home Cook", level: 3 } }),
+            createQuest("Q4", { type: "training", rank: { title: "Culinary Student", level: 1 } }),
+            createQuest("Q5", { type: "training", rank: { title: "Home Cook", level: 1 } })
+        ];
+
+        const ids = ProgressManager.getAppropriateQuests(profile, quests).map(quest => quest.id);
+        assert.deepEqual(ids, ["Q2", "Q1"]);
+        assert.equal(ProgressManager.getAppropriateQuests(profile, quests, 1).length, 1);
+    });
+
+    test('formatTimeRequired formats minutes and hours', () => {
+        assert.equal(ProgressManager.formatTimeRequired(45), "45 min");
+        assert.equal(ProgressManager.formatTimeRequired(120), "2 hr");
+        assert.equal(ProgressManager.formatTimeRequired(95), "1 hr 35 min");
+        assert.equal(ProgressManager.formatTimeRequired(0), "Unknown");
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * progression-events.test.js - Tests for the progression event bus and the events raised by ProgressionSystem
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfile } from './harness.js';
+import { ProgressionEvents } from '../js/progression-events.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+
+const { EVENTS } = ProgressionEvents;
+
+/**
+ * Record every progression event while a function runs
+ * @param {Function} run - The code to observe
+ * @returns {Array} - Events as { type, payload }, in order
+ */
+function recordEvents(run) {
+    const events = [];
+    const unsubscribers = Object.values(EVENTS).map(type =>
+        ProgressionEvents.on(type, payload => events.push({ type, payload })));
+
+    try {
+        run();
+    } finally {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    return events;
+}
+
+test.describe('ProgressionEvents', () => {
+    test.afterEach(() => ProgressionEvents.clear());
+
+    test('delivers payloads to subscribers in subscription order', () => {
+        const calls = [];
+        ProgressionEvents.on(EVENTS.RANK_UP, payload => calls.push(['first', payload.rank]));
+        ProgressionEvents.on(EVENTS.RANK_UP, payload => calls.push(['second', payload.rank]));
+
+        ProgressionEvents.emit(EVENTS.RANK_UP, { rank: "Line Cook" });
+
+        assert.deepEqual(calls, [['first', "Line Cook"], ['second', "Line Cook"]]);
+    });
+
+    test('stops delivering after unsubscribing', () => {
+        let count = 0;
+        const unsubscribe = ProgressionEvents.on(EVENTS.LEVEL_UP, () => count++);
+
+        ProgressionEvents.emit(EVENTS.LEVEL_UP, {});
+        unsubscribe();
+        ProgressionEvents.emit(EVENTS.LEVEL_UP, {});
+
+        assert.equal(count, 1);
+    });
+
+    test('once handlers run a single time', () => {
+        let count = 0;
+        ProgressionEvents.once(EVENTS.QUEST_COMPLETED, () => count++);
+
+        ProgressionEvents.emit(EVENTS.QUEST_COMPLETED, {});
+        ProgressionEvents.emit(EVENTS.QUEST_COMPLETED, {});
+
+        assert.equal(count, 1);
+    });
+
+    test('a failing handler does not stop the others', () => {
+        const originalError = console.error;
+        console.error = () => {};
+        let delivered = false;
+
+        try {
+            ProgressionEvents.on(EVENTS.HOURS_ADDED, () => { throw new Error('broken subscriber'); });
+            ProgressionEvents.on(EVENTS.HOURS_ADDED, () => { delivered = true; });
+            ProgressionEvents.emit(EVENTS.HOURS_ADDED, {});
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.equal(delivered, true);
+    });
+
+    test('rejects unknown event types', () => {
+        assert.throws(() => ProgressionEvents.on('rankup', () => {}), /Unknown progression event/);
+        assert.throws(() => ProgressionEvents.emit('questDone', {}), /Unknown progression event/);
+    });
+});
+
+test.describe('events raised by updateAttributeHours', () => {
+    test('announces the hours added, including capped hours', () => {
+        const events = recordEvents(() => {
+            ProgressionSystem.updateAttributeHours(createProfile({ flavor: 50 }), "flavor", 3);
+        });
+
+        assert.deepEqual(events, [{
+            type: EVENTS.HOURS_ADDED,
+            payload: { attribute: "flavor", requestedHours: 3, effectiveHours: 3, totalHours: 53 }
+        }]);
+    });
+
+    test('announces attribute level ups', () => {
+        const events = recordEvents(() => {
+            ProgressionSystem.updateAttributeHours(createProfile({ technique: 4, ingredients: 5, flavor: 5, management: 5 }), "technique", 1);
+        });
+
+        const levelUps = events.filter(event => event.type === EVENTS.LEVEL_UP).map(event => event.payload);
+        assert.deepEqual(levelUps, [
+            { attribute: "technique", rank: "Home Cook", level: 2, previousLevel: 1 },
+            { attribute: null, rank: "Home Cook", level: 2, previousLevel: 1 }
+        ]);
+    });
+
+    test('announces a maxed attribute and the user rank up', () => {
+        const events = recordEvents(() => {
+            ProgressionSystem.updateAttributeHours(createProfile({ technique: 55, ingredients: 55, flavor: 55, management: 50 }), "management", 10);
+        });
+
+        assert.deepEqual(events.map(event => event.type), [EVENTS.HOURS_ADDED, EVENTS.ATTRIBUTE_MAXED, EVENTS.RANK_UP]);
+        assert.deepEqual(events[1].payload, { attribute: "management", rank: "Home Cook", nextRank: "Culinary Student" });
+        assert.equal(events[2].payload.previousRank, "Home Cook");
+        assert.equal(events[2].payload.rank, "Culinary Student");
+    });
+
+    test('raises nothing when silent', () => {
+        const events = recordEvents(() => {
+            ProgressionSystem.updateAttributeHours(createProfile(), "technique", 100, { silent: true });
+        });
+
+        assert.equal(events.length, 0);
+    });
+});
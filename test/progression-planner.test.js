@@ -0,0 +1,49 @@
+/**
+ * progression-planner.test.js - Tests for previewing hours against the rank caps
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfile } from './harness.js';
+import { ProgressionPlanner } from '../js/progression-planner.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+
+test.describe('previewHours', () => {
+    test('earns every hour below the cap', () => {
+        const preview = ProgressionPlanner.previewHours(createProfile(), { technique: 1, flavor: 0.5 });
+
+        assert.deepEqual(preview.attributes.technique, { requested: 1, effective: 1, lost: 0, reason: null });
+        assert.equal(preview.effectiveHours, 1.5);
+        assert.equal(preview.lostHours, 0);
+    });
+
+    test('reports hours lost to the rank cap', () => {
+        const preview = ProgressionPlanner.previewHours(createProfile({ technique: 54.5 }), { technique: 1 });
+
+        assert.deepEqual(preview.attributes.technique, { requested: 1, effective: 0.5, lost: 0.5, reason: 'capped' });
+        assert.equal(preview.lostHours, 0.5);
+    });
+
+    test('tells maxed attributes from ones waiting for a rank up', () => {
+        const waiting = createProfile({ technique: 55 });
+        const finalRank = Object.keys(ProgressionSystem.RANKS).find(title => !ProgressionSystem.RANKS[title].nextRank);
+        const maxed = ProgressionSystem.createNewUserProfile();
+        maxed.currentRank.title = finalRank;
+        ProgressionSystem.ATTRIBUTES.forEach(attr => {
+            maxed.attributes[attr].currentRank = finalRank;
+            maxed.attributes[attr].totalHours = ProgressionSystem.RANKS[finalRank].cumulativeHours;
+        });
+
+        assert.equal(ProgressionPlanner.previewHours(waiting, { technique: 1 }).attributes.technique.reason, 'waiting');
+        assert.equal(ProgressionPlanner.previewHours(ProgressionSystem.calculateUserRank(maxed), { technique: 1 }).attributes.technique.reason, 'maxed');
+    });
+
+    test('leaves the profile untouched', () => {
+        const profile = createProfile({ flavor: 3 });
+        const before = JSON.stringify(profile);
+
+        ProgressionPlanner.previewHours(profile, { flavor: 2, management: 1 });
+
+        assert.equal(JSON.stringify(profile), before);
+    });
+});
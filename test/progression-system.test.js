@@ -0,0 +1,426 @@
+/**
+ * progression-system.test.js - Tests for the rank and attribute level rules
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { forAll, pick, createProfile } from './harness.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+import { RankConfig } from '../js/rank-config.js';
+
+const { RANKS, ATTRIBUTES } = ProgressionSystem;
+const RANK_TITLES = Object.keys(RANKS);
+
+/**
+ * Get the most hours an attribute may hold at a user rank
+ * @param {string} rankTitle - The user rank
+ * @returns {number} - The cap
+ */
+function getCap(rankTitle) {
+    return ProgressionSystem.getTotalHoursForRank(rankTitle) + RANKS[rankTitle].attributeHoursRequired;
+}
+
+test.describe('rank table', () => {
+    test('is valid', () => {
+        assert.equal(RankConfig.validateRankTable(RANKS).length, 0);
+    });
+
+    test('reports level hours that do not add up to the rank requirement', () => {
+        const ranks = JSON.parse(JSON.stringify(RANKS));
+        ranks["Culinary Student"].attributeHoursRequired = 209;
+
+        const fields = RankConfig.validateRankTable(ranks).map(issue => issue.field);
+        assert.ok(fields.includes("Culinary Student.attributeHoursRequired"));
+        assert.ok(fields.includes("Culinary Student.cumulativeHours"));
+    });
+
+    test('reports a broken rank chain', () => {
+        const ranks = JSON.parse(JSON.stringify(RANKS));
+        ranks["Head Chef"].nextRank = "Home Cook";
+
+        const fields = RankConfig.validateRankTable(ranks).map(issue => issue.field);
+        assert.deepEqual(fields, ["Head Chef.nextRank"]);
+    });
+
+    test('getTotalHoursForRank returns the cumulative hours of the earlier ranks', () => {
+        assert.equal(ProgressionSystem.getTotalHoursForRank("Home Cook"), 0);
+        assert.equal(ProgressionSystem.getTotalHoursForRank("Culinary Student"), 55);
+        assert.equal(ProgressionSystem.getTotalHoursForRank("Kitchen Assistant"), 209);
+        assert.equal(ProgressionSystem.getTotalHoursForRank("Head Chef"), 2500);
+        assert.equal(ProgressionSystem.getTotalHoursForRank("Unknown"), 0);
+    });
+
+    test('rank order is used for comparisons', () => {
+        assert.ok(ProgressionSystem.isRankHigher("Line Cook", "Home Cook"));
+        assert.ok(!ProgressionSystem.isRankHigher("Home Cook", "Home Cook"));
+        assert.equal(ProgressionSystem.getRankIndex("Head Chef"), RANK_TITLES.length - 1);
+    });
+});
+
+test.describe('calculateAttributeLevel', () => {
+    test('starts at level 1 with no hours', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 0);
+
+        assert.equal(level.currentLevel, 1);
+        assert.equal(level.hoursToNextLevel, 5);
+        assert.equal(level.levelProgressPercentage, 0);
+        assert.equal(level.rankProgressPercentage, 0);
+        assert.equal(level.isMaxed, false);
+    });
+
+    test('moves to the next level exactly at the level boundary', () => {
+        assert.equal(ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 4.99).currentLevel, 1);
+        assert.equal(ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 5).currentLevel, 2);
+        assert.equal(ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 25).currentLevel, 6);
+    });
+
+    test('reports progress within the level and the rank', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 27);
+
+        assert.equal(level.currentLevel, 6);
+        assert.equal(level.hoursToNextLevel, 31);
+        assert.equal(level.levelProgressPercentage, 2 / 6 * 100);
+        assert.equal(level.rankProgressPercentage, 27 / 55 * 100);
+        assert.equal(level.hoursRemainingInRank, 28);
+    });
+
+    test('counts hours from the start of a later rank', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Culinary Student", "Culinary Student", 55 + 21);
+
+        assert.equal(level.currentLevel, 3);
+        assert.equal(level.hoursInCurrentRank, 21);
+        assert.equal(level.totalHoursForRank, 154);
+    });
+
+    test('maxes out at the rank requirement and points to the next rank', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 55);
+
+        assert.equal(level.isMaxed, true);
+        assert.equal(level.rankProgressPercentage, 100);
+        assert.equal(level.nextRank, "Culinary Student");
+        assert.equal(level.currentLevel, 1);
+    });
+
+    test('caps hours beyond the rank requirement', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Home Cook", "Home Cook", 500);
+
+        assert.equal(level.cappedTotalHours, 55);
+        assert.equal(level.actualTotalHours, 500);
+        assert.equal(level.hoursInCurrentRank, 55);
+    });
+
+    test('locks an attribute ahead of the user at 0% until the user ranks up', () => {
+        const level = ProgressionSystem.calculateAttributeLevel("Culinary Student", "Home Cook", 55);
+
+        assert.equal(level.waitingForUserRankUp, true);
+        assert.equal(level.currentLevel, 1);
+        assert.equal(level.rankProgressPercentage, 0);
+        assert.equal(level.cappedTotalHours, 55);
+    });
+
+    test('levels through the final rank and stops at its last level', () => {
+        const start = ProgressionSystem.calculateAttributeLevel("Head Chef", "Head Chef", 2500);
+        const end = ProgressionSystem.calculateAttributeLevel("Head Chef", "Head Chef", 10000);
+
+        assert.equal(start.currentLevel, 1);
+        assert.equal(end.currentLevel, RANKS["Head Chef"].levels);
+        assert.equal(end.isMaxed, true);
+        assert.equal(end.nextRank, null);
+        assert.equal(end.levelProgressPercentage, 100);
+        assert.equal(end.cappedTotalHours, RANKS["Head Chef"].cumulativeHours);
+    });
+
+    test('returns null for an unknown rank', () => {
+        const originalError = console.error;
+        console.error = () => {};
+
+        try {
+            assert.equal(ProgressionSystem.calculateAttributeLevel("Unknown", "Home Cook", 0), null);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+test.describe('calculateUserRank', () => {
+    test('each attribute contributes 25% of its rank progress', () => {
+        assert.equal(createProfile({ technique: 55 }).currentRank.progressPercentage, 25);
+        assert.equal(createProfile({ technique: 27.5, flavor: 27.5 }).currentRank.progressPercentage, 25);
+        assert.equal(createProfile({ technique: 11, ingredients: 11, flavor: 11, management: 11 }).currentRank.progressPercentage, 20);
+    });
+
+    test('an attribute promoted past the user rank counts as a full 25%', () => {
+        const profile = createProfile({ technique: 55 });
+
+        assert.equal(profile.attributes.technique.currentRank, "Culinary Student");
+        assert.equal(profile.currentRank.title, "Home Cook");
+        assert.equal(profile.currentRank.progressPercentage, 25);
+    });
+
+    test('the user level is the lowest attribute level in the user rank', () => {
+        const profile = createProfile({ technique: 40, ingredients: 10, flavor: 20, management: 30 });
+
+        assert.equal(profile.currentRank.level, 3);
+    });
+
+    test('ranks up once every attribute has completed the rank', () => {
+        const almost = createProfile({ technique: 55, ingredients: 55, flavor: 55, management: 54 });
+        assert.equal(almost.currentRank.title, "Home Cook");
+
+        const done = createProfile({ technique: 55, ingredients: 55, flavor: 55, management: 55 });
+        assert.equal(done.currentRank.title, "Culinary Student");
+        assert.equal(done.currentRank.color, RANKS["Culinary Student"].color);
+    });
+
+    test('leaves an invalid profile untouched', () => {
+        const originalError = console.error;
+        console.error = () => {};
+
+        try {
+            assert.equal(ProgressionSystem.calculateUserRank(null), null);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+test.describe('updateAttributeHours', () => {
+    test('adds hours below the cap in full', () => {
+        const result = ProgressionSystem.updateAttributeHours(createProfile(), "technique", 3);
+
+        assert.equal(result.requestedHours, 3);
+        assert.equal(result.effectiveHours, 3);
+        assert.equal(result.profile.attributes.technique.totalHours, 3);
+    });
+
+    test('caps hours at the maximum for the user rank', () => {
+        const result = ProgressionSystem.updateAttributeHours(createProfile({ technique: 50 }), "technique", 20);
+
+        assert.equal(result.effectiveHours, 5);
+        assert.equal(result.profile.attributes.technique.totalHours, 55);
+        assert.match(result.status, /capped/);
+    });
+
+    test('adds nothing to an attribute waiting for the user to rank up', () => {
+        const result = ProgressionSystem.updateAttributeHours(createProfile({ technique: 55 }), "technique", 10);
+
+        assert.equal(result.effectiveHours, 0);
+        assert.equal(result.profile.attributes.technique.totalHours, 55);
+    });
+
+    test('adds nothing once the final rank is maxed', () => {
+        const cap = RANKS["Head Chef"].cumulativeHours;
+        const profile = createProfile({ technique: cap, ingredients: cap, flavor: cap, management: cap }, "Head Chef");
+        const result = ProgressionSystem.updateAttributeHours(profile, "technique", 10);
+
+        assert.equal(result.effectiveHours, 0);
+        assert.equal(result.profile.currentRank.title, "Head Chef");
+    });
+
+    test('rejects an unknown attribute', () => {
+        const originalError = console.error;
+        console.error = () => {};
+
+        try {
+            const result = ProgressionSystem.updateAttributeHours(createProfile(), "baking", 1);
+            assert.equal(result.effectiveHours, 0);
+            assert.match(result.status, /Error/);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+test.describe('waitingForUserRankUp', () => {
+    test('follows an attribute from maxed, to waiting, to the new rank', () => {
+        let profile = createProfile();
+
+        profile = ProgressionSystem.updateAttributeHours(profile, "technique", 55).profile;
+        assert.equal(profile.attributes.technique.currentRank, "Culinary Student");
+        assert.equal(profile.attributes.technique.waitingForUserRankUp, true);
+
+        ["ingredients", "flavor"].forEach(attr => {
+            profile = ProgressionSystem.updateAttributeHours(profile, attr, 55).profile;
+        });
+        assert.equal(profile.currentRank.title, "Home Cook");
+        assert.equal(profile.attributes.management.waitingForUserRankUp, false);
+
+        profile = ProgressionSystem.updateAttributeHours(profile, "management", 55).profile;
+        assert.equal(profile.currentRank.title, "Culinary Student");
+        assert.equal(profile.currentRank.level, 1);
+
+        // The next recalculation releases the attributes into the new rank
+        profile = ProgressionSystem.calculateUserRank(profile);
+        ATTRIBUTES.forEach(attr => {
+            assert.equal(profile.attributes[attr].currentRank, "Culinary Student");
+            assert.equal(profile.attributes[attr].waitingForUserRankUp, false);
+        });
+
+        const result = ProgressionSystem.updateAttributeHours(profile, "technique", 10);
+        assert.equal(result.effectiveHours, 10);
+        assert.equal(result.profile.attributes.technique.currentLevel, 2);
+    });
+});
+
+test.describe('recalculateFromHours', () => {
+    test('takes back a promotion when hours are removed', () => {
+        let profile = ProgressionSystem.updateAttributeHours(createProfile({ technique: 54 }), 'technique', 2, { silent: true }).profile;
+        assert.equal(profile.attributes.technique.currentRank, "Culinary Student");
+
+        profile.attributes.technique.totalHours = 54.25;
+        profile = ProgressionSystem.recalculateFromHours(profile);
+
+        assert.equal(profile.attributes.technique.currentRank, "Home Cook");
+        assert.equal(profile.attributes.technique.waitingForUserRankUp, false);
+        assert.equal(profile.attributes.technique.cappedTotalHours, 54.25);
+    });
+
+    test('takes back a user rank up', () => {
+        let profile = createProfile({ technique: 55, ingredients: 55, flavor: 55, management: 55 });
+        assert.equal(profile.currentRank.title, "Culinary Student");
+
+        profile.attributes.flavor.totalHours = 50;
+        profile = ProgressionSystem.recalculateFromHours(profile);
+
+        assert.equal(profile.currentRank.title, "Home Cook");
+        assert.equal(profile.attributes.flavor.currentRank, "Home Cook");
+        assert.equal(profile.attributes.technique.waitingForUserRankUp, true);
+    });
+
+    test('matches adding the same hours from scratch', () => {
+        forAll({ runs: 50, seed: 5000 }, random => {
+            const hours = {};
+            ATTRIBUTES.forEach(attr => { hours[attr] = Math.round(random() * 120 * 4) / 4; });
+            return hours;
+        }, hours => {
+            let added = ProgressionSystem.createNewUserProfile();
+            for (let pass = 0; pass < 3; pass++) {
+                ATTRIBUTES.forEach(attr => {
+                    const missing = hours[attr] - added.attributes[attr].totalHours;
+                    if (missing > 0) {
+                        added = ProgressionSystem.updateAttributeHours(added, attr, missing, { silent: true }).profile;
+                    }
+                });
+            }
+
+            const rebuilt = ProgressionSystem.recalculateFromHours(JSON.parse(JSON.stringify(added)));
+
+            assert.equal(rebuilt.currentRank.title, added.currentRank.title);
+            ATTRIBUTES.forEach(attr => {
+                assert.equal(rebuilt.attributes[attr].currentRank, added.attributes[attr].currentRank);
+                assert.equal(rebuilt.attributes[attr].waitingForUserRankUp, added.attributes[attr].waitingForUserRankUp);
+            });
+        });
+    });
+});
+
+test.describe('properties', () => {
+    /**
+     * Generate a random sequence of hour additions
+     * @param {Function} random - Random number generator
+     * @returns {Array} - Steps as { attribute, hours }
+     */
+    function generateSteps(random) {
+        const steps = [];
+        const count = 1 + Math.floor(random() * 60);
+
+        for (let i = 0; i < count; i++) {
+            // Mostly small sessions with the occasional huge one
+            const hours = random() < 0.1 ? random() * 2000 : Math.round(random() * 400) / 10;
+            steps.push({ attribute: pick(ATTRIBUTES, random), hours: hours });
+        }
+
+        return steps;
+    }
+
+    test('attribute hours never exceed the cap of the user rank', () => {
+        forAll({ runs: 200, seed: 1 }, generateSteps, steps => {
+            let profile = createProfile();
+
+            steps.forEach(step => {
+                profile = ProgressionSystem.updateAttributeHours(profile, step.attribute, step.hours).profile;
+                const cap = getCap(profile.currentRank.title);
+
+                ATTRIBUTES.forEach(attr => {
+                    assert.ok(profile.attributes[attr].totalHours <= cap + 1e-9,
+                        `${attr} has ${profile.attributes[attr].totalHours} hours, cap is ${cap}`);
+                });
+            });
+        });
+    });
+
+    test('the user rank never regresses and attributes stay within one rank of it', () => {
+        forAll({ runs: 200, seed: 1000 }, generateSteps, steps => {
+            let profile = createProfile();
+            let previousRankIndex = 0;
+
+            steps.forEach(step => {
+                profile = ProgressionSystem.updateAttributeHours(profile, step.attribute, step.hours).profile;
+                const rankIndex = ProgressionSystem.getRankIndex(profile.currentRank.title);
+
+                assert.ok(rankIndex >= previousRankIndex, `Rank fell to ${profile.currentRank.title}`);
+                ATTRIBUTES.forEach(attr => {
+                    const gap = ProgressionSystem.getRankIndex(profile.attributes[attr].currentRank) - rankIndex;
+                    assert.ok(gap >= 0 && gap <= 1, `${attr} is at ${profile.attributes[attr].currentRank}`);
+                });
+
+                previousRankIndex = rankIndex;
+            });
+        });
+    });
+
+    test('effective hours are never negative, never more than requested, and add up to the totals', () => {
+        forAll({ runs: 200, seed: 2000 }, generateSteps, steps => {
+            let profile = createProfile();
+            const added = {};
+            ATTRIBUTES.forEach(attr => { added[attr] = 0; });
+
+            steps.forEach(step => {
+                const result = ProgressionSystem.updateAttributeHours(profile, step.attribute, step.hours);
+
+                assert.ok(result.effectiveHours >= 0);
+                assert.ok(result.effectiveHours <= step.hours + 1e-9);
+                added[step.attribute] += result.effectiveHours;
+                profile = result.profile;
+            });
+
+            ATTRIBUTES.forEach(attr => {
+                assert.ok(Math.abs(profile.attributes[attr].totalHours - added[attr]) < 1e-6);
+            });
+        });
+    });
+
+    test('levels and progress stay within their ranges', () => {
+        forAll({ runs: 200, seed: 3000 }, generateSteps, steps => {
+            let profile = createProfile();
+
+            steps.forEach(step => {
+                profile = ProgressionSystem.updateAttributeHours(profile, step.attribute, step.hours).profile;
+                const levels = RANKS[profile.currentRank.title].levels;
+
+                assert.ok(profile.currentRank.level >= 1 && profile.currentRank.level <= levels);
+                assert.ok(profile.currentRank.progressPercentage >= 0 && profile.currentRank.progressPercentage <= 100);
+                ATTRIBUTES.forEach(attr => {
+                    const attribute = profile.attributes[attr];
+                    assert.ok(attribute.levelProgressPercentage >= 0 && attribute.levelProgressPercentage <= 100);
+                    assert.ok(attribute.rankProgressPercentage >= 0 && attribute.rankProgressPercentage <= 100);
+                });
+            });
+        });
+    });
+
+    test('the attribute level never decreases as hours are added within a rank', () => {
+        forAll({ runs: 100, seed: 4000 }, random => {
+            const rankTitle = pick(RANK_TITLES, random);
+            const hours = [0, 1, 2, 3].map(() => random() * RANKS[rankTitle].attributeHoursRequired).sort((a, b) => a - b);
+            return { rankTitle, hours };
+        }, ({ rankTitle, hours }) => {
+            const start = ProgressionSystem.getTotalHoursForRank(rankTitle);
+            const levels = hours.map(h => ProgressionSystem.calculateAttributeLevel(rankTitle, rankTitle, start + h).currentLevel);
+
+            for (let i = 1; i < levels.length; i++) {
+                assert.ok(levels[i] >= levels[i - 1], `Levels ${levels.join(', ')}`);
+            }
+        });
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * quest-browser.test.js - Tests for the quest browser's search, filters and sorting
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { QuestBrowser } from '../js/quest-browser.js';
+import { QuestCatalog } from '../js/quest-catalog.js';
+
+const QUESTS = QuestCatalog.quests;
+
+// A player who completed the first knife quest, which unlocked T1-4
+const PROFILE = {
+    completedQuests: ["T1-1"],
+    unlockedQuests: ["T1-1", "T1-2", "T1-4"]
+};
+
+const ids = quests => quests.map(quest => quest.id);
+
+test.describe('browse', () => {
+    test('lists every quest with the default criteria', () => {
+        assert.equal(QuestBrowser.browse(QUESTS, PROFILE).length, QUESTS.length);
+    });
+
+    test('searches titles, objectives and materials, ignoring case', () => {
+        // "pinch grip" is an objective of T1-1 and "Damp towel" one of its materials
+        assert.ok(ids(QuestBrowser.browse(QUESTS, PROFILE, { search: 'PINCH grip' })).includes("T1-1"));
+        assert.ok(ids(QuestBrowser.browse(QUESTS, PROFILE, { search: 'damp towel' })).includes("T1-1"));
+        assert.deepEqual(QuestBrowser.browse(QUESTS, PROFILE, { search: 'no quest mentions this' }), []);
+    });
+
+    test('requires every search word to match', () => {
+        const matches = QuestBrowser.browse(QUESTS, PROFILE, { search: 'onion dice' });
+
+        matches.forEach(quest => assert.ok(QuestBrowser.matchesSearch(quest, 'onion')));
+        assert.ok(ids(matches).includes("T1-1"));
+    });
+
+    test('filters by type, rank, level, attribute focus and time', () => {
+        const criteria = { type: 'training', rank: 'Home Cook', level: 1, attribute: 'technique', maxTime: 45 };
+        const matches = QuestBrowser.browse(QUESTS, PROFILE, criteria);
+
+        assert.ok(matches.length > 0);
+        matches.forEach(quest => {
+            assert.equal(quest.type, 'training');
+            assert.equal(quest.rank.title, 'Home Cook');
+            assert.equal(quest.rank.level, 1);
+            assert.equal(QuestBrowser.getAttributeFocus(quest), 'technique');
+            assert.ok(quest.timeRequired <= 45);
+        });
+    });
+
+    test('filters by locked, unlocked and completed state', () => {
+        assert.deepEqual(ids(QuestBrowser.browse(QUESTS, PROFILE, { state: 'completed' })), ["T1-1"]);
+        assert.deepEqual(ids(QuestBrowser.browse(QUESTS, PROFILE, { state: 'unlocked' })), ["T1-2", "T1-4"]);
+        assert.equal(QuestBrowser.browse(QUESTS, PROFILE, { state: 'locked' }).length, QUESTS.length - 3);
+    });
+
+    test('counts quests completeQuest would reject as locked', () => {
+        const quests = [
+            { ...QUESTS[0], id: "X1", prerequisites: ["X2"] },
+            { ...QUESTS[0], id: "X2", prerequisites: [], rank: { title: "Culinary Student", level: 1 } }
+        ];
+        const profile = { completedQuests: [], unlockedQuests: ["X1", "X2"], currentRank: { title: "Home Cook", level: 1 } };
+
+        assert.deepEqual(ids(QuestBrowser.browse(quests, profile, { state: 'unlocked' })), []);
+        assert.deepEqual(ids(QuestBrowser.browse(quests, profile, { state: 'locked' })), ["X1", "X2"]);
+    });
+
+    test('sorts by each option', () => {
+        const byTime = QuestBrowser.browse(QUESTS, PROFILE, { sort: 'timeAsc' });
+        byTime.slice(1).forEach((quest, index) => assert.ok(byTime[index].timeRequired <= quest.timeRequired));
+
+        const byTitle = QuestBrowser.browse(QUESTS, PROFILE, { sort: 'title' });
+        byTitle.slice(1).forEach((quest, index) => assert.ok(byTitle[index].title.localeCompare(quest.title) <= 0));
+
+        const byRank = QuestBrowser.browse(QUESTS, PROFILE, { sort: 'rank' });
+        byRank.slice(1).forEach((quest, index) => assert.ok(byRank[index].rank.level <= quest.rank.level));
+
+        const byType = ids(QuestBrowser.browse(QUESTS, PROFILE, { sort: 'type' }));
+        assert.ok(byType.indexOf("T1-1") < byType.indexOf("S1-1"));
+    });
+
+    test('does not reorder the catalog it is given', () => {
+        const before = ids(QUESTS);
+        QuestBrowser.browse(QUESTS, PROFILE, { sort: 'title' });
+
+        assert.deepEqual(ids(QUESTS), before);
+    });
+});
+
+test.describe('getAttributeFocus', () => {
+    test('picks the largest reward, earlier attributes winning ties', () => {
+        assert.equal(QuestBrowser.getAttributeFocus({ attributeRewards: { technique: 0.5, ingredients: 1, flavor: 1, management: 0 } }), 'ingredients');
+        assert.equal(QuestBrowser.getAttributeFocus({ attributeRewards: { technique: 0, ingredients: 0, flavor: 0, management: 0 } }), null);
+    });
+});
+
+test.describe('getFilterOptions', () => {
+    test('offers the types, ranks and levels in the catalog, in order', () => {
+        const options = QuestBrowser.getFilterOptions(QUESTS);
+
+        assert.deepEqual(options.types, ["training", "side", "main", "explore", "challenge"]);
+        assert.deepEqual(options.ranks, ["Home Cook"]);
+        assert.deepEqual(options.levels, [...options.levels].sort((a, b) => a - b));
+    });
+});
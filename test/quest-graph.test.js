@@ -0,0 +1,171 @@
+/**
+ * quest-graph.test.js - Tests for the quest dependency graph and lock explanations
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuest } from './harness.js';
+import { QuestGraph } from '../js/quest-graph.js';
+import { QuestCatalog } from '../js/quest-catalog.js';
+
+const QUESTS = QuestCatalog.quests;
+
+/**
+ * Create a profile
+ * @param {Array} completedQuests - Completed quest ids
+ * @param {Array} unlockedQuests - Unlocked quest ids
+ * @returns {Object} - The profile
+ */
+const createProfile = (completedQuests, unlockedQuests) => ({ completedQuests, unlockedQuests });
+
+test.describe('buildGraph', () => {
+    test('merges unlock and prerequisite links between the same quests', () => {
+        const graph = QuestGraph.buildGraph(QUESTS);
+        const edge = graph.edges.find(e => e.from === "T1-1" && e.to === "T1-4");
+
+        assert.deepEqual(edge, { from: "T1-1", to: "T1-4", unlocks: true, prerequisite: true });
+        assert.equal(graph.edges.filter(e => e.from === "T1-1" && e.to === "T1-4").length, 1);
+    });
+
+    test('leaves out links to quests that are not in the catalog', () => {
+        const graph = QuestGraph.buildGraph([createQuest("A", { unlocks: ["missing"] }), createQuest("B", { prerequisites: ["gone"] })]);
+
+        assert.deepEqual(graph.edges, []);
+    });
+});
+
+test.describe('layoutGraph', () => {
+    test('places every quest to the right of the quests leading to it', () => {
+        const graph = QuestGraph.buildGraph(QUESTS);
+        const { positions } = QuestGraph.layoutGraph(graph);
+
+        QUESTS.forEach(quest => assert.ok(positions[quest.id], quest.id));
+        graph.edges.forEach(edge => {
+            assert.ok(positions[edge.to].column > positions[edge.from].column, `${edge.from} -> ${edge.to}`);
+        });
+    });
+
+    test('never overlaps two quests and fits them in the size it reports', () => {
+        const { positions, width, height } = QuestGraph.layoutGraph(QuestGraph.buildGraph(QUESTS));
+        const spots = Object.values(positions).map(({ x, y }) => `${x},${y}`);
+
+        assert.equal(new Set(spots).size, spots.length);
+        Object.values(positions).forEach(({ x, y }) => {
+            assert.ok(x + QuestGraph.LAYOUT.nodeWidth <= width);
+            assert.ok(y + QuestGraph.LAYOUT.nodeHeight <= height);
+        });
+    });
+
+    test('finishes on a catalog with a cycle', () => {
+        const quests = [createQuest("A", { unlocks: ["B"] }), createQuest("B", { unlocks: ["A"] })];
+        const { positions } = QuestGraph.layoutGraph(QuestGraph.buildGraph(quests));
+
+        assert.deepEqual(Object.keys(positions).sort(), ["A", "B"]);
+    });
+});
+
+test.describe('getLockReason', () => {
+    const quests = [
+        createQuest("A", { unlocks: ["C"] }),
+        createQuest("B", { unlocks: ["C"] }),
+        createQuest("C", { prerequisites: ["D"] }),
+        createQuest("D"),
+        createQuest("E")
+    ];
+
+    test('lists every reason a locked quest is locked', () => {
+        const info = QuestGraph.getLockReason(quests[2], quests, createProfile([], ["A", "B", "D"]));
+
+        assert.equal(info.state, 'locked');
+        assert.equal(info.locked, true);
+        assert.deepEqual(info.reasons, [
+            { type: 'notUnlocked', unlockedBy: ["A", "B"] },
+            { type: 'missingPrerequisites', questIds: ["D"] }
+        ]);
+        assert.equal(info.message, 'Complete Quest A or Quest B to unlock it. Requires Quest D.');
+        assert.deepEqual(info.unlockPath, ["D", "A"]);
+    });
+
+    test('explains unlocked quests that still wait for prerequisites', () => {
+        const info = QuestGraph.getLockReason(quests[2], quests, createProfile(["A"], ["A", "B", "C", "D"]));
+
+        assert.equal(info.state, 'locked');
+        assert.equal(info.locked, true);
+        assert.equal(info.message, 'Requires Quest D.');
+        assert.deepEqual(info.unlockPath, ["D"]);
+    });
+
+    test('is not locked once nothing is missing', () => {
+        const info = QuestGraph.getLockReason(quests[2], quests, createProfile(["A", "D"], ["A", "B", "C", "D"]));
+
+        assert.equal(info.locked, false);
+        assert.deepEqual(info.reasons, []);
+        assert.equal(info.message, null);
+    });
+
+    test('asks for a higher rank', () => {
+        const quest = createQuest("F", { rank: { title: "Culinary Student", level: 1 } });
+        const profile = { ...createProfile([], ["F"]), currentRank: { title: "Home Cook", level: 3 } };
+        const info = QuestGraph.getLockReason(quest, [quest], profile);
+
+        assert.deepEqual(info.reasons, [{ type: 'rankTooLow', requiredRank: "Culinary Student", currentRank: "Home Cook" }]);
+        assert.equal(info.message, 'Reach the Culinary Student rank first.');
+        assert.deepEqual(info.unlockPath, []);
+    });
+
+    test('mentions a prerequisite only once when it is also the unlocking quest', () => {
+        const info = QuestGraph.getLockReason(QUESTS.find(q => q.id === "T1-4"), QUESTS, createProfile([], ["T1-1"]));
+
+        assert.equal(info.message, 'Complete Knife Basics: The Dice to unlock it.');
+        assert.deepEqual(info.unlockPath, ["T1-1"]);
+    });
+
+    test('says when no quest unlocks a locked quest', () => {
+        const info = QuestGraph.getLockReason(quests[4], quests, createProfile([], []));
+
+        assert.equal(info.message, 'No quest in the catalog unlocks it.');
+        assert.equal(info.unlockPath, null);
+    });
+});
+
+test.describe('getUnlockPath', () => {
+    test('picks the unlocking quest with the fewest steps', () => {
+        const quests = [
+            createQuest("A", { unlocks: ["B"] }),
+            createQuest("B", { unlocks: ["D"] }),
+            createQuest("C", { unlocks: ["D"] }),
+            createQuest("D")
+        ];
+
+        assert.deepEqual(QuestGraph.getUnlockPath(quests[3], quests, createProfile([], ["A", "C"])), ["C"]);
+        assert.deepEqual(QuestGraph.getUnlockPath(quests[3], quests, createProfile([], ["A"])), ["A", "B"]);
+    });
+
+    test('counts quests already on the path as free', () => {
+        const quests = [
+            createQuest("A", { unlocks: ["C"] }),
+            createQuest("B", { unlocks: ["C"] }),
+            createQuest("C", { prerequisites: ["B"] })
+        ];
+
+        assert.deepEqual(QuestGraph.getUnlockPath(quests[2], quests, createProfile([], ["A", "B"])), ["B"]);
+    });
+
+    test('follows the bundled catalog', () => {
+        const quest = QUESTS.find(q => q.id === "M1-2");
+        const profile = createProfile(["T1-1", "T1-2", "T1-3", "T1-4", "T1-5"], ["M1-1", "M1-2"]);
+
+        assert.deepEqual(QuestGraph.getUnlockPath(quest, QUESTS, profile), ["M1-1"]);
+    });
+
+    test('gets around cycles and gives up when nothing leads in', () => {
+        const quests = [
+            createQuest("A", { unlocks: ["B"] }),
+            createQuest("B", { unlocks: ["A", "C"] }),
+            createQuest("C")
+        ];
+
+        assert.equal(QuestGraph.getUnlockPath(quests[2], quests, createProfile([], [])), null);
+        assert.deepEqual(QuestGraph.getUnlockPath(quests[2], quests, createProfile([], ["A"])), ["A", "B"]);
+    });
+});
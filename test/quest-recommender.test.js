@@ -0,0 +1,161 @@
+/**
+ * quest-recommender.test.js - Tests for quest recommendation scores
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuest, createProfile } from './harness.js';
+import { QuestRecommender } from '../js/quest-recommender.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+import { DataManager } from '../js/data.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Noon, so whole-day offsets never cross midnight in local time
+const NOW = new Date(2025, 0, 6, 12).getTime();
+
+/**
+ * Find a factor of a score breakdown
+ * @param {Object} scored - A scored quest
+ * @param {string} factor - The factor
+ * @returns {Object|undefined} - The factor entry
+ */
+const findFactor = (scored, factor) => scored.breakdown.find(entry => entry.factor === factor);
+
+test.describe('simulateRewards', () => {
+    test('counts hours past the rank cap as wasted', () => {
+        const profile = createProfile({ technique: 54.5 });
+        const result = QuestRecommender.simulateRewards(createQuest("A", { attributeRewards: { technique: 1, flavor: 0.5 } }), profile);
+
+        assert.deepEqual(result.effective, { technique: 0.5, ingredients: 0, flavor: 0.5, management: 0 });
+        assert.equal(result.wasted.technique, 0.5);
+        assert.equal(profile.attributes.technique.totalHours, 54.5);
+    });
+
+    test('uses the reward calculation it is given', () => {
+        const quest = createQuest("A", { attributeRewards: { technique: 1 } });
+        const withBonus = q => ({ technique: q.attributeRewards.technique * 1.5 });
+        const result = QuestRecommender.simulateRewards(quest, createProfile(), withBonus);
+
+        assert.equal(result.effective.technique, 1.5);
+    });
+
+    test('earns nothing for attributes waiting for a rank up', () => {
+        const profile = createProfile({ technique: 56 });
+        const result = QuestRecommender.simulateRewards(createQuest("A", { attributeRewards: { technique: 1 } }), profile);
+
+        assert.equal(result.effective.technique, 0);
+        assert.deepEqual(result.waiting, ["technique"]);
+    });
+});
+
+test.describe('scoreQuest', () => {
+    test('prefers effective hours over capped ones', () => {
+        const profile = createProfile({ technique: 54.5, flavor: 20 });
+        const context = { profile, quests: [], activityLog: [], now: NOW };
+        const capped = QuestRecommender.scoreQuest(createQuest("A", { attributeRewards: { technique: 1 } }), context);
+        const open = QuestRecommender.scoreQuest(createQuest("B", { attributeRewards: { flavor: 1 } }), context);
+
+        assert.ok(open.score > capped.score);
+        assert.equal(findFactor(capped, 'wasted').points, -2.5);
+        assert.match(findFactor(capped, 'wasted').detail, /Home Cook cap/);
+    });
+
+    test('favours the weakest attribute', () => {
+        const context = { profile: createProfile({ technique: 10, flavor: 10, management: 10 }), quests: [], activityLog: [], now: NOW };
+        const weak = QuestRecommender.scoreQuest(createQuest("A", { attributeRewards: { ingredients: 1 } }), context);
+        const strong = QuestRecommender.scoreQuest(createQuest("B", { attributeRewards: { technique: 1 } }), context);
+
+        assert.ok(weak.score > strong.score);
+        assert.equal(findFactor(weak, 'balance').detail, 'Trains Ingredients, your weakest attribute');
+        assert.equal(findFactor(strong, 'balance'), undefined);
+    });
+
+    test('rewards quick quests and level ups', () => {
+        const context = { profile: createProfile({ technique: 4.5 }), quests: [], activityLog: [], now: NOW };
+        const quick = QuestRecommender.scoreQuest(createQuest("A", { attributeRewards: { technique: 1 }, timeRequired: 30 }), context);
+        const slow = QuestRecommender.scoreQuest(createQuest("B", { attributeRewards: { technique: 1 }, timeRequired: 120 }), context);
+
+        assert.ok(quick.score > slow.score);
+        assert.equal(findFactor(quick, 'time').points, 8);
+        assert.equal(findFactor(quick, 'levelUp').detail, 'Levels up Technique');
+    });
+
+    test('penalizes repeats and quest types done lately', () => {
+        const quests = [createQuest("A", { attributeRewards: { technique: 1 } }), createQuest("B", { attributeRewards: { technique: 1 }, type: "side" })];
+        const activityLog = [
+            { id: "1", type: "quest", questId: "A", timestamp: NOW - 3 * DAY_MS },
+            { id: "2", type: "quest", questId: "A", timestamp: NOW - DAY_MS }
+        ];
+        const context = { profile: createProfile(), quests, activityLog, now: NOW };
+        const repeat = QuestRecommender.scoreQuest(quests[0], context);
+        const fresh = QuestRecommender.scoreQuest(quests[1], context);
+
+        assert.ok(fresh.score > repeat.score);
+        assert.equal(findFactor(repeat, 'repetition').detail, 'Completed 1 day ago');
+        assert.equal(findFactor(repeat, 'variety'), undefined);
+        assert.equal(findFactor(fresh, 'variety').detail, 'No side quest in your last 2 completions');
+    });
+
+    test('ignores undone completions', () => {
+        const quest = createQuest("A", { attributeRewards: { technique: 1 } });
+        const activityLog = [
+            { id: "1", type: "quest", questId: "A", timestamp: NOW - DAY_MS },
+            { id: "2", type: "undo", undoOf: "1", timestamp: NOW - DAY_MS }
+        ];
+        const scored = QuestRecommender.scoreQuest(quest, { profile: createProfile(), quests: [quest], activityLog, now: NOW });
+
+        assert.equal(findFactor(scored, 'repetition'), undefined);
+    });
+
+    test('adds the breakdown up to the score, largest effect first', () => {
+        const context = { profile: createProfile({ technique: 54.5 }), quests: [], activityLog: [], now: NOW };
+        const scored = QuestRecommender.scoreQuest(createQuest("A", { attributeRewards: { technique: 1, flavor: 1 } }), context);
+        const total = scored.breakdown.reduce((sum, entry) => sum + entry.points, 0);
+        const sizes = scored.breakdown.map(entry => Math.abs(entry.points));
+
+        assert.ok(Math.abs(total - scored.score) < 0.05);
+        assert.deepEqual(sizes, [...sizes].sort((a, b) => b - a));
+    });
+});
+
+test.describe('recommend', () => {
+    test('returns the best scoring quests first', () => {
+        const quests = [
+            createQuest("A", { attributeRewards: { technique: 0.25 } }),
+            createQuest("B", { attributeRewards: { technique: 1, flavor: 1 } }),
+            createQuest("C", { attributeRewards: { flavor: 0.5 } })
+        ];
+        const recommendations = QuestRecommender.recommend(quests, { profile: createProfile(), now: NOW }, 2);
+
+        assert.deepEqual(recommendations.map(recommendation => recommendation.quest.id), ["B", "C"]);
+        assert.ok(recommendations[0].breakdown.length > 0);
+    });
+});
+
+test.describe('getRecommendedQuests', () => {
+    test('scores the hours completing the quest would award, challenge bonus included', async () => {
+        globalThis.fetch = async () => { throw new Error('offline'); };
+        const { log } = console;
+        console.log = () => {};
+
+        try {
+            await DataManager.initialize({ storage: StorageAdapters.createMemoryAdapter() });
+            const recommendations = await DataManager.getRecommendedQuests(Infinity);
+            const quest = recommendations[0].quest;
+            assert.ok(DataManager.rollQuestModifier(quest.id));
+
+            const scored = (await DataManager.getRecommendedQuests(Infinity))
+                .find(recommendation => recommendation.quest.id === quest.id);
+            const preview = DataManager.previewQuestRewards(quest);
+
+            assert.ok(Object.keys(preview.bonusRewards).length > 0);
+            ProgressionSystem.ATTRIBUTES.forEach(attr => {
+                assert.equal(scored.effectiveRewards[attr], preview.attributes[attr]?.effective || 0);
+            });
+        } finally {
+            console.log = log;
+        }
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * quests.test.js - Tests for which quests the quest manager offers
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuest } from './harness.js';
+import { QuestManager } from '../js/quests.js';
+import { ProgressionSystem } from '../js/progression-system.js';
+
+test.describe('getAvailableQuests', () => {
+    const quests = [
+        createQuest("A", { unlocks: ["B"] }),
+        createQuest("B", { prerequisites: ["A"] }),
+        createQuest("C", { rank: { title: "Culinary Student", level: 1 } }),
+        createQuest("D")
+    ];
+
+    test('leaves out every quest completeQuest would reject', () => {
+        QuestManager.initialize(quests);
+        const profile = {
+            ...ProgressionSystem.createNewUserProfile(),
+            completedQuests: [],
+            questCompletions: {},
+            unlockedQuests: ["A", "B", "C", "D"]
+        };
+
+        assert.deepEqual(QuestManager.getAvailableQuests(profile).map(quest => quest.id), ["A", "D"]);
+        assert.deepEqual(QuestManager.getLockReason("C", profile).reasons.map(reason => reason.type), ['rankTooLow']);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * storage-adapters.test.js - Tests for the storage backends and failed writes
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { StorageAdapters } from '../js/storage-adapters.js';
+import { DataManager } from '../js/data.js';
+
+test.describe('moveItems', () => {
+    test('removes the moved keys from the source', async () => {
+        const source = StorageAdapters.createMemoryAdapter({ diced_a: "1", diced_b: "2", other: "3" });
+        const target = StorageAdapters.createMemoryAdapter();
+
+        const moved = await StorageAdapters.moveItems(source, target, key => key.startsWith('diced_'));
+
+        assert.equal(moved, 2);
+        assert.deepEqual(await source.keys(), ["other"]);
+        assert.equal(await target.getItem('diced_b'), "2");
+    });
+
+    test('leaves the source as it was when a copy fails', async () => {
+        const source = StorageAdapters.createMemoryAdapter({ diced_a: "1" });
+        const target = { ...StorageAdapters.createMemoryAdapter(), setItem: async () => { throw new Error('full'); } };
+
+        await assert.rejects(StorageAdapters.moveItems(source, target));
+        assert.equal(await source.getItem('diced_a'), "1");
+    });
+});
+
+test.describe('failed writes', () => {
+    test('are reported to handlers and by whenSaved', async () => {
+        globalThis.fetch = async () => { throw new Error('offline'); };
+        const { log, error } = console;
+        console.log = () => {};
+        console.error = () => {};
+
+        let full = false;
+        const memory = StorageAdapters.createMemoryAdapter();
+        const storage = {
+            ...memory,
+            async setItem(key, value) {
+                if (full) throw new Error('QuotaExceededError');
+                return memory.setItem(key, value);
+            }
+        };
+        const failures = [];
+
+        try {
+            await DataManager.initialize({ storage });
+            await DataManager.whenSaved();
+            const unsubscribe = DataManager.onStorageError(failure => failures.push(failure.key));
+
+            full = true;
+            DataManager.saveUserProfile();
+
+            await assert.rejects(DataManager.whenSaved(), /QuotaExceededError/);
+            assert.equal(failures.length, 1);
+            assert.match(failures[0], /^diced_user_profile:/);
+
+            // Reported once; later saves start clean
+            full = false;
+            DataManager.saveUserProfile();
+            await DataManager.whenSaved();
+            unsubscribe();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    });
+});
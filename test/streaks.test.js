@@ -0,0 +1,196 @@
+/**
+ * streaks.test.js - Tests for daily and weekly streaks, goals and streak freezes
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import './harness.js';
+import { Streaks } from '../js/streaks.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Noon on a Monday, so whole-day offsets never cross midnight in local time
+const MONDAY = new Date(2025, 0, 6, 12).getTime();
+
+/**
+ * Get the time a number of days after MONDAY
+ * @param {number} day - Days after MONDAY
+ * @returns {number} - The timestamp
+ */
+const at = day => MONDAY + day * DAY_MS;
+
+/**
+ * Create an activity log entry
+ * @param {number} day - Days after MONDAY
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - The entry
+ */
+function createEntry(day, fields = {}) {
+    return {
+        id: `activity-${day}-${Math.random()}`,
+        timestamp: at(day),
+        type: 'practice',
+        deltas: { technique: { effectiveHours: 1 } },
+        ...fields
+    };
+}
+
+/**
+ * Create a log with one practice entry on each of the given days
+ * @param {Array} days - Days after MONDAY
+ * @returns {Array} - The activity log
+ */
+const logOn = days => days.map(day => createEntry(day));
+
+/**
+ * Get the date key of a day after MONDAY
+ * @param {number} day - Days after MONDAY
+ * @returns {string} - The date (YYYY-MM-DD)
+ */
+function dateKey(day) {
+    const date = new Date(at(day));
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+test.describe('getLongestStreak', () => {
+    test('counts consecutive days once each', () => {
+        assert.equal(Streaks.getLongestStreak(logOn([0, 0, 1, 2, 4, 5])), 3);
+    });
+
+    test('ignores undone completions and manual adjustments', () => {
+        const log = [
+            createEntry(0),
+            createEntry(1, { type: 'quest' }),
+            createEntry(2, { id: 'quest-2', type: 'quest' }),
+            createEntry(2, { type: 'undo', undoOf: 'quest-2' }),
+            createEntry(3, { type: 'manual' })
+        ];
+
+        assert.equal(Streaks.getLongestStreak(log), 2);
+    });
+
+    test('bridges frozen days without counting them', () => {
+        assert.equal(Streaks.getLongestStreak(logOn([0, 1, 3, 4]), [dateKey(2)]), 4);
+    });
+});
+
+test.describe('getDailyStreak', () => {
+    test('stays current until a full day is missed', () => {
+        const log = logOn([0, 1, 2]);
+        const state = Streaks.createStreakState();
+
+        assert.deepEqual(Streaks.getDailyStreak(log, state, at(2)), { current: 3, longest: 3, activeToday: true });
+        assert.deepEqual(Streaks.getDailyStreak(log, state, at(3)), { current: 3, longest: 3, activeToday: false });
+        assert.deepEqual(Streaks.getDailyStreak(log, state, at(4)), { current: 0, longest: 3, activeToday: false });
+    });
+});
+
+test.describe('updateFreezes', () => {
+    test('earns a token for every seven days in a row, once', () => {
+        const log = logOn([0, 1, 2, 3, 4, 5, 6]);
+        const first = Streaks.updateFreezes(Streaks.createStreakState(), log, at(6));
+
+        assert.equal(first.earned, 1);
+        assert.equal(first.state.freezeTokens, 1);
+        assert.equal(first.state.lastTokenDay, dateKey(6));
+
+        const again = Streaks.updateFreezes(first.state, log, at(6));
+        assert.equal(again.earned, 0);
+        assert.equal(again.state.freezeTokens, 1);
+    });
+
+    test('holds at most MAX_FREEZE_TOKENS', () => {
+        const days = Array.from({ length: 7 * (Streaks.MAX_FREEZE_TOKENS + 1) }, (_, day) => day);
+        const result = Streaks.updateFreezes(Streaks.createStreakState(), logOn(days), at(days.length - 1));
+
+        assert.equal(result.state.freezeTokens, Streaks.MAX_FREEZE_TOKENS);
+    });
+
+    test('spends a token on a missed day and keeps the streak going', () => {
+        const log = logOn([0, 1, 2, 3, 4, 5, 6]);
+        const result = Streaks.updateFreezes(Streaks.createStreakState(), log, at(8));
+
+        assert.deepEqual(result.frozen, [dateKey(7)]);
+        assert.equal(result.state.freezeTokens, 0);
+        assert.equal(Streaks.getDailyStreak(log, result.state, at(8)).current, 7);
+    });
+
+    test('keeps the tokens when they cannot cover every missed day', () => {
+        const state = { ...Streaks.createStreakState(), freezeTokens: 1 };
+        const result = Streaks.updateFreezes(state, logOn([0, 1]), at(4));
+
+        assert.deepEqual(result.frozen, []);
+        assert.equal(result.state.freezeTokens, 1);
+        assert.equal(Streaks.getDailyStreak(logOn([0, 1]), result.state, at(4)).current, 0);
+    });
+
+    test('does not change the state passed in', () => {
+        const state = { ...Streaks.createStreakState(), freezeTokens: 1 };
+        Streaks.updateFreezes(state, logOn([0]), at(2));
+
+        assert.deepEqual(state.frozenDays, []);
+        assert.equal(state.freezeTokens, 1);
+    });
+});
+
+test.describe('weekly goals', () => {
+    const goals = { technique: 3, ingredients: 0, flavor: 0, management: 0 };
+
+    test('reports this week\'s hours against each goal', () => {
+        const log = [...logOn([0, 1]), createEntry(-1, { deltas: { technique: { effectiveHours: 5 } } })];
+        const technique = Streaks.getGoalProgress(log, goals, at(3)).find(goal => goal.attribute === 'technique');
+
+        assert.deepEqual(technique, { attribute: 'technique', goal: 3, hours: 2, met: false });
+    });
+
+    test('drops undone completions once', () => {
+        const twoHours = { technique: { effectiveHours: 2 } };
+        const log = [
+            createEntry(0, { id: 'quest-1', type: 'quest', deltas: twoHours }),
+            createEntry(1, { id: 'quest-2', type: 'quest', deltas: twoHours }),
+            createEntry(1, { type: 'undo', undoOf: 'quest-2', deltas: { technique: { effectiveHours: -2 } } })
+        ];
+        const goal = { technique: 2, ingredients: 0, flavor: 0, management: 0 };
+
+        assert.deepEqual(Streaks.getGoalProgress(log, goal, at(3))[0], { attribute: 'technique', goal: 2, hours: 2, met: true });
+    });
+
+    test('takes undone hours out of the week they were earned in', () => {
+        const log = [
+            ...logOn([0, 1, 2]),
+            createEntry(2, { id: 'quest-1', type: 'quest' }),
+            createEntry(8, { type: 'undo', undoOf: 'quest-1', deltas: { technique: { effectiveHours: -1 } } }),
+            ...logOn([7, 8, 9])
+        ];
+
+        assert.equal(Streaks.getGoalProgress(log, goals, at(2))[0].hours, 3);
+        assert.equal(Streaks.getGoalProgress(log, goals, at(9))[0].hours, 3);
+    });
+
+    test('counts weeks in a row where every goal was met', () => {
+        // Met in weeks 0, 1 and 3; week 2 only reached 2 hours
+        const log = logOn([0, 1, 2, 7, 8, 9, 14, 15, 21, 22, 23]);
+
+        assert.deepEqual(Streaks.getWeeklyStreak(log, goals, at(23)), { current: 1, longest: 2 });
+        assert.deepEqual(Streaks.getWeeklyStreak(log, goals, at(9)), { current: 2, longest: 2 });
+    });
+
+    test('keeps last week\'s streak while this week is in progress', () => {
+        const log = logOn([0, 1, 2, 7]);
+
+        assert.equal(Streaks.getWeeklyStreak(log, goals, at(8)).current, 1);
+    });
+
+    test('counts any active week when no goals are set', () => {
+        const log = logOn([0, 7, 14]);
+
+        assert.deepEqual(Streaks.getWeeklyStreak(log, Streaks.createStreakState().weeklyGoals, at(14)), { current: 3, longest: 3 });
+    });
+
+    test('rejects negative or impossible goals', () => {
+        assert.equal(Streaks.validateWeeklyGoals(goals), null);
+        assert.match(Streaks.validateWeeklyGoals({ ...goals, flavor: -1 }), /flavor/);
+        assert.match(Streaks.validateWeeklyGoals({ ...goals, flavor: 200 }), /168/);
+        assert.match(Streaks.validateWeeklyGoals({ ...goals, management: undefined }), /management/);
+    });
+});